@@ -0,0 +1,295 @@
+/**
+ * Site adapter for the Identiverse agenda (the template used since 2026).
+ *
+ * The site (https://identiverse.com/idv26/agenda/) is fully server-rendered:
+ * a single GET returns every session for all conference days inside
+ * #sessionsgrid, organized in #gridday-YYYY-MM-DD containers. Session detail
+ * and speaker profile pages are also static HTML with their own templates.
+ *
+ * Which elements hold what comes from the conference's selector profile (see
+ * src/selectors.js); the parsers only hold the logic that reads them.
+ */
+
+import * as cheerio from 'cheerio';
+import { DEFAULT_CONFERENCE } from '../conference.js';
+import { DEFAULT_SELECTOR_PROFILE, loadSelectorProfile, selectorList } from '../selectors.js';
+
+/** Matches time ranges like "8:30 am - 12 pm", "6 am - 7 am", "11:30 - 1 pm" */
+const TIME_RANGE_RE = /\d{1,2}(?::\d{2})?\s*(?:am|pm)?\s*[-–]\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)/i;
+
+/** Collapse whitespace runs (incl. newlines) into single spaces */
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Extract readable text from a container, preserving paragraph/list-item
+ * boundaries as newlines.
+ * @param {object} $ - cheerio instance
+ * @param {object} container - cheerio element
+ * @returns {string}
+ */
+function blockText($, container) {
+  const blocks = container.find('p, li');
+  if (blocks.length > 0) {
+    return blocks
+      .map((_, el) => normalize($(el).text()))
+      .get()
+      .filter(Boolean)
+      .join('\n');
+  }
+  return normalize(container.text());
+}
+
+/** Image URL from an inline `background-image:url(...)` style (the .mug headshots) */
+const backgroundImageUrl = (style) => style?.match(/background-image:\s*url\(['"]?([^'")]+)['"]?\)/)?.[1] || null;
+
+/** Resolve a possibly site-relative link against the page it appeared on */
+const absoluteUrl = (href, pageUrl) => (href ? new URL(href, pageUrl).href : null);
+
+/** Selector profile of a conference, or the bundled default */
+let defaultSelectors = null;
+const warnedConferences = new Set();
+function selectorsFor(conference) {
+  if (conference?.selectors) return conference.selectors;
+  if (conference?.id && !warnedConferences.has(conference.id)) {
+    warnedConferences.add(conference.id);
+    console.warn(
+      `${conference.id} names no selector profile; reading its pages with the unverified default ` +
+        `"${DEFAULT_SELECTOR_PROFILE}" (check them with doctor)`
+    );
+  }
+  defaultSelectors ||= loadSelectorProfile(DEFAULT_SELECTOR_PROFILE);
+  return defaultSelectors;
+}
+
+/** Elements matching the first alternative that matches anything */
+function find(scope, selector) {
+  for (const alternative of selectorList(selector)) {
+    const found = scope.find(alternative);
+    if (found.length > 0) return found;
+  }
+  return scope.find(selectorList(selector)[0]);
+}
+
+/** The first non-empty attribute among the alternatives' first matches */
+const attrOf = (scope, selector, name) =>
+  selectorList(selector)
+    .map((alternative) => scope.find(alternative).attr(name))
+    .find(Boolean);
+
+/**
+ * Parse all sessions out of the agenda page HTML.
+ * @param {string} html - Full HTML of the agenda page
+ * @param {string} [pageUrl] - URL the page was fetched from, for resolving relative links
+ * @param {Object} [conference] - Conference profile (for its selector profile)
+ * @returns {Array} Array of raw session objects
+ */
+export function parseAgendaSessions(html, pageUrl = DEFAULT_CONFERENCE.agendaUrl, conference = DEFAULT_CONFERENCE) {
+  const sel = selectorsFor(conference).agenda;
+  const $ = cheerio.load(html);
+  const sessions = [];
+
+  find($.root(), sel.day).each((_, dayEl) => {
+    const day = $(dayEl);
+    const date = (day.attr('id') || '').replace(sel.dayIdPrefix, ''); // e.g. "2026-06-15"
+
+    find(day, sel.entry).each((_, entryEl) => {
+      const entry = $(entryEl);
+      const sessionId = entry.attr(sel.sessionIdAttribute) || null;
+
+      // Title
+      const nameEl = find(entry, sel.title);
+      const title =
+        normalize(find(nameEl, sel.titleLink).text()) ||
+        normalize(nameEl.text()) ||
+        'Untitled Session';
+
+      // Time and type live together in the time element: "<strong>TYPE</strong> / 8:30 am - 12 pm"
+      const timeEl = find(entry, sel.time);
+      const strongType = normalize(find(timeEl, sel.typeLabel).text());
+      const timeText = normalize(timeEl.text());
+      const timeMatch = timeText.match(TIME_RANGE_RE);
+      const time = timeMatch ? timeMatch[0] : timeText.split('/').pop().trim();
+
+      // Type: prefer the type label, then type-*/topic-* classes
+      const classes = (entry.attr('class') || '').split(/\s+/);
+      const classType = (prefix) => {
+        const cls = classes.find((c) => c.startsWith(prefix) && c !== prefix);
+        return cls ? cls.slice(prefix.length).replace(/-/g, ' ') : null;
+      };
+      const type = (strongType || classType(sel.typeClassPrefix) || classType(sel.topicClassPrefix) || 'SESSION').toUpperCase();
+
+      // Topics: every raw topic-* class slug (e.g. "networking", "workshop")
+      const topics = classes
+        .filter((c) => c.startsWith(sel.topicClassPrefix) && c !== sel.topicClassPrefix)
+        .map((c) => c.slice(sel.topicClassPrefix.length));
+
+      // Details URL (absolute or site-relative)
+      const detailsUrl = absoluteUrl(attrOf(entry, sel.detailsLink, 'href'), pageUrl) || '';
+
+      // Inline speakers: name plus "Title • Company", with the profile link
+      // and headshot from the headshot card
+      const speakers = find(entry, sel.speaker)
+        .map((_, speakerEl) => {
+          const speaker = $(speakerEl);
+          const name = normalize(find(speaker, sel.speakerName).text());
+          if (!name) return null;
+          const speakerTitle = normalize(find(speaker, sel.speakerTitle).text());
+          const profileUrl = absoluteUrl(attrOf(speaker, sel.speakerLink, 'href'), pageUrl);
+          return {
+            name,
+            title: speakerTitle,
+            profileUrl,
+            speakerId: profileUrl?.match(/idvid=(\d+)/)?.[1] || null,
+            headshotUrl: backgroundImageUrl(find(speaker, sel.headshot).attr('style')),
+          };
+        })
+        .get()
+        .filter(Boolean);
+
+      sessions.push({
+        date,
+        time,
+        title,
+        type,
+        topics,
+        sessionId,
+        detailsUrl,
+        speakers,
+        hasDetails: Boolean(detailsUrl),
+      });
+    });
+  });
+
+  return sessions;
+}
+
+/**
+ * The detail-page template a page uses: the first in the selector profile
+ * whose `detect` selector matches
+ * @param {Object} $ - cheerio instance of the page
+ * @param {Object} selectors - Selector profile
+ * @returns {Object|null} Template, or null when none matches
+ */
+export function detectDetailTemplate($, selectors) {
+  return selectors.detail.templates.find((template) => find($.root(), template.detect).length > 0) || null;
+}
+
+/** Readers of a detail page's date, time and location, by template layout */
+const DETAIL_READERS = {
+  // .entrydate, then .entrydetail lines: the time range and the room
+  'entry-details': ($, template, detail) => {
+    detail.date = normalize(find($.root(), template.date).first().text()) || null;
+    find($.root(), template.details).each((_, el) => {
+      const text = normalize($(el).text());
+      if (!text) return;
+      if (TIME_RANGE_RE.test(text)) {
+        detail.time = detail.time || text;
+      } else {
+        detail.location = detail.location || text;
+      }
+    });
+  },
+  // Named workshop pages: .date / .time / .location
+  labelled: ($, template, detail) => {
+    for (const field of ['date', 'time', 'location']) {
+      detail[field] = normalize(find($.root(), template[field]).first().text()) || null;
+    }
+  },
+  // Hero banner (e.g. the Women in Identiverse summit page): one block
+  // holding "Month DD, YYYY | h:mm am - h:mm pm<br>Room"
+  panel: ($, template, detail) => {
+    const panel = find($.root(), template.panel).first();
+    panel.find('br').replaceWith('\n');
+    const lines = panel.text().split('\n').map(normalize).filter(Boolean);
+    for (const line of lines) {
+      const timeMatch = line.match(TIME_RANGE_RE);
+      if (timeMatch) {
+        detail.time = detail.time || timeMatch[0];
+        const dateMatch = line.match(/[A-Za-z]+\s+\d{1,2},\s*\d{4}/);
+        if (dateMatch) detail.date = detail.date || dateMatch[0];
+      } else if (!/\d/.test(line)) {
+        detail.location = detail.location || line;
+      }
+    }
+  },
+};
+
+/**
+ * Parse a session detail page with the first matching template of the
+ * selector profile (2026: standard .idvdetail pages, named workshop pages
+ * and the hero-banner summit page)
+ * @param {string} html - Full HTML of the detail page
+ * @param {string} [pageUrl] - URL the page was fetched from (unused)
+ * @param {Object} [conference] - Conference profile (for its selector profile)
+ * @returns {Object} { date, time, location, description } (nulls when absent)
+ */
+export function parseDetailPage(html, pageUrl, conference = DEFAULT_CONFERENCE) {
+  const $ = cheerio.load(html);
+  const detail = { date: null, time: null, location: null, description: null };
+  const template = detectDetailTemplate($, selectorsFor(conference));
+  if (!template) return detail;
+
+  DETAIL_READERS[template.layout]($, template, detail);
+  const description = find($.root(), template.description);
+  if (description.length > 0) {
+    detail.description = blockText($, description) || null;
+  }
+  return detail;
+}
+
+/**
+ * Parse a speaker profile page: the same .idvdetail template as session
+ * pages, with a .mug headshot, .speakername / .speakertitle, a .blurb bio
+ * and links to the speaker's sessions.
+ * @param {string} html - Full HTML of the speaker page
+ * @param {string} pageUrl - URL the page was fetched from, for resolving links
+ * @param {Object} [conference] - Conference profile (for its selector profile)
+ * @returns {Object} { name, title, company, bio, headshotUrl, sessions } where
+ *   sessions are { sessionId, title, url }; nulls when absent
+ */
+export function parseSpeakerPage(html, pageUrl, conference = DEFAULT_CONFERENCE) {
+  const sel = selectorsFor(conference).speaker;
+  const $ = cheerio.load(html);
+  const root = find($.root(), sel.root).first();
+  const speaker = { name: null, title: null, company: null, bio: null, headshotUrl: null, sessions: [] };
+  if (root.length === 0) return speaker;
+
+  speaker.name = normalize(find(root, sel.name).first().text()) || null;
+  speaker.title = normalize(find(root, sel.title).first().text()) || null;
+  speaker.company = normalize(find(root, sel.company).first().text()) || null;
+  speaker.headshotUrl =
+    backgroundImageUrl(find(root, sel.headshot).first().attr('style')) ||
+    absoluteUrl(find(root, sel.headshotImage).first().attr('src'), pageUrl);
+
+  const bio = find(root, sel.bio).first();
+  if (bio.length > 0) {
+    speaker.bio = blockText($, bio) || null;
+  }
+
+  const seen = new Set();
+  find(root, sel.sessionLink).each((_, linkEl) => {
+    const link = $(linkEl);
+    const url = absoluteUrl(link.attr('href'), pageUrl);
+    if (seen.has(url)) return;
+    seen.add(url);
+    speaker.sessions.push({
+      sessionId: url.match(/idvid=(\d+)/)?.[1] || null,
+      title: normalize(link.text()) || null,
+      url,
+    });
+  });
+
+  return speaker;
+}
+
+/** The Identiverse agenda as a site adapter (see ./index.js) */
+export const identiverseAdapter = {
+  name: 'identiverse',
+  description: 'Identiverse agenda grid (#sessionsgrid) with session and speaker pages',
+  agendaUrl: (conference) => conference.agendaUrl,
+  detailUrl: (session) => session.detailsUrl || null,
+  speakerUrl: (speaker) => speaker.profileUrl || null,
+  parseAgenda: parseAgendaSessions,
+  parseDetail: parseDetailPage,
+  parseSpeaker: parseSpeakerPage,
+};
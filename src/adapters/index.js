@@ -0,0 +1,51 @@
+/**
+ * Site adapters: what the scraper needs to know about one kind of agenda site.
+ *
+ * The scraper does the fetching (rate limit, retries, cache, snapshots); an
+ * adapter resolves which pages to fetch and turns their HTML into raw
+ * sessions. A conference profile picks its adapter by name (`"adapter"`,
+ * default "identiverse"); `--adapter` overrides it for one run.
+ *
+ * Raw sessions are what `scrape` saves: { date: "YYYY-MM-DD", time:
+ * "9:00 am - 10:30 am" (conference time), title, type, topics, sessionId,
+ * detailsUrl, speakers: [{ name, title, profileUrl, ... }], hasDetails },
+ * optionally with location and description.
+ *
+ * @typedef {Object} SiteAdapter
+ * @property {string} name - Name used in profiles and on the command line
+ * @property {string} description - One line for the help text
+ * @property {Function} agendaUrl - (conference) => URL of the agenda page
+ * @property {Function} detailUrl - (rawSession, agendaUrl) => detail page to
+ *   fetch for a session, or null
+ * @property {Function} parseAgenda - (html, pageUrl, conference) => raw sessions
+ * @property {Function} parseDetail - (html, pageUrl, conference) =>
+ *   { date, time, location, description } (nulls when absent)
+ * @property {Function} [speakerUrl] - (speaker, agendaUrl) => profile page, or null
+ * @property {Function} [parseSpeaker] - (html, pageUrl, conference) => { name, title,
+ *   company, bio, headshotUrl, sessions }; adapters without one skip
+ *   --speaker-pages
+ */
+
+import { identiverseAdapter } from './identiverse.js';
+import { jsonLdAdapter } from './jsonLd.js';
+
+/** Adapter used when a profile names none */
+export const DEFAULT_ADAPTER = identiverseAdapter.name;
+
+/** Adapters by name */
+export const ADAPTERS = Object.freeze({
+  [identiverseAdapter.name]: identiverseAdapter,
+  [jsonLdAdapter.name]: jsonLdAdapter,
+});
+
+/**
+ * Look up an adapter by name
+ * @param {string} [name] - Adapter name (default: DEFAULT_ADAPTER)
+ * @returns {SiteAdapter}
+ * @throws {Error} When no adapter has that name
+ */
+export function getAdapter(name = DEFAULT_ADAPTER) {
+  const adapter = ADAPTERS[name];
+  if (!adapter) throw new Error(`Unknown site adapter "${name}" (use ${Object.keys(ADAPTERS).join(', ')})`);
+  return adapter;
+}
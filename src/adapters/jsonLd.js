@@ -0,0 +1,196 @@
+/**
+ * Generic site adapter for agendas published as schema.org Event JSON-LD.
+ *
+ * Many conference sites embed their sessions as
+ * `<script type="application/ld+json">` blocks holding Event objects (or
+ * subtypes such as EducationEvent), often as the subEvent list of one
+ * conference Event. Each leaf event becomes a session; a container event with
+ * subEvents is not a session itself. Detail pages are read the same way, for
+ * sessions whose `url` points at a page of their own.
+ *
+ * Mapped properties: name, startDate, endDate or duration, location (text or
+ * Place), description, url, identifier, keywords (as topics), additionalType
+ * (as the session type) and performer (as speakers).
+ */
+
+import * as cheerio from 'cheerio';
+import { DateTime, Duration } from 'luxon';
+import { DEFAULT_CONFERENCE } from '../conference.js';
+
+const asArray = (value) => (value === undefined || value === null ? [] : [].concat(value));
+
+/** Collapse whitespace runs into single spaces; non-strings become '' */
+const text = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value).replace(/\s+/g, ' ').trim() : '');
+
+/** Resolve a possibly relative link; null for missing or malformed links */
+function absoluteUrl(href, pageUrl) {
+  try {
+    return href ? new URL(href, pageUrl).href : null;
+  } catch {
+    return null;
+  }
+}
+
+/** A URL without its #fragment, for comparing pages */
+const pageOf = (url) => url?.split('#')[0] || null;
+
+const isEvent = (node) => asArray(node?.['@type']).some((type) => /Event$/.test(type));
+
+/**
+ * Parse every JSON-LD block on a page. Blocks that are not valid JSON are
+ * reported and skipped.
+ * @param {string} html - Page HTML
+ * @returns {Array<Object>} Top-level JSON-LD nodes
+ */
+export function extractJsonLd(html) {
+  const $ = cheerio.load(html);
+  return $('script[type="application/ld+json"]')
+    .toArray()
+    .flatMap((script) => {
+      try {
+        return asArray(JSON.parse($(script).text()));
+      } catch (error) {
+        console.warn(`Skipping invalid JSON-LD block: ${error.message}`);
+        return [];
+      }
+    });
+}
+
+/**
+ * Session-level events among JSON-LD nodes: events found anywhere in the
+ * tree (@graph, nested objects), with container events replaced by their
+ * subEvents
+ * @param {Array<Object>} nodes - From extractJsonLd
+ * @returns {Array<Object>} Event nodes in document order
+ */
+export function findEvents(nodes) {
+  const events = [];
+  const seen = new Set();
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== 'object' || seen.has(node)) return;
+    seen.add(node);
+    if (isEvent(node)) {
+      const subEvents = asArray(node.subEvent);
+      if (subEvents.length === 0) events.push(node);
+      return subEvents.forEach(visit);
+    }
+    Object.values(node).forEach(visit);
+  };
+  visit(nodes);
+  return events;
+}
+
+/** Room or venue name of an event's location (online locations are skipped) */
+function locationName(location) {
+  for (const place of asArray(location)) {
+    if (typeof place === 'string') return text(place) || null;
+    if (asArray(place['@type']).includes('VirtualLocation')) continue;
+    const name = text(place.name) || text(place.address) || text(place.address?.name);
+    if (name) return name;
+  }
+  return null;
+}
+
+/** A speaker from a performer: the agenda's "Title • Company" form */
+function speakerFrom(performer, pageUrl) {
+  if (typeof performer === 'string') return text(performer) ? { name: text(performer) } : null;
+  const name = text(performer?.name);
+  if (!name) return null;
+  const company = asArray(performer.worksFor).map((org) => text(org) || text(org?.name)).find(Boolean);
+  const image = asArray(performer.image)[0];
+  return {
+    name,
+    title: [text(performer.jobTitle), company].filter(Boolean).join(' • '),
+    profileUrl: absoluteUrl(text(performer.url), pageUrl),
+    speakerId: null,
+    headshotUrl: absoluteUrl(text(image) || text(image?.url), pageUrl),
+  };
+}
+
+/**
+ * Date and time range of an event in the conference's timezone. Times without
+ * an offset are taken as conference time; date-only events have no time.
+ * @returns {Object} { date, time } as in raw sessions (time null when unknown)
+ */
+function eventTimes(event, zone) {
+  const startText = text(event.startDate);
+  const start = DateTime.fromISO(startText, { zone });
+  if (!start.isValid) return { date: null, time: null };
+  if (/^\d{4}-\d{2}-\d{2}$/.test(startText)) return { date: start.toISODate(), time: null };
+
+  let end = DateTime.fromISO(text(event.endDate), { zone });
+  if (!end.isValid && event.duration) end = start.plus(Duration.fromISO(text(event.duration)));
+  const clock = (dt) => dt.setLocale('en-US').toFormat('h:mm a').toLowerCase();
+  // Without an end the processor assumes an hour
+  return { date: start.toISODate(), time: end.isValid ? `${clock(start)} - ${clock(end)}` : clock(start) };
+}
+
+/**
+ * Convert a schema.org Event into a raw session
+ * @param {Object} event - JSON-LD Event node
+ * @param {string} pageUrl - Page the event was found on
+ * @param {Object} conference - Conference profile (for its timezone)
+ * @returns {Object} Raw session
+ */
+export function eventToSession(event, pageUrl, conference = DEFAULT_CONFERENCE) {
+  const detailsUrl = absoluteUrl(text(event.url) || text(event['@id']), pageUrl) || '';
+  const identifier = asArray(event.identifier).map((id) => text(id) || text(id?.value)).find(Boolean);
+  const type = asArray(event.additionalType).map(text).find((value) => value && !/^https?:/.test(value));
+  const keywords = asArray(event.keywords).flatMap((keyword) => text(keyword).split(','));
+  const session = {
+    ...eventTimes(event, conference.timezone),
+    title: text(event.name) || 'Untitled Session',
+    type: (type || 'SESSION').toUpperCase(),
+    topics: keywords.map((keyword) => keyword.trim()).filter(Boolean),
+    sessionId: identifier || null,
+    detailsUrl,
+    speakers: asArray(event.performer).map((performer) => speakerFrom(performer, pageUrl)).filter(Boolean),
+    hasDetails: Boolean(detailsUrl),
+  };
+  const location = locationName(event.location);
+  const description = text(event.description) && event.description.trim();
+  if (location) session.location = location;
+  if (description) session.description = description;
+  return session;
+}
+
+/**
+ * Parse the sessions of an agenda page
+ * @param {string} html - Agenda page HTML
+ * @param {string} pageUrl - URL the page was fetched from
+ * @param {Object} [conference] - Conference profile
+ * @returns {Array} Raw sessions
+ */
+export function parseJsonLdAgenda(html, pageUrl, conference = DEFAULT_CONFERENCE) {
+  return findEvents(extractJsonLd(html)).map((event) => eventToSession(event, pageUrl, conference));
+}
+
+/**
+ * Parse a session's own page: the event whose url is this page, or else the
+ * page's only event
+ * @param {string} html - Detail page HTML
+ * @param {string} pageUrl - URL the page was fetched from
+ * @param {Object} [conference] - Conference profile
+ * @returns {Object} { date, time, location, description } (nulls when absent)
+ */
+export function parseJsonLdDetail(html, pageUrl, conference = DEFAULT_CONFERENCE) {
+  const events = findEvents(extractJsonLd(html)).map((event) => eventToSession(event, pageUrl, conference));
+  const session =
+    events.find((candidate) => pageOf(candidate.detailsUrl) === pageOf(pageUrl)) || (events.length === 1 ? events[0] : null);
+  if (!session) return { date: null, time: null, location: null, description: null };
+  const { date, time, location = null, description = null } = session;
+  return { date, time, location, description };
+}
+
+/** Schema.org Event JSON-LD as a site adapter (see ./index.js) */
+export const jsonLdAdapter = {
+  name: 'jsonld',
+  description: 'schema.org Event JSON-LD embedded in the agenda and session pages',
+  agendaUrl: (conference) => conference.agendaUrl,
+  // Sessions often link to an anchor on the agenda page itself, which has nothing more to offer
+  detailUrl: (session, agendaUrl) =>
+    session.detailsUrl && pageOf(session.detailsUrl) !== pageOf(agendaUrl) ? session.detailsUrl : null,
+  parseAgenda: parseJsonLdAgenda,
+  parseDetail: parseJsonLdDetail,
+};
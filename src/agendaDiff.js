@@ -0,0 +1,219 @@
+/**
+ * Changelog between two agenda snapshots.
+ *
+ * Compares two calendars (ICS files) or two saved scrape snapshots (JSON
+ * arrays of raw sessions as returned by scrapeAllSessions) event by UID and
+ * renders a grouped report as plain text or Markdown.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { readIcsFile } from './icsReader.js';
+import { DataProcessor } from './dataProcessor.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+
+/** Speaker names from the "Speakers: A (Title) | B (Title)" description line */
+const speakersFromDescription = (description) => {
+  const line = (description || '').split('\n').find((l) => l.startsWith('Speakers: '));
+  if (!line) return [];
+  return line
+    .slice('Speakers: '.length)
+    .split(' | ')
+    .map((entry) => entry.replace(/\s*\(.*\)$/, '').trim())
+    .filter(Boolean);
+};
+
+/** Drop the generator's zone suffix from a summary, e.g. "Keynote (PDT)" */
+const stripZoneSuffix = (summary, start) => {
+  const suffix = ` (${start.setLocale('en-US').offsetNameShort})`;
+  return summary.endsWith(suffix) ? summary.slice(0, -suffix.length) : summary;
+};
+
+/**
+ * Normalize ICS event records into comparable agenda entries. Cancelled
+ * events count as absent.
+ * @param {Array} events - Event records from readIcsFile
+ * @returns {Array} Entries: { uid, title, start, end, location, speakers }
+ */
+export function entriesFromIcsEvents(events) {
+  return events
+    .filter((event) => event.status !== 'CANCELLED' && event.start)
+    .map((event) => ({
+      uid: event.uid,
+      title: stripZoneSuffix(event.summary, event.start),
+      start: event.start,
+      end: event.end,
+      // The room alone, not the venue address LOCATION carries with a venue map
+      location: event.room || event.location,
+      speakers: speakersFromDescription(event.description),
+    }));
+}
+
+/**
+ * Normalize processed sessions into comparable agenda entries.
+ * @param {Array} sessions - Processed session objects from DataProcessor
+ * @returns {Array} Entries: { uid, title, start, end, location, speakers }
+ */
+export function entriesFromSessions(sessions) {
+  return sessions.map((session) => ({
+    uid: session.uid,
+    title: session.title,
+    start: session.startTime,
+    end: session.endTime,
+    location: session.location,
+    speakers: (session.speakers || []).map((s) => (typeof s === 'string' ? s : s.name)),
+  }));
+}
+
+/**
+ * Load an agenda snapshot: an ICS file, or a JSON array of raw scraped sessions.
+ * @param {string} filePath - Path to a .ics or .json file
+ * @param {Object} [conference] - Conference profile (timezone, year, UID scheme)
+ * @returns {Promise<Array>} Agenda entries
+ */
+export async function loadAgendaSnapshot(filePath, conference = DEFAULT_CONFERENCE) {
+  if (!(await fs.pathExists(filePath))) {
+    throw new Error(`Snapshot not found: ${filePath}`);
+  }
+  if (path.extname(filePath).toLowerCase() === '.json') {
+    const rawSessions = await fs.readJson(filePath);
+    const { sessions } = new DataProcessor(conference).processAll(rawSessions);
+    return entriesFromSessions(sessions);
+  }
+  return entriesFromIcsEvents(await readIcsFile(filePath, conference.timezone));
+}
+
+const sameInstant = (a, b) => Boolean(a && b) && a.toMillis() === b.toMillis();
+
+/**
+ * Compare two sets of agenda entries by UID.
+ * A single session can appear in several groups (e.g. moved rooms and time).
+ * @param {Array} before - Entries from the older snapshot
+ * @param {Array} after - Entries from the newer snapshot
+ * @returns {Object} { added, removed, timeChanges, roomChanges, titleChanges, speakerChanges }
+ */
+export function diffAgendas(before, after) {
+  const beforeByUid = new Map(before.map((entry) => [entry.uid, entry]));
+  const afterByUid = new Map(after.map((entry) => [entry.uid, entry]));
+  const byStart = (a, b) => (a.start?.toMillis() ?? 0) - (b.start?.toMillis() ?? 0);
+  const byAfterStart = (a, b) => byStart(a.after, b.after);
+
+  const diff = {
+    added: after.filter((entry) => !beforeByUid.has(entry.uid)).sort(byStart),
+    removed: before.filter((entry) => !afterByUid.has(entry.uid)).sort(byStart),
+    timeChanges: [],
+    roomChanges: [],
+    titleChanges: [],
+    speakerChanges: [],
+  };
+
+  for (const entry of after) {
+    const previous = beforeByUid.get(entry.uid);
+    if (!previous) continue;
+
+    if (!sameInstant(previous.start, entry.start) || !sameInstant(previous.end, entry.end)) {
+      diff.timeChanges.push({ before: previous, after: entry });
+    }
+    if ((previous.location || '') !== (entry.location || '')) {
+      diff.roomChanges.push({ before: previous, after: entry });
+    }
+    if (previous.title !== entry.title) {
+      diff.titleChanges.push({ before: previous, after: entry });
+    }
+    const added = entry.speakers.filter((name) => !previous.speakers.includes(name));
+    const removed = previous.speakers.filter((name) => !entry.speakers.includes(name));
+    if (added.length > 0 || removed.length > 0) {
+      diff.speakerChanges.push({ before: previous, after: entry, added, removed });
+    }
+  }
+
+  for (const key of ['timeChanges', 'roomChanges', 'titleChanges', 'speakerChanges']) {
+    diff[key].sort(byAfterStart);
+  }
+  return diff;
+}
+
+/**
+ * Whether a diff contains any change at all
+ * @param {Object} diff - Result of diffAgendas
+ * @returns {boolean}
+ */
+export const hasChanges = (diff) => Object.values(diff).some((group) => group.length > 0);
+
+const formatWhen = (entry) => {
+  if (!entry.start) return 'unscheduled';
+  const end = entry.end ? `–${entry.end.toFormat('h:mm a')}` : '';
+  return `${entry.start.toFormat('ccc LLL d, h:mm a')}${end}`;
+};
+
+/**
+ * Build report sections shared by the text and Markdown renderers.
+ * @param {Object} diff - Result of diffAgendas
+ * @param {Function} em - Emphasis for session titles
+ * @returns {Array} Sections: { heading, lines }
+ */
+function reportSections(diff, em) {
+  const sections = [
+    {
+      heading: 'Added',
+      lines: diff.added.map((e) => `${em(e.title)} — ${formatWhen(e)}${e.location ? `, ${e.location}` : ''}`),
+    },
+    {
+      heading: 'Removed',
+      lines: diff.removed.map((e) => `${em(e.title)} — was ${formatWhen(e)}`),
+    },
+    {
+      heading: 'Time changes',
+      lines: diff.timeChanges.map(({ before, after }) => `${em(after.title)}: ${formatWhen(before)} → ${formatWhen(after)}`),
+    },
+    {
+      heading: 'Room changes',
+      lines: diff.roomChanges.map(({ before, after }) => `${em(after.title)}: ${before.location || 'no room'} → ${after.location || 'no room'}`),
+    },
+    {
+      heading: 'Title changes',
+      lines: diff.titleChanges.map(({ before, after }) => `${em(before.title)} → ${em(after.title)}`),
+    },
+    {
+      heading: 'Speaker changes',
+      lines: diff.speakerChanges.map(({ after, added, removed }) => {
+        const parts = [...added.map((n) => `+${n}`), ...removed.map((n) => `-${n}`)];
+        return `${em(after.title)}: ${parts.join(', ')}`;
+      }),
+    },
+  ];
+  return sections.filter((section) => section.lines.length > 0);
+}
+
+const summaryLine = (diff) =>
+  `${diff.added.length} added, ${diff.removed.length} removed, ` +
+  `${diff.timeChanges.length} time changes, ${diff.roomChanges.length} room changes, ` +
+  `${diff.titleChanges.length} title changes, ${diff.speakerChanges.length} speaker changes`;
+
+/**
+ * Render a diff as a plain-text report
+ * @param {Object} diff - Result of diffAgendas
+ * @returns {string}
+ */
+export function formatDiffText(diff) {
+  if (!hasChanges(diff)) return 'No agenda changes.';
+  const out = [`Agenda changes: ${summaryLine(diff)}`];
+  for (const { heading, lines } of reportSections(diff, (t) => t)) {
+    out.push('', `${heading.toUpperCase()} (${lines.length})`, ...lines.map((l) => `  - ${l}`));
+  }
+  return out.join('\n');
+}
+
+/**
+ * Render a diff as Markdown, suitable for pasting into a team channel
+ * @param {Object} diff - Result of diffAgendas
+ * @returns {string}
+ */
+export function formatDiffMarkdown(diff) {
+  if (!hasChanges(diff)) return '_No agenda changes._';
+  const out = ['## Agenda changes', '', summaryLine(diff)];
+  for (const { heading, lines } of reportSections(diff, (t) => `**${t}**`)) {
+    out.push('', `### ${heading} (${lines.length})`, '', ...lines.map((l) => `- ${l}`));
+  }
+  return out.join('\n');
+}
@@ -0,0 +1,236 @@
+/**
+ * CalDAV publishing: keep a shared calendar (Nextcloud, Radicale, ...) in
+ * sync with the agenda instead of importing the file by hand.
+ *
+ * Each event is its own calendar resource, named by its stable UID
+ * (`<uid>.ics`). A publish lists the collection's events, versions the agenda
+ * against them like the release calendar (unchanged events keep their
+ * SEQUENCE and DTSTAMP), then creates new events with `If-None-Match: *`,
+ * updates changed ones with `If-Match: <etag>` so edits made in the meantime
+ * are never overwritten, and cancels (or deletes) events whose session left
+ * the agenda. Only events with this conference's UIDs are touched, so the
+ * collection can be shared with other calendars' events. A run that fails the
+ * scrape health checks (measured against the collection) writes nothing.
+ */
+
+import * as cheerio from 'cheerio';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { checkScrapeHealth } from './health.js';
+import { ICSGenerator } from './icsGenerator.js';
+import { parseIcsEvents } from './icsReader.js';
+
+const CALENDAR_QUERY = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop><d:getetag/><c:calendar-data/></d:prop>
+  <c:filter><c:comp-filter name="VCALENDAR"><c:comp-filter name="VEVENT"/></c:comp-filter></c:filter>
+</c:calendar-query>`;
+
+/**
+ * Split a calendar into one calendar object resource per event. Each keeps
+ * the calendar's properties and VTIMEZONE; METHOD is dropped, since CalDAV
+ * resources must not carry one (RFC 4791 §4.1).
+ * @param {string} icsContent - Calendar from ICSGenerator.createCalendar
+ * @returns {Map<string, string>} UID → resource ICS
+ */
+export function splitCalendar(icsContent) {
+  const lines = icsContent.split('\r\n');
+  const firstEvent = lines.indexOf('BEGIN:VEVENT');
+  const header = lines.slice(0, firstEvent === -1 ? lines.length - 1 : firstEvent).filter((line) => !line.startsWith('METHOD:'));
+
+  const resources = new Map();
+  let block = null;
+  for (const line of lines) {
+    if (line === 'BEGIN:VEVENT') block = [];
+    if (block) block.push(line);
+    if (line === 'END:VEVENT') {
+      // UIDs are short enough never to be folded
+      const uid = block.find((l) => l.startsWith('UID:')).slice('UID:'.length);
+      resources.set(uid, [...header, ...block, 'END:VCALENDAR'].join('\r\n'));
+      block = null;
+    }
+  }
+  return resources;
+}
+
+/**
+ * Parse a WebDAV multistatus response of a calendar-query
+ * @param {string} xml - Response body
+ * @returns {Array<Object>} { href, etag, calendarData }
+ */
+export function parseMultistatus(xml) {
+  // Servers pick their own namespace prefixes (d:, D:, none); match local names
+  const $ = cheerio.load(xml.replace(/<(\/?)[A-Za-z][\w.-]*:/g, '<$1'), { xml: true });
+  return $('response')
+    .toArray()
+    .map((response) => {
+      const $response = $(response);
+      return {
+        href: $response.children('href').first().text().trim(),
+        etag: $response.find('getetag').first().text().trim() || null,
+        calendarData: $response.find('calendar-data').first().text(),
+      };
+    })
+    .filter((resource) => resource.href && resource.calendarData);
+}
+
+export class CalDavPublisher {
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Calendar collection URL
+   * @param {string} [options.username] - Basic auth user
+   * @param {string} [options.password] - Basic auth password
+   * @param {Object} [options.conference] - Conference profile
+   * @param {string} [options.removed] - What happens to events whose session
+   *   left the agenda: "cancel" (STATUS:CANCELLED, the default) or "delete"
+   * @param {boolean} [options.speakerAttendees] - List speakers as ATTENDEE properties
+   * @param {Object} [options.health] - Overrides of the profile's health thresholds
+   * @param {number} [options.timeout] - Milliseconds before a request is aborted
+   */
+  constructor(options = {}) {
+    this.options = {
+      url: null,
+      username: null,
+      password: null,
+      conference: DEFAULT_CONFERENCE,
+      removed: 'cancel',
+      speakerAttendees: false,
+      health: {},
+      timeout: 20000,
+      ...options,
+    };
+    if (!this.options.url) throw new Error('CalDAV publishing needs a calendar collection URL');
+    if (!['cancel', 'delete'].includes(this.options.removed)) {
+      throw new Error(`Unknown handling for removed events: ${this.options.removed} (use cancel or delete)`);
+    }
+    // Resource names resolve against the collection, which must end with a slash
+    this.collectionUrl = this.options.url.endsWith('/') ? this.options.url : `${this.options.url}/`;
+    const { conference, speakerAttendees } = this.options;
+    this.generator = new ICSGenerator({ conference, speakerAttendees });
+  }
+
+  /**
+   * Send a request to the server
+   * @param {string} method
+   * @param {string} url
+   * @param {Object} [init] - { headers, body }
+   * @param {Array<number>} [allowed] - Error statuses returned instead of thrown
+   * @returns {Promise<Object>} { status, etag, body }
+   * @throws {Error} On network errors and unexpected HTTP errors
+   */
+  async request(method, url, { headers = {}, body } = {}, allowed = []) {
+    const { username, password, timeout } = this.options;
+    const auth = username ? { Authorization: `Basic ${Buffer.from(`${username}:${password || ''}`).toString('base64')}` } : {};
+    const res = await fetch(url, {
+      method,
+      headers: { ...auth, ...headers },
+      body,
+      signal: AbortSignal.timeout(timeout),
+    });
+    const text = await res.text();
+    if (!res.ok && !allowed.includes(res.status)) {
+      throw new Error(`CalDAV ${method} ${url} failed: HTTP ${res.status}`);
+    }
+    return { status: res.status, etag: res.headers.get('etag'), body: text };
+  }
+
+  /** Whether a UID belongs to this conference's events */
+  isOwnUid(uid) {
+    const { prefix, domain } = this.options.conference.uid;
+    return uid.startsWith(`${prefix}-`) && uid.endsWith(`@${domain}`);
+  }
+
+  /**
+   * This conference's events in the collection
+   * @returns {Promise<Map>} UID → { url, etag, event } where event is the
+   *   parsed record (see parseIcsEvents)
+   */
+  async listEvents() {
+    const { body } = await this.request('REPORT', this.collectionUrl, {
+      headers: { Depth: '1', 'Content-Type': 'application/xml; charset=utf-8' },
+      body: CALENDAR_QUERY,
+    });
+    const events = new Map();
+    for (const { href, etag, calendarData } of parseMultistatus(body)) {
+      for (const event of parseIcsEvents(calendarData, this.options.conference.timezone)) {
+        if (this.isOwnUid(event.uid)) {
+          events.set(event.uid, { url: new URL(href, this.collectionUrl).href, etag, event });
+        }
+      }
+    }
+    return events;
+  }
+
+  /**
+   * Bring the collection in line with the sessions
+   * @param {Array} sessions - Processed session objects
+   * @param {Object} [stats] - Scraper stats (null for a saved scrape)
+   * @returns {Promise<Object>} { created, updated, cancelled, deleted,
+   *   unchanged, conflicts, health } with conflicts listing the UIDs that
+   *   changed on the server since they were listed (left as they are) and
+   *   health the result of checkScrapeHealth; nothing is written when it
+   *   reports problems
+   */
+  async publish(sessions, stats = null) {
+    const { conference } = this.options;
+    const remote = await this.listEvents();
+    const result = { created: 0, updated: 0, cancelled: 0, deleted: 0, unchanged: 0, conflicts: [] };
+    result.health = checkScrapeHealth(
+      { sessions, conference, previousEvents: [...remote.values()].map(({ event }) => event), stats },
+      { ...conference.health, ...this.options.health }
+    );
+    if (result.health.problems.length > 0) return result;
+
+    const current = new Set(sessions.map((session) => session.uid));
+    const removed = [...remote.keys()].filter((uid) => !current.has(uid));
+    const deleting = this.options.removed === 'delete';
+
+    // Versioning against the server's copies emits removed sessions as
+    // cancelled; when deleting, they are left out instead
+    const previous = [...remote.values()]
+      .map(({ event }) => event)
+      .filter((event) => !deleting || current.has(event.uid));
+    const calendar = this.generator.createCalendar(sessions, previous);
+    const generated = new Map(parseIcsEvents(calendar, conference.timezone).map((e) => [e.uid, e]));
+
+    for (const [uid, ics] of splitCalendar(calendar)) {
+      const existing = remote.get(uid);
+      const event = generated.get(uid);
+      const unchanged =
+        existing &&
+        existing.event.sequence === event.sequence &&
+        existing.event.dtstamp?.getTime() === event.dtstamp?.getTime();
+      if (unchanged) {
+        result.unchanged++;
+        continue;
+      }
+
+      const url = existing ? existing.url : new URL(`${encodeURIComponent(uid)}.ics`, this.collectionUrl).href;
+      const precondition = existing?.etag ? { 'If-Match': existing.etag } : { 'If-None-Match': '*' };
+      const { status } = await this.request(
+        'PUT',
+        url,
+        { headers: { 'Content-Type': 'text/calendar; charset=utf-8', ...precondition }, body: ics },
+        [412]
+      );
+      if (status === 412) {
+        result.conflicts.push(uid);
+      } else if (!existing) {
+        result.created++;
+      } else if (event.status === 'CANCELLED') {
+        result.cancelled++;
+      } else {
+        result.updated++;
+      }
+    }
+
+    if (deleting) {
+      for (const uid of removed) {
+        const { url, etag } = remote.get(uid);
+        const { status } = await this.request('DELETE', url, { headers: etag ? { 'If-Match': etag } : {} }, [404, 412]);
+        if (status === 412) result.conflicts.push(uid);
+        else result.deleted++;
+      }
+    }
+    return result;
+  }
+}
@@ -0,0 +1,713 @@
+/**
+ * Command-line interface: argument parsing and the scrape / generate /
+ * verify / diff / conflicts / serve / watch / publish / doctor commands.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { parseArgs } from 'util';
+import { filterSessions, loadSelection } from './selection.js';
+import { loadReminderRules } from './reminders.js';
+import { validateIcsFile } from './icsValidator.js';
+import { diffAgendas, loadAgendaSnapshot, formatDiffText, formatDiffMarkdown } from './agendaDiff.js';
+import { ICSGenerator } from './icsGenerator.js';
+import {
+  analyzeSchedule,
+  formatConflictsMarkdown,
+  formatConflictsText,
+  hasConflicts,
+  loadSchedule,
+} from './conflicts.js';
+import { loadConference } from './conference.js';
+import { isValidZone } from './timezone.js';
+import { CalendarServer } from './server.js';
+import { AgendaWatcher } from './watch.js';
+import { CalDavPublisher } from './caldav.js';
+import { filterByTrack } from './tracks.js';
+import { EXPORTERS } from './exporters.js';
+import { ADAPTERS } from './adapters/index.js';
+import { DEFAULT_SELECTOR_PROFILE, loadSelectorProfile } from './selectors.js';
+import { PAGE_KINDS, diagnosePages, formatDoctorReport, snapshotPages, zeroMatches } from './doctor.js';
+import {
+  DEFAULT_CACHE_DIR,
+  conferencePaths,
+  scrapeSessions,
+  processSessions,
+  generateCalendars,
+  exportSessions,
+} from './pipeline.js';
+
+/** Process exit codes, so scripts can tell failure kinds apart */
+export const EXIT_CODES = {
+  OK: 0,
+  ERROR: 1, // Unexpected error
+  USAGE: 2, // Bad command line
+  SCRAPE_FAILED: 3, // Agenda could not be fetched or parsed
+  VALIDATION_FAILED: 4, // Generated or verified calendar is invalid
+  UNHEALTHY_SCRAPE: 5, // Scrape failed its health checks; release copy kept
+  CONFLICTS: 6, // conflicts found overlaps or tight transfers
+};
+
+export const USAGE = `Usage: node index.js [command] [options]
+
+Commands:
+  generate             Scrape the agenda and write the calendar (default)
+  scrape               Scrape the agenda and save the raw sessions as JSON
+  verify [file.ics]    Validate a calendar (default: the generated output)
+  diff <before> <after>
+                       Changelog between two .ics files or saved scrapes (.json)
+  conflicts [file.ics] Overlaps, tight room transfers and free gaps in a personal
+                       calendar, or in the sessions picked by --select
+  serve                Serve the calendar as a subscribable feed, reloading the
+                       agenda on a schedule (stop with Ctrl+C)
+  watch                Re-scrape on a schedule; when the agenda changed, regenerate
+                       the calendar and post the changes to --webhook
+  publish <collection-url>
+                       Sync the agenda into a CalDAV calendar, one event per UID
+                       (password from the CALDAV_PASSWORD environment variable)
+  doctor <page.html|snapshot-dir>
+                       Run the selector profile against a saved page or snapshot and
+                       report which selectors matched no elements
+
+Options:
+  --conference <id|file.json>
+                       Conference profile from conferences/ or a JSON file
+                       (default identiverse-2026)
+  -o, --output <path>  Output file (generate: .ics, scrape: .json)
+  --input <file.json>  generate: use a saved scrape instead of fetching the site
+  --url <url>          Agenda page URL
+  --adapter <name>     Site adapter reading the agenda: ${Object.keys(ADAPTERS).join(', ')}
+                       (default: the profile's)
+  --selectors <id|file.json>
+                       Selector profile from selectors/ or a JSON file (default: the
+                       conference profile's)
+  --no-details         Skip fetching session detail pages
+  --speaker-pages      Also fetch speaker profiles (bio, company, headshot, sessions)
+  --concurrency <n>    Parallel detail-page fetches (default 4)
+  --rate <n>           Max requests per second per host (default 5, 0 = unlimited)
+  --retries <n>        Retries for network errors, timeouts, 429 and 5xx (default 3)
+  --timeout <ms>       Abort a request after this long (default 20000)
+  --save-snapshot <dir>
+                       Save every fetched page (agenda + details) into a snapshot directory
+  --snapshot <dir>     Replay pages from a saved snapshot instead of the network
+  --cache-dir <dir>    HTTP cache directory (default output/http-cache)
+  --cache-ttl <min>    Minutes a cached page is used without revalidation (default 60)
+  --refresh            Ignore cached pages and download everything again
+  --no-cache           Disable the HTTP cache
+  --no-release         Do not refresh the committed release calendar
+  --min-sessions <n>   Health check: fewest sessions the scrape may return
+  --max-drop <percent> Health check: largest drop in session count versus the
+                       release calendar
+  --max-detail-failures <n>
+                       Health check: most detail pages that may fail
+  --min-room-fraction <0-1>
+                       Health check: smallest share of sessions with a room
+  --select <file>      generate: also write a personal calendar from a selection file
+  --personal-output <path>
+                       Where to write the personal calendar
+  --mark-conflicts     generate: show lower-priority overlapping sessions in the
+                       personal calendar as free
+  --transfer-minutes <n>
+                       Conflict report: flag changes of building or floor with less
+                       time than this between sessions (default 10)
+  --min-gap <n>        Conflict report: list free gaps of at least this many minutes (default 30)
+  --include <tracks>   generate, publish: only keep these types/topics (repeatable,
+                       comma-separated)
+  --exclude <tracks>   generate, publish: drop these types/topics
+  --split-tracks       generate: also write one calendar per type/topic
+  --attendee-timezone <zones>
+                       generate: also write a variant per IANA zone (e.g. Europe/Berlin)
+                       showing times in that zone next to conference time (repeatable)
+  --speaker <name>     generate: also write a calendar of this speaker's sessions (repeatable)
+  --attendees          generate, serve, watch, publish: also list speakers as ATTENDEE
+                       properties (some clients then treat events as invitations)
+  --reminders <file>   generate: add VALARM reminders by session type from a JSON
+                       file (the release calendar is then not refreshed)
+  --export <formats>   generate: also write the agenda as ${Object.keys(EXPORTERS).join(', ')} (comma-separated)
+  --markdown           diff, conflicts: render the report as Markdown
+  --host <host>        serve: interface to listen on (default 127.0.0.1)
+  --port <n>           serve: port (default 8080)
+  --interval <min>     serve, watch: minutes between agenda reloads (default 60 for
+                       serve, 30 for watch; 0 = never, so watch runs once)
+  --webhook <url>      watch: post a summary of agenda changes here (Slack-compatible JSON)
+  --caldav-user <name> publish: CalDAV user name
+  --delete-removed     publish: delete events of removed sessions instead of cancelling them
+  --page <kind>        doctor: what a single saved page is: ${PAGE_KINDS.join(', ')} (default agenda)
+  -h, --help           Show this help
+
+Exit codes: 0 success, 1 unexpected error, 2 usage error,
+            3 scrape failure (doctor: a selector matched nothing),
+            4 validation failure, 5 failed health checks,
+            6 conflicts found overlaps or tight transfers`;
+
+const COMMANDS = ['generate', 'scrape', 'verify', 'diff', 'conflicts', 'serve', 'watch', 'publish', 'doctor', 'help'];
+
+/**
+ * Parse command-line arguments
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Object} { command, positionals, options }
+ * @throws {Error} On unknown options or invalid values
+ */
+export function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      conference: { type: 'string' },
+      output: { type: 'string', short: 'o' },
+      input: { type: 'string' },
+      url: { type: 'string' },
+      adapter: { type: 'string' },
+      selectors: { type: 'string' },
+      'no-details': { type: 'boolean' },
+      'speaker-pages': { type: 'boolean' },
+      concurrency: { type: 'string' },
+      rate: { type: 'string' },
+      retries: { type: 'string' },
+      timeout: { type: 'string' },
+      'save-snapshot': { type: 'string' },
+      snapshot: { type: 'string' },
+      'cache-dir': { type: 'string' },
+      'cache-ttl': { type: 'string' },
+      refresh: { type: 'boolean' },
+      'no-cache': { type: 'boolean' },
+      'no-release': { type: 'boolean' },
+      'min-sessions': { type: 'string' },
+      'max-drop': { type: 'string' },
+      'max-detail-failures': { type: 'string' },
+      'min-room-fraction': { type: 'string' },
+      select: { type: 'string' },
+      'personal-output': { type: 'string' },
+      'mark-conflicts': { type: 'boolean' },
+      'transfer-minutes': { type: 'string' },
+      'min-gap': { type: 'string' },
+      include: { type: 'string', multiple: true },
+      exclude: { type: 'string', multiple: true },
+      'split-tracks': { type: 'boolean' },
+      'attendee-timezone': { type: 'string', multiple: true },
+      export: { type: 'string', multiple: true },
+      speaker: { type: 'string', multiple: true },
+      attendees: { type: 'boolean' },
+      reminders: { type: 'string' },
+      markdown: { type: 'boolean' },
+      host: { type: 'string' },
+      port: { type: 'string' },
+      interval: { type: 'string' },
+      webhook: { type: 'string' },
+      'caldav-user': { type: 'string' },
+      'delete-removed': { type: 'boolean' },
+      page: { type: 'string' },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const [command = 'generate', ...rest] = positionals;
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+
+  const integer = (name, value) => {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < 0) throw new Error(`--${name} must be a non-negative integer`);
+    return n;
+  };
+  // List options accept repeated flags and/or comma-separated values
+  const listOption = (value) => (value || []).flatMap((v) => v.split(',')).map((v) => v.trim()).filter(Boolean);
+
+  const number = (name, value) => {
+    if (value === undefined) return undefined;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0) throw new Error(`--${name} must be a non-negative number`);
+    return n;
+  };
+
+  const minRoomFraction = number('min-room-fraction', values['min-room-fraction']);
+  if (minRoomFraction > 1) throw new Error('--min-room-fraction must be between 0 and 1');
+  const maxDrop = number('max-drop', values['max-drop']);
+  if (maxDrop > 100) throw new Error('--max-drop must be a percentage from 0 to 100');
+
+  const concurrency = integer('concurrency', values.concurrency);
+  if (concurrency === 0) throw new Error('--concurrency must be at least 1');
+  const cacheTtlMinutes = integer('cache-ttl', values['cache-ttl']);
+  let conference = loadConference(values.conference);
+  if (values.selectors) {
+    conference = Object.freeze({ ...conference, selectors: loadSelectorProfile(values.selectors) });
+  }
+  const attendeeZones = listOption(values['attendee-timezone']);
+  for (const zone of attendeeZones) {
+    if (!isValidZone(zone)) throw new Error(`--attendee-timezone: unknown IANA zone "${zone}"`);
+  }
+  if (values.adapter && !ADAPTERS[values.adapter]) {
+    throw new Error(`--adapter: unknown site adapter "${values.adapter}"`);
+  }
+  if (values.page && !PAGE_KINDS.includes(values.page)) {
+    throw new Error(`--page must be one of ${PAGE_KINDS.join(', ')}`);
+  }
+  const exportFormats = listOption(values.export).map((format) => format.toLowerCase());
+  for (const format of exportFormats) {
+    if (!EXPORTERS[format]) throw new Error(`--export: unknown format "${format}"`);
+  }
+
+  return {
+    command: values.help ? 'help' : command,
+    positionals: rest,
+    options: {
+      conference,
+      output: values.output,
+      input: values.input,
+      release: !values['no-release'],
+      // Overrides of the profile's health thresholds
+      health: Object.fromEntries(
+        Object.entries({
+          minSessions: integer('min-sessions', values['min-sessions']),
+          maxDropPercent: maxDrop,
+          maxDetailFailures: integer('max-detail-failures', values['max-detail-failures']),
+          minRoomFraction,
+        }).filter(([, value]) => value !== undefined)
+      ),
+      select: values.select,
+      personalOutput: values['personal-output'],
+      markConflicts: Boolean(values['mark-conflicts']),
+      conflicts: {
+        transferMinutes: integer('transfer-minutes', values['transfer-minutes']),
+        minGapMinutes: integer('min-gap', values['min-gap']),
+      },
+      include: listOption(values.include),
+      exclude: listOption(values.exclude),
+      splitTracks: Boolean(values['split-tracks']),
+      attendeeZones,
+      exportFormats,
+      // Names may contain commas, so speakers are only repeatable
+      speakers: (values.speaker || []).map((name) => name.trim()).filter(Boolean),
+      speakerAttendees: Boolean(values.attendees),
+      reminders: values.reminders,
+      markdown: Boolean(values.markdown),
+      intervalMinutes: integer('interval', values.interval),
+      webhookUrl: values.webhook,
+      pageKind: values.page || 'agenda',
+      caldav: {
+        username: values['caldav-user'],
+        password: process.env.CALDAV_PASSWORD,
+        removed: values['delete-removed'] ? 'delete' : 'cancel',
+      },
+      server: Object.fromEntries(
+        Object.entries({
+          host: values.host,
+          port: integer('port', values.port),
+        }).filter(([, value]) => value !== undefined)
+      ),
+      scraper: Object.fromEntries(
+        Object.entries({
+          baseUrl: values.url,
+          adapter: values.adapter,
+          extractDetailPages: values['no-details'] ? false : undefined,
+          extractSpeakerPages: values['speaker-pages'] || undefined,
+          concurrency,
+          requestsPerSecond: number('rate', values.rate),
+          retries: integer('retries', values.retries),
+          timeout: integer('timeout', values.timeout),
+          saveSnapshotDir: values['save-snapshot'],
+          snapshotDir: values.snapshot,
+          cacheDir: values['no-cache'] ? undefined : values['cache-dir'] || DEFAULT_CACHE_DIR,
+          cacheTtl: cacheTtlMinutes === undefined ? undefined : cacheTtlMinutes * 60 * 1000,
+          refresh: values.refresh || undefined,
+        }).filter(([, value]) => value !== undefined)
+      ),
+    },
+  };
+}
+
+/**
+ * Scrape the agenda, reporting failures as a distinct exit code
+ * @param {Object} scraperOptions - Options for IdentiverseScraper
+ * @returns {Promise<Object|null>} { rawSessions, stats }, or null when the scrape failed
+ */
+async function scrapeOrReport(scraperOptions) {
+  try {
+    const result = await scrapeSessions(scraperOptions);
+    console.log(`Successfully scraped ${result.rawSessions.length} sessions\n`);
+    return result;
+  } catch (error) {
+    console.error(`\nScrape failed: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Print the scraper's run counters
+ * @param {Object} stats - IdentiverseScraper stats
+ */
+function printScrapeSummary(stats) {
+  console.log('\nScrape Summary:');
+  console.log(`  Sessions on agenda: ${stats.sessions}`);
+  console.log(`  Detail pages: ${stats.detailPages} (${stats.detailFailures} failed)`);
+  if (stats.speakerPages > 0) {
+    console.log(`  Speaker profiles: ${stats.speakerPages} (${stats.speakerFailures} failed)`);
+  }
+  const { fresh, revalidated, downloaded } = stats.cache;
+  if (fresh + revalidated + downloaded > 0) {
+    console.log(`  HTTP cache: ${fresh + revalidated} hits (${revalidated} revalidated), ${downloaded} misses`);
+  }
+}
+
+/**
+ * Print the scrape health metrics and any failed checks
+ * @param {Object} health - Result of checkScrapeHealth
+ * @param {string} [compared] - What the session count was compared with
+ */
+function printHealth({ metrics, problems }, compared = 'release calendar') {
+  console.log('\nScrape Health:');
+  const previous = metrics.previousSessions === null ? '' : ` (${compared}: ${metrics.previousSessions})`;
+  console.log(`  Sessions: ${metrics.sessions}${previous}`);
+  if (metrics.detailFailures !== null) {
+    console.log(`  Failed detail pages: ${metrics.detailFailures} of ${metrics.detailPages}`);
+  }
+  if (metrics.roomFraction !== null) {
+    console.log(`  Sessions with a room: ${Math.round(metrics.roomFraction * 100)}%`);
+  }
+  for (const problem of problems) {
+    console.warn(`  - ${problem}`);
+  }
+}
+
+/** Problems listed before the rest are summarized as a count */
+const MAX_PRINTED_PROBLEMS = 40;
+
+/**
+ * Print validation problems
+ * @param {string} label - What was validated
+ * @param {Object} validation - Result of validateIcsFile
+ */
+function printValidation(label, { eventCount, problems }) {
+  if (problems.length === 0) {
+    console.log(`${label}: valid (${eventCount} events)`);
+    return;
+  }
+  console.error(`${label}: ${problems.length} problem(s) found in ${eventCount} events`);
+  for (const problem of problems.slice(0, MAX_PRINTED_PROBLEMS)) {
+    console.error(`  - ${problem}`);
+  }
+  if (problems.length > MAX_PRINTED_PROBLEMS) {
+    console.error(`  ... and ${problems.length - MAX_PRINTED_PROBLEMS} more`);
+  }
+}
+
+/**
+ * Raw sessions from --input, or from a fresh scrape
+ * @param {Object} options - Parsed command-line options
+ * @param {string} [step] - Prefix for the progress message (e.g. a step number)
+ * @returns {Promise<Object|null>} { rawSessions, stats } (stats null for a
+ *   saved scrape), or null when the scrape failed
+ */
+async function loadOrScrape(options, step = '') {
+  if (options.input) {
+    console.log(`${step}Loading saved scrape from ${options.input}...`);
+    return { rawSessions: await fs.readJson(options.input), stats: null };
+  }
+  console.log(`${step}Scraping the ${options.conference.name} agenda...`);
+  return scrapeOrReport({ conference: options.conference, ...options.scraper });
+}
+
+async function scrapeCommand({ options }) {
+  console.log(`1. Scraping the ${options.conference.name} agenda...`);
+  const scraped = await scrapeOrReport({ conference: options.conference, ...options.scraper });
+  if (!scraped) return EXIT_CODES.SCRAPE_FAILED;
+
+  const outputPath = options.output || conferencePaths(options.conference).sessions;
+  await fs.outputJson(outputPath, scraped.rawSessions, { spaces: 2 });
+  console.log(`Raw sessions saved to: ${outputPath}`);
+  printScrapeSummary(scraped.stats);
+  return EXIT_CODES.OK;
+}
+
+async function generateCommand({ options }) {
+  const { conference } = options;
+  const title = `${conference.name} Conference Calendar Generator`;
+  console.log(title);
+  console.log('='.repeat(title.length));
+
+  // Load the selection and reminders up front so a bad file fails before the scrape
+  const selection = options.select ? await loadSelection(options.select) : null;
+  const reminders = options.reminders ? await loadReminderRules(options.reminders) : null;
+
+  const loaded = await loadOrScrape(options, '\n1. ');
+  if (!loaded) return EXIT_CODES.SCRAPE_FAILED;
+  const { rawSessions, stats: scrapeStats } = loaded;
+
+  console.log('2. Processing and normalizing session data...');
+  const { sessions } = processSessions(rawSessions, conference);
+  console.log(`Successfully processed ${sessions.length} sessions\n`);
+
+  console.log('3. Generating ICS file...');
+  const { outputPath, feedSessions, personalSessions, validation, health } = await generateCalendars(sessions, {
+    conference,
+    outputPath: options.output ? path.resolve(options.output) : conferencePaths(conference).output,
+    release: options.release,
+    include: options.include,
+    exclude: options.exclude,
+    splitTracks: options.splitTracks,
+    attendeeZones: options.attendeeZones,
+    speakers: options.speakers,
+    speakerAttendees: options.speakerAttendees,
+    reminders,
+    selection,
+    personalOutput: options.personalOutput,
+    markConflicts: options.markConflicts,
+    scrapeStats,
+    health: options.health,
+  });
+
+  if (options.exportFormats.length > 0) {
+    console.log('\nWriting exports...');
+    await exportSessions(feedSessions, options.exportFormats, { conference, calendarPath: outputPath });
+  }
+
+  console.log('\n4. Summary of generated calendar:');
+  new ICSGenerator({ conference }).printCalendarSummary(feedSessions);
+  if (scrapeStats) printScrapeSummary(scrapeStats);
+  printHealth(health);
+  if (personalSessions) {
+    console.log(`\nPersonal ${formatConflictsText(analyzeSchedule(personalSessions, options.conflicts))}`);
+  }
+
+  console.log();
+  printValidation(outputPath, validation);
+  if (validation.problems.length > 0) return EXIT_CODES.VALIDATION_FAILED;
+  if (options.release && health.problems.length > 0) {
+    console.error('\nScrape health checks failed; the release calendar was not refreshed.');
+    console.error('Check the scrape, or relax the thresholds (see --help) if the change is expected.');
+    return EXIT_CODES.UNHEALTHY_SCRAPE;
+  }
+
+  console.log('\nProcess completed successfully!');
+  console.log(`The ICS file has been saved to: ${outputPath}`);
+  console.log('You can now import this file into your calendar application.');
+  return EXIT_CODES.OK;
+}
+
+async function verifyCommand({ positionals, options }) {
+  // Without a file, check the generated output, else the committed release copy
+  const paths = conferencePaths(options.conference);
+  let filePath = positionals[0] || options.output;
+  if (!filePath) filePath = (await fs.pathExists(paths.output)) ? paths.output : paths.release;
+  if (!(await fs.pathExists(filePath))) {
+    console.error(`No such calendar: ${filePath} (run generate first, or name a file)`);
+    return EXIT_CODES.USAGE;
+  }
+  const validation = await validateIcsFile(filePath, { conference: options.conference });
+  printValidation(filePath, validation);
+  return validation.problems.length > 0 ? EXIT_CODES.VALIDATION_FAILED : EXIT_CODES.OK;
+}
+
+async function diffCommand({ positionals, options }) {
+  const [beforePath, afterPath] = positionals;
+  if (!beforePath || !afterPath) {
+    console.error('diff needs two files: <before.ics|json> <after.ics|json>');
+    return EXIT_CODES.USAGE;
+  }
+  const diff = diffAgendas(
+    await loadAgendaSnapshot(beforePath, options.conference),
+    await loadAgendaSnapshot(afterPath, options.conference)
+  );
+  console.log(options.markdown ? formatDiffMarkdown(diff) : formatDiffText(diff));
+  return EXIT_CODES.OK;
+}
+
+async function conflictsCommand({ positionals, options }) {
+  let schedule;
+  if (positionals[0]) {
+    schedule = await loadSchedule(positionals[0], options.conference);
+  } else if (options.select) {
+    const selection = await loadSelection(options.select);
+    const loaded = await loadOrScrape(options);
+    if (!loaded) return EXIT_CODES.SCRAPE_FAILED;
+    const { sessions } = processSessions(loaded.rawSessions, options.conference);
+    const { sessions: selected, unmatched } = filterSessions(sessions, selection);
+    for (const entry of unmatched) {
+      console.warn(`Selection entry matched no sessions: ${entry}`);
+    }
+    schedule = selected;
+  } else {
+    console.error('conflicts needs a calendar file or --select <file>');
+    return EXIT_CODES.USAGE;
+  }
+
+  const report = analyzeSchedule(schedule, options.conflicts);
+  console.log(options.markdown ? formatConflictsMarkdown(report) : formatConflictsText(report));
+  return hasConflicts(report) ? EXIT_CODES.CONFLICTS : EXIT_CODES.OK;
+}
+
+async function serveCommand({ options }) {
+  // scrapeOrReport has already explained a failed scrape
+  const scrapeFailed = new Error('the agenda could not be scraped');
+  const server = new CalendarServer({
+    conference: options.conference,
+    speakerAttendees: options.speakerAttendees,
+    ...options.server,
+    ...(options.intervalMinutes === undefined ? {} : { intervalMinutes: options.intervalMinutes }),
+    load: async () => (await loadOrScrape(options)) || Promise.reject(scrapeFailed),
+  });
+
+  let url;
+  try {
+    url = await server.start();
+  } catch (error) {
+    console.error(`Could not start the feed server: ${error.message}`);
+    if (error === scrapeFailed) return EXIT_CODES.SCRAPE_FAILED;
+    return error.health ? EXIT_CODES.UNHEALTHY_SCRAPE : EXIT_CODES.ERROR;
+  }
+  const feedUrl = `${url}${server.feedPath}`;
+  console.log(`\nServing ${feedUrl}`);
+  console.log(`Subscribe with ${feedUrl.replace(/^http:/, 'webcal:')}`);
+  console.log(`Filtered feeds: ${feedUrl}?type=workshop&day=tuesday (also topic, speaker, session)`);
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  console.log('\nStopping the feed server...');
+  await server.stop();
+  return EXIT_CODES.OK;
+}
+
+async function watchCommand({ options }) {
+  const { conference } = options;
+  const watcher = new AgendaWatcher({
+    conference,
+    ...(options.intervalMinutes === undefined ? {} : { intervalMinutes: options.intervalMinutes }),
+    webhookUrl: options.webhookUrl,
+    scraper: options.scraper,
+    generate: {
+      outputPath: options.output ? path.resolve(options.output) : conferencePaths(conference).output,
+      release: options.release,
+      include: options.include,
+      exclude: options.exclude,
+      splitTracks: options.splitTracks,
+      attendeeZones: options.attendeeZones,
+      speakers: options.speakers,
+      speakerAttendees: options.speakerAttendees,
+      health: options.health,
+    },
+  });
+
+  const { intervalMinutes } = watcher.options;
+  console.log(`Watching the ${conference.name} agenda${intervalMinutes > 0 ? ` every ${intervalMinutes} minutes` : ''}`);
+  console.log(`Snapshot: ${watcher.snapshotPath}`);
+  const first = await watcher.start();
+  if (intervalMinutes === 0) {
+    return first.status === 'failed' ? EXIT_CODES.SCRAPE_FAILED : EXIT_CODES.OK;
+  }
+
+  await new Promise((resolve) => {
+    process.once('SIGINT', resolve);
+    process.once('SIGTERM', resolve);
+  });
+  console.log('\nStopping the watch...');
+  await watcher.stop();
+  return EXIT_CODES.OK;
+}
+
+async function publishCommand({ positionals, options }) {
+  const [url] = positionals;
+  if (!url) {
+    console.error('publish needs a CalDAV collection URL');
+    return EXIT_CODES.USAGE;
+  }
+  const { conference } = options;
+  const loaded = await loadOrScrape(options);
+  if (!loaded) return EXIT_CODES.SCRAPE_FAILED;
+  const { sessions } = processSessions(loaded.rawSessions, conference);
+  const published = filterByTrack(sessions, { include: options.include, exclude: options.exclude });
+
+  const publisher = new CalDavPublisher({
+    url,
+    conference,
+    speakerAttendees: options.speakerAttendees,
+    health: options.health,
+    ...options.caldav,
+  });
+  console.log(`Publishing ${published.length} sessions to ${publisher.collectionUrl}...`);
+  let result;
+  try {
+    result = await publisher.publish(published, loaded.stats);
+  } catch (error) {
+    console.error(`CalDAV publishing failed: ${error.message}`);
+    return EXIT_CODES.ERROR;
+  }
+
+  printHealth(result.health, 'CalDAV calendar');
+  if (result.health.problems.length > 0) {
+    console.error('\nScrape health checks failed; the CalDAV calendar was not changed.');
+    return EXIT_CODES.UNHEALTHY_SCRAPE;
+  }
+  const { created, updated, cancelled, deleted, unchanged, conflicts } = result;
+  console.log(
+    `\nCreated ${created}, updated ${updated}, cancelled ${cancelled}, deleted ${deleted}, unchanged ${unchanged}`
+  );
+  for (const uid of conflicts) {
+    console.warn(`Changed on the server since it was read, left as is: ${uid}`);
+  }
+  return EXIT_CODES.OK;
+}
+
+async function doctorCommand({ positionals, options }) {
+  const [target] = positionals;
+  if (!target) {
+    console.error('doctor needs a saved page or a snapshot directory');
+    return EXIT_CODES.USAGE;
+  }
+  if (!(await fs.pathExists(target))) {
+    console.error(`No such page or snapshot: ${target}`);
+    return EXIT_CODES.USAGE;
+  }
+  const { conference } = options;
+  const selectors = conference.selectors || loadSelectorProfile(DEFAULT_SELECTOR_PROFILE);
+  const pages = (await fs.stat(target)).isDirectory()
+    ? await snapshotPages(target, selectors, conference)
+    : [{ url: target, kind: options.pageKind, html: await fs.readFile(target, 'utf8') }];
+
+  const sections = diagnosePages(pages, selectors);
+  console.log(formatDoctorReport(sections, selectors));
+  return zeroMatches(sections).length > 0 ? EXIT_CODES.SCRAPE_FAILED : EXIT_CODES.OK;
+}
+
+const HANDLERS = {
+  generate: generateCommand,
+  scrape: scrapeCommand,
+  verify: verifyCommand,
+  diff: diffCommand,
+  conflicts: conflictsCommand,
+  serve: serveCommand,
+  watch: watchCommand,
+  publish: publishCommand,
+  doctor: doctorCommand,
+  help: async () => {
+    console.log(USAGE);
+    return EXIT_CODES.OK;
+  },
+};
+
+/**
+ * Run the command line
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code (see EXIT_CODES)
+ */
+export async function runCli(argv) {
+  let parsed;
+  try {
+    parsed = parseCliArgs(argv);
+  } catch (error) {
+    console.error(error.message);
+    console.error(USAGE);
+    return EXIT_CODES.USAGE;
+  }
+
+  try {
+    return await HANDLERS[parsed.command](parsed);
+  } catch (error) {
+    console.error('\nAn error occurred during execution:');
+    console.error(error);
+    return EXIT_CODES.ERROR;
+  }
+}
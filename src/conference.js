@@ -0,0 +1,108 @@
+/**
+ * Conference profiles.
+ *
+ * Everything that changes from one conference (or year) to the next lives in
+ * a JSON profile under conferences/: name and year, agenda URL, venue
+ * timezone, venue map, site adapter and its selector profile, calendar name
+ * and PRODID, default location, UID scheme, output file names and scrape
+ * health thresholds.
+ * Generating a new year is a matter of adding a profile.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { DEFAULT_TIMEZONE, isValidZone } from './timezone.js';
+import { loadVenue, validateVenue } from './venue.js';
+import { loadSelectorProfile, validateSelectorProfile } from './selectors.js';
+import { normalizeHealthThresholds } from './health.js';
+
+/** Directory holding the bundled conference profiles */
+export const CONFERENCES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'conferences');
+
+/** Profile used when none is specified */
+export const DEFAULT_CONFERENCE_ID = 'identiverse-2026';
+
+const REQUIRED_FIELDS = [
+  'id',
+  'name',
+  'year',
+  'agendaUrl',
+  'defaultLocation',
+  'calendar.name',
+  'calendar.prodId',
+  'uid.prefix',
+  'uid.domain',
+  'output.file',
+  'output.release',
+];
+
+const getField = (obj, dotted) => dotted.split('.').reduce((value, key) => value?.[key], obj);
+
+/**
+ * Validate a parsed profile
+ * @param {Object} profile - Parsed profile JSON
+ * @param {string} [source] - Where the profile came from, for error messages
+ * @returns {Object} The profile with defaults applied (timezone, health
+ *   thresholds) and its venue map and selector profile loaded (`venue` and
+ *   `selectors` name a file in venues/ or selectors/, or are inline), frozen
+ * @throws {Error} When a required field is missing or malformed
+ */
+export function validateConference(profile, source = 'conference profile') {
+  for (const field of REQUIRED_FIELDS) {
+    const value = getField(profile, field);
+    if (value === undefined || value === null || value === '') {
+      throw new Error(`${source}: missing "${field}"`);
+    }
+  }
+  if (!Number.isInteger(profile.year)) {
+    throw new Error(`${source}: "year" must be an integer`);
+  }
+  try {
+    new URL(profile.agendaUrl);
+  } catch {
+    throw new Error(`${source}: "agendaUrl" is not a valid URL`);
+  }
+  for (const field of ['startDate', 'endDate']) {
+    if (profile[field] !== undefined && !/^\d{4}-\d{2}-\d{2}$/.test(profile[field])) {
+      throw new Error(`${source}: "${field}" must be an ISO date (YYYY-MM-DD)`);
+    }
+  }
+  // The name is checked against the registered adapters when scraping
+  if (profile.adapter !== undefined && (typeof profile.adapter !== 'string' || !profile.adapter)) {
+    throw new Error(`${source}: "adapter" must be a site adapter name`);
+  }
+  if (profile.timezone !== undefined && !isValidZone(profile.timezone)) {
+    throw new Error(`${source}: "timezone" is not a known IANA zone: ${profile.timezone}`);
+  }
+  let venue = null;
+  if (typeof profile.venue === 'string') {
+    venue = loadVenue(profile.venue);
+  } else if (profile.venue) {
+    venue = validateVenue(profile.venue, `${source} venue`);
+  }
+  let selectors = null;
+  if (typeof profile.selectors === 'string') {
+    selectors = loadSelectorProfile(profile.selectors);
+  } else if (profile.selectors) {
+    selectors = validateSelectorProfile(profile.selectors, `${source} selectors`);
+  }
+  const health = normalizeHealthThresholds(profile.health, `${source} health`);
+  return Object.freeze({ timezone: DEFAULT_TIMEZONE, ...profile, venue, selectors, health });
+}
+
+/**
+ * Load a conference profile by id (a file in conferences/) or by path
+ * @param {string} [idOrPath] - e.g. "identiverse-2025" or "./my-conference.json"
+ * @returns {Object} Validated profile
+ */
+export function loadConference(idOrPath = DEFAULT_CONFERENCE_ID) {
+  const filePath = idOrPath.endsWith('.json') ? path.resolve(idOrPath) : path.join(CONFERENCES_DIR, `${idOrPath}.json`);
+  if (!fs.pathExistsSync(filePath)) {
+    throw new Error(`Conference profile not found: ${filePath}`);
+  }
+  return validateConference(fs.readJsonSync(filePath), filePath);
+}
+
+/** The default (current) conference */
+export const DEFAULT_CONFERENCE = loadConference();
@@ -0,0 +1,204 @@
+/**
+ * Conflict analysis for a personal schedule.
+ *
+ * Works on processed sessions (Luxon startTime/endTime, and `place` from the
+ * venue map when the conference has one) and reports sessions that overlap,
+ * back-to-back sessions in rooms too far apart to make in time, and free gaps
+ * in each day. Lower-priority overlapping sessions can be marked so the
+ * personal calendar shows them as free time.
+ */
+
+import { readIcsFile } from './icsReader.js';
+import { entriesFromIcsEvents } from './agendaDiff.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { resolveRoom } from './venue.js';
+
+const MINUTE = 60 * 1000;
+
+const minutesBetween = (from, to) => Math.round((to.toMillis() - from.toMillis()) / MINUTE);
+const byStart = (a, b) => a.startTime.toMillis() - b.startTime.toMillis() || a.endTime.toMillis() - b.endTime.toMillis();
+
+/**
+ * Whether two sessions are in rooms too far apart for a quick walk: in
+ * different buildings or on different floors. Rooms the venue map doesn't
+ * know are never flagged.
+ * @param {Object} a - Processed session
+ * @param {Object} b - Processed session
+ * @returns {boolean}
+ */
+export function roomsFarApart(a, b) {
+  const [p, q] = [a.place, b.place];
+  if (!p?.room || !q?.room || !p.known || !q.known) return false;
+  return p.building !== q.building || p.floor !== q.floor;
+}
+
+/**
+ * Analyze a schedule
+ * @param {Array} sessions - Processed session objects
+ * @param {Object} [options]
+ * @param {number} [options.transferMinutes] - A gap this short between rooms
+ *   far apart counts as a tight transfer (default 10)
+ * @param {number} [options.minGapMinutes] - Report free gaps at least this
+ *   long between the first and last session of a day (default 30)
+ * @returns {Object} { sessionCount, overlaps, tightTransfers, gaps } where
+ *   overlaps and tight transfers are { first, second, minutes } and gaps are
+ *   { start, end, minutes }
+ */
+export function analyzeSchedule(sessions, options = {}) {
+  const { transferMinutes = 10, minGapMinutes = 30 } = options;
+  const sorted = [...sessions].sort(byStart);
+  const report = { sessionCount: sorted.length, overlaps: [], tightTransfers: [], gaps: [] };
+
+  for (let i = 0; i < sorted.length; i++) {
+    const first = sorted[i];
+    for (let j = i + 1; j < sorted.length; j++) {
+      const second = sorted[j];
+      const gap = minutesBetween(first.endTime, second.startTime);
+      if (gap > transferMinutes) break;
+      if (gap < 0) {
+        const end = first.endTime < second.endTime ? first.endTime : second.endTime;
+        report.overlaps.push({ first, second, minutes: minutesBetween(second.startTime, end) });
+      } else if (roomsFarApart(first, second)) {
+        report.tightTransfers.push({ first, second, minutes: gap });
+      }
+    }
+  }
+
+  // Free time between blocks of back-to-back or overlapping sessions, per day
+  let blockEnd = null;
+  for (const session of sorted) {
+    const sameDay = blockEnd && blockEnd.hasSame(session.startTime, 'day');
+    if (sameDay && minutesBetween(blockEnd, session.startTime) >= minGapMinutes) {
+      report.gaps.push({ start: blockEnd, end: session.startTime, minutes: minutesBetween(blockEnd, session.startTime) });
+    }
+    blockEnd = sameDay && blockEnd > session.endTime ? blockEnd : session.endTime;
+  }
+
+  return report;
+}
+
+/**
+ * Whether a report has overlaps or tight transfers (gaps are not conflicts)
+ * @param {Object} report - Result of analyzeSchedule
+ * @returns {boolean}
+ */
+export const hasConflicts = (report) => report.overlaps.length > 0 || report.tightTransfers.length > 0;
+
+/**
+ * Mark lower-priority overlapping sessions as transparent (shown as free).
+ * Sessions are kept in priority order, then by start time; each session that
+ * overlaps one already kept is marked.
+ * @param {Array} sessions - Processed session objects
+ * @param {Function} [rank] - session => priority, higher wins (see selectionRank)
+ * @returns {Object} { sessions, transparent } where sessions are copies in the
+ *   original order, with `transparent: true` on the marked ones
+ */
+export function markConflicts(sessions, rank = () => 0) {
+  const order = sessions
+    .map((session, index) => ({ session, index, rank: rank(session) }))
+    .sort((a, b) => b.rank - a.rank || byStart(a.session, b.session) || a.index - b.index);
+
+  const kept = [];
+  const marked = new Set();
+  for (const { session, index } of order) {
+    const overlaps = kept.some((other) => session.startTime < other.endTime && other.startTime < session.endTime);
+    if (overlaps) marked.add(index);
+    else kept.push(session);
+  }
+
+  const result = sessions.map((session, index) => ({ ...session, transparent: marked.has(index) }));
+  return { sessions: result, transparent: result.filter((session) => session.transparent) };
+}
+
+/**
+ * Load a schedule from a calendar (e.g. a personal ICS), resolving rooms
+ * against the conference's venue map. Cancelled events are skipped.
+ * @param {string} filePath - Path to the ICS file
+ * @param {Object} [conference] - Conference profile (timezone, venue)
+ * @returns {Promise<Array>} Session-like objects: { uid, title, startTime,
+ *   endTime, location, place }
+ */
+export async function loadSchedule(filePath, conference = DEFAULT_CONFERENCE) {
+  const entries = entriesFromIcsEvents(await readIcsFile(filePath, conference.timezone));
+  return entries
+    .filter((entry) => entry.end)
+    .map((entry) => ({
+      uid: entry.uid,
+      title: entry.title,
+      startTime: entry.start,
+      endTime: entry.end,
+      location: entry.location,
+      place: conference.venue ? resolveRoom(conference.venue, entry.location) : null,
+    }));
+}
+
+const formatTime = (dateTime) => dateTime.toFormat('h:mm a');
+const formatDay = (dateTime) => dateTime.toFormat('ccc LLL d');
+const describe = (session, em) =>
+  `${em(session.title)} (${formatTime(session.startTime)}–${formatTime(session.endTime)}` +
+  `${session.location ? `, ${session.location}` : ''})`;
+const roomWithFloor = (session) =>
+  [session.place?.room || session.location, session.place?.floor].filter(Boolean).join(', ');
+
+/**
+ * Build report sections shared by the text and Markdown renderers.
+ * @param {Object} report - Result of analyzeSchedule
+ * @param {Function} em - Emphasis for session titles
+ * @returns {Array} Sections: { heading, lines }
+ */
+function reportSections(report, em) {
+  const sections = [
+    {
+      heading: 'Overlaps',
+      lines: report.overlaps.map(
+        ({ first, second, minutes }) =>
+          `${formatDay(first.startTime)}: ${describe(first, em)} and ${describe(second, em)} overlap by ${minutes} min`
+      ),
+    },
+    {
+      heading: 'Tight transfers',
+      lines: report.tightTransfers.map(
+        ({ first, second, minutes }) =>
+          `${formatDay(first.startTime)}: ${em(first.title)} (${roomWithFloor(first)}) → ${em(second.title)} ` +
+          `(${roomWithFloor(second)}) with ${minutes} min to get there`
+      ),
+    },
+    {
+      heading: 'Free gaps',
+      lines: report.gaps.map(
+        ({ start, end, minutes }) => `${formatDay(start)}, ${formatTime(start)}–${formatTime(end)} (${minutes} min)`
+      ),
+    },
+  ];
+  return sections.filter((section) => section.lines.length > 0);
+}
+
+const summaryLine = (report) =>
+  `${report.sessionCount} sessions, ${report.overlaps.length} overlaps, ` +
+  `${report.tightTransfers.length} tight transfers, ${report.gaps.length} free gaps`;
+
+/**
+ * Render a conflict report as plain text
+ * @param {Object} report - Result of analyzeSchedule
+ * @returns {string}
+ */
+export function formatConflictsText(report) {
+  const out = [`Schedule: ${summaryLine(report)}`];
+  for (const { heading, lines } of reportSections(report, (t) => t)) {
+    out.push('', `${heading.toUpperCase()} (${lines.length})`, ...lines.map((l) => `  - ${l}`));
+  }
+  return out.join('\n');
+}
+
+/**
+ * Render a conflict report as Markdown
+ * @param {Object} report - Result of analyzeSchedule
+ * @returns {string}
+ */
+export function formatConflictsMarkdown(report) {
+  const out = ['## Schedule conflicts', '', summaryLine(report)];
+  for (const { heading, lines } of reportSections(report, (t) => `**${t}**`)) {
+    out.push('', `### ${heading} (${lines.length})`, '', ...lines.map((l) => `- ${l}`));
+  }
+  return out.join('\n');
+}
@@ -2,9 +2,19 @@
  * Data processing and normalization for the Identiverse calendar generator
  */
 
-import { parseLasVegasTime, formatDescription, generateUID } from './utils.js';
+import { parseSessionTime, formatDescription, generateUID } from './utils.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { normalizeSpeaker } from './speakers.js';
+import { resolveRoom } from './venue.js';
 
 export class DataProcessor {
+  /**
+   * @param {Object} [conference] - Conference profile (year, timezone, venue, default location, UID scheme)
+   */
+  constructor(conference = DEFAULT_CONFERENCE) {
+    this.conference = conference;
+  }
+
   /**
    * Process raw session data and convert times
    * @param {Array} rawSessions - Array of raw session objects from scraper
@@ -23,7 +33,10 @@ export class DataProcessor {
       }
 
       try {
-        const { start, end } = parseLasVegasTime(session.date, session.time);
+        const { start, end } = parseSessionTime(session.date, session.time, {
+          year: this.conference.year,
+          zone: this.conference.timezone,
+        });
 
         // Session ID for stable UIDs: prefer the grid's data-sessionid,
         // fall back to an idvid= match in the details URL
@@ -32,14 +45,22 @@ export class DataProcessor {
           session.detailsUrl?.match(/idvid=(\d+)/)?.[1] ||
           null;
 
+        // Canonical room name plus building/floor/address from the venue map
+        const place = this.conference.venue ? resolveRoom(this.conference.venue, session.location) : null;
+
         return {
           title,
-          description: formatDescription(session),
-          location: session.location || 'Mandalay Bay, Las Vegas, NV',
+          description: formatDescription(session, start),
+          location: place?.room || session.location || this.conference.defaultLocation,
+          place,
           startTime: start,
           endTime: end,
-          uid: generateUID(title, start, sessionId),
+          uid: generateUID(title, start, sessionId, this.conference),
           type: session.type || 'Session',
+          topics: session.topics || [],
+          speakers: (session.speakers || []).map(normalizeSpeaker),
+          abstract: session.description || '',
+          detailsUrl: session.detailsUrl || null,
           sessionId,
         };
       } catch (error) {
@@ -0,0 +1,188 @@
+/**
+ * Selector diagnostics: run a selector profile against saved pages and
+ * report what each selector matched.
+ *
+ * When the site changes, the scrape usually still "works" but comes back
+ * thinner — no rooms, no speakers, no sessions at all. `doctor` shows which
+ * selectors stopped matching, on a single saved page or on every page of a
+ * snapshot (see snapshot.js), so the selector profile can be fixed before
+ * the next real scrape.
+ */
+
+import * as cheerio from 'cheerio';
+import { PageSnapshot } from './snapshot.js';
+import { AGENDA_SETTINGS, DETAIL_LAYOUTS, SELECTOR_SCOPES, selectorList } from './selectors.js';
+import { detectDetailTemplate, parseAgendaSessions } from './adapters/identiverse.js';
+
+/** Page kinds doctor can check */
+export const PAGE_KINDS = ['agenda', 'detail', 'speaker'];
+
+const describe = (selector) => selectorList(selector).join(' | ');
+
+/** Classes starting with a prefix (and not just the prefix) */
+const hasClassPrefix = (el, prefix) =>
+  (el.attribs?.class || '').split(/\s+/).some((cls) => cls.startsWith(prefix) && cls !== prefix);
+
+/**
+ * Match the scoped selectors of a section, each inside its scope's elements
+ * @returns {Object} { checks, found } where found maps keys to their matches
+ */
+function checkScoped($, section, selectors) {
+  const found = { document: $.root() };
+  const checks = [];
+  for (const [key, scope] of Object.entries(SELECTOR_SCOPES[section])) {
+    found[key] = found[scope].find(selectorList(selectors[key]).join(', '));
+    checks.push({ key, path: `${section}.${key}`, selector: describe(selectors[key]), count: found[key].length });
+  }
+  return { checks, found };
+}
+
+/**
+ * Count what each selector of the profile matches on one page
+ * @param {string} html - Page HTML
+ * @param {Object} selectors - Selector profile
+ * @param {string} kind - "agenda", "detail" or "speaker"
+ * @returns {Object} { kind, template, checks } where checks are { key, path,
+ *   selector, count, optional } and template is the detail template used
+ *   (null when none matched, or for other kinds)
+ */
+export function diagnosePage(html, selectors, kind) {
+  const $ = cheerio.load(html);
+  const optional = new Set(selectors.optional || []);
+  const withOptional = (checks) => checks.map((check) => ({ ...check, optional: optional.has(check.path) }));
+
+  if (kind === 'detail') {
+    const template = detectDetailTemplate($, selectors);
+    const count = (selector) => $(selectorList(selector).join(', ')).length;
+    // Without a template, what matters is that no detection rule matched
+    const checks = template
+      ? ['detect', ...DETAIL_LAYOUTS[template.layout]].map((key) => ({
+          key,
+          path: `detail.${template.name}.${key}`,
+          selector: describe(template[key]),
+          count: count(template[key]),
+        }))
+      : selectors.detail.templates.map(({ name, detect }) => ({
+          key: `detect (${name})`,
+          path: `detail.${name}.detect`,
+          selector: describe(detect),
+          count: 0,
+        }));
+    return { kind, template: template?.name || null, checks: withOptional(checks) };
+  }
+
+  const { checks, found } = checkScoped($, kind, selectors[kind]);
+  if (kind === 'agenda') {
+    const agenda = selectors.agenda;
+    const settings = {
+      dayIdPrefix: [found.day, (el) => (el.attribs?.id || '').startsWith(agenda.dayIdPrefix), `id^="${agenda.dayIdPrefix}"`],
+      sessionIdAttribute: [found.entry, (el) => Boolean(el.attribs?.[agenda.sessionIdAttribute]), `[${agenda.sessionIdAttribute}]`],
+      typeClassPrefix: [found.entry, (el) => hasClassPrefix(el, agenda.typeClassPrefix), `class ${agenda.typeClassPrefix}*`],
+      topicClassPrefix: [found.entry, (el) => hasClassPrefix(el, agenda.topicClassPrefix), `class ${agenda.topicClassPrefix}*`],
+    };
+    for (const key of AGENDA_SETTINGS) {
+      const [elements, matches, selector] = settings[key];
+      checks.push({ key, path: `agenda.${key}`, selector, count: elements.toArray().filter(matches).length });
+    }
+  }
+  return { kind, template: null, checks: withOptional(checks) };
+}
+
+/**
+ * Diagnose several pages, grouping pages of the same kind (and detail
+ * template) into one section with summed counts
+ * @param {Array<Object>} pages - { url, kind, html }
+ * @param {Object} selectors - Selector profile
+ * @returns {Array<Object>} Sections { kind, template, urls, checks } in
+ *   agenda, detail, speaker order; a selector that matched on no page of its
+ *   section has count 0
+ */
+export function diagnosePages(pages, selectors) {
+  const sections = new Map();
+  for (const page of pages) {
+    const report = diagnosePage(page.html, selectors, page.kind);
+    const id = `${PAGE_KINDS.indexOf(page.kind)}:${report.template ?? ''}`;
+    if (!sections.has(id)) {
+      sections.set(id, { kind: page.kind, template: report.template, urls: [], checks: report.checks.map((check) => ({ ...check, count: 0 })) });
+    }
+    const section = sections.get(id);
+    section.urls.push(page.url);
+    report.checks.forEach((check, i) => {
+      section.checks[i].count += check.count;
+    });
+  }
+  return [...sections.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([, section]) => section);
+}
+
+/**
+ * The pages of a snapshot by kind: the agenda page, then the detail and
+ * speaker pages it links to (read with the profile being checked)
+ * @param {string} dir - Snapshot directory
+ * @param {Object} selectors - Selector profile
+ * @param {Object} conference - Conference profile
+ * @returns {Promise<Array<Object>>} { url, kind, html }; pages the agenda
+ *   does not link to are left out
+ * @throws {Error} When the snapshot has no agenda page
+ */
+export async function snapshotPages(dir, selectors, conference) {
+  const snapshot = await PageSnapshot.load(dir);
+  const agendaUrl = snapshot.agendaUrl;
+  if (!agendaUrl || !snapshot.has(agendaUrl)) {
+    throw new Error(`Snapshot ${dir} has no agenda page`);
+  }
+  const agendaHtml = await snapshot.read(agendaUrl);
+  const sessions = parseAgendaSessions(agendaHtml, agendaUrl, { ...conference, selectors });
+  const detailUrls = new Set(sessions.map((session) => session.detailsUrl).filter(Boolean));
+  const speakerUrls = new Set(sessions.flatMap((session) => session.speakers.map((speaker) => speaker.profileUrl)).filter(Boolean));
+
+  const pages = [{ url: agendaUrl, kind: 'agenda', html: agendaHtml }];
+  for (const url of Object.keys(snapshot.pages).sort()) {
+    const kind = detailUrls.has(url) ? 'detail' : speakerUrls.has(url) ? 'speaker' : null;
+    if (kind) pages.push({ url, kind, html: await snapshot.read(url) });
+  }
+  return pages;
+}
+
+/** Required selectors that matched nothing, across all sections */
+export const zeroMatches = (sections) =>
+  sections.flatMap((section) => section.checks.filter((check) => check.count === 0 && !check.optional));
+
+/** Pages listed per section before the rest are summarized as a count */
+const MAX_LISTED_URLS = 5;
+
+/**
+ * Render a doctor report
+ * @param {Array<Object>} sections - From diagnosePages
+ * @param {Object} selectors - Selector profile that was checked
+ * @returns {string}
+ */
+export function formatDoctorReport(sections, selectors) {
+  const lines = [`Selector profile ${selectors.id} (version ${selectors.version})`];
+  const width = Math.max(...sections.flatMap((section) => section.checks.map((check) => check.key.length)));
+
+  for (const section of sections) {
+    const pages = `${section.urls.length} page${section.urls.length === 1 ? '' : 's'}`;
+    let title = `${section.kind[0].toUpperCase()}${section.kind.slice(1)} pages (${pages})`;
+    if (section.kind === 'detail') {
+      title = section.template ? `Detail pages, template "${section.template}" (${pages})` : `Detail pages matching no template (${pages})`;
+    }
+    lines.push('', title);
+    for (const { key, selector, count, optional } of section.checks) {
+      const mark = count > 0 ? '✓' : optional ? '-' : '✗';
+      lines.push(`  ${mark} ${key.padEnd(width)} ${String(count).padStart(5)}  ${selector}${optional ? '  (optional)' : ''}`);
+    }
+    if (section.kind === 'detail' && !section.template) {
+      for (const url of section.urls.slice(0, MAX_LISTED_URLS)) lines.push(`    ${url}`);
+      if (section.urls.length > MAX_LISTED_URLS) lines.push(`    ... and ${section.urls.length - MAX_LISTED_URLS} more`);
+    }
+  }
+
+  const zero = [...new Set(zeroMatches(sections).map((check) => check.path))];
+  lines.push(
+    '',
+    zero.length === 0
+      ? 'Every required selector matched.'
+      : `${zero.length} selector${zero.length === 1 ? '' : 's'} matched no elements: ${zero.join(', ')}`
+  );
+  return lines.join('\n');
+}
@@ -0,0 +1,154 @@
+/**
+ * Structured exports of the processed agenda, written next to the calendar.
+ *
+ * Each exporter takes processed sessions (see DataProcessor) and writes one
+ * file with generateFile(sessions, outputPath), named after the calendar
+ * plus the exporter's static fileSuffix; EXPORTERS maps the command-line
+ * format names to them.
+ */
+
+import fs from 'fs-extra';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { HTMLAgendaGenerator } from './htmlAgenda.js';
+import { SpeakerIndexExporter, normalizeSpeaker } from './speakers.js';
+
+/**
+ * Flatten a processed session into a plain, serializable record
+ * @param {Object} session - Processed session object
+ * @returns {Object} Record with ISO times and structured speakers
+ */
+export function sessionRecord(session) {
+  return {
+    sessionId: session.sessionId || null,
+    uid: session.uid,
+    title: session.title,
+    type: session.type,
+    topics: session.topics || [],
+    date: session.startTime.toISODate(),
+    start: session.startTime.toISO({ suppressMilliseconds: true }),
+    end: session.endTime.toISO({ suppressMilliseconds: true }),
+    location: session.location,
+    speakers: (session.speakers || []).map(normalizeSpeaker).map(({ name, title, jobTitle, company }) => ({
+      name,
+      title,
+      jobTitle,
+      company,
+    })),
+    detailsUrl: session.detailsUrl || null,
+    abstract: session.abstract || '',
+  };
+}
+
+/** Records sorted by start time, then title */
+const sortedRecords = (sessions) =>
+  [...sessions]
+    .sort((a, b) => a.startTime.toMillis() - b.startTime.toMillis() || a.title.localeCompare(b.title))
+    .map(sessionRecord);
+
+export class JSONExporter {
+  static fileSuffix = '.json';
+
+  constructor(options = {}) {
+    this.options = {
+      conference: DEFAULT_CONFERENCE, // Profile described in the export header
+      ...options,
+    };
+  }
+
+  /**
+   * Build the export document
+   * @param {Array} sessions - Processed session objects
+   * @returns {Object} { conference, generatedAt, sessionCount, sessions }
+   */
+  build(sessions) {
+    const { id, name, timezone } = this.options.conference;
+    return {
+      conference: { id, name, timezone },
+      generatedAt: new Date().toISOString(),
+      sessionCount: sessions.length,
+      sessions: sortedRecords(sessions),
+    };
+  }
+
+  /**
+   * Write the JSON export
+   * @param {Array} sessions - Processed session objects
+   * @param {string} outputPath - Destination file
+   * @returns {Promise<string>} Path to the written file
+   */
+  async generateFile(sessions, outputPath) {
+    await fs.outputJson(outputPath, this.build(sessions), { spaces: 2 });
+    console.log(`JSON export saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
+
+/** CSV columns: header name and how to read it from a session record */
+const CSV_COLUMNS = [
+  ['session_id', (r) => r.sessionId],
+  ['uid', (r) => r.uid],
+  ['date', (r) => r.date],
+  ['start', (r) => r.start],
+  ['end', (r) => r.end],
+  ['title', (r) => r.title],
+  ['type', (r) => r.type],
+  ['topics', (r) => r.topics.join('; ')],
+  ['location', (r) => r.location],
+  ['speakers', (r) => r.speakers.map((s) => (s.title ? `${s.name} (${s.title})` : s.name)).join('; ')],
+  ['details_url', (r) => r.detailsUrl],
+  ['abstract', (r) => r.abstract],
+];
+
+/**
+ * Quote a CSV field per RFC 4180 when it contains a delimiter, quote or newline.
+ * Scraped text that a spreadsheet would run as a formula (starting with =, +,
+ * -, @, tab or carriage return) is prefixed with an apostrophe.
+ * @param {*} value
+ * @returns {string}
+ */
+export function csvField(value) {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export class CSVExporter {
+  static fileSuffix = '.csv';
+
+  constructor(options = {}) {
+    this.options = { ...options };
+  }
+
+  /**
+   * Build the CSV text: a header row, then one row per session (CRLF line endings)
+   * @param {Array} sessions - Processed session objects
+   * @returns {string}
+   */
+  build(sessions) {
+    const rows = [CSV_COLUMNS.map(([header]) => header)];
+    for (const record of sortedRecords(sessions)) {
+      rows.push(CSV_COLUMNS.map(([, read]) => read(record)));
+    }
+    return rows.map((row) => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Write the CSV export
+   * @param {Array} sessions - Processed session objects
+   * @param {string} outputPath - Destination file
+   * @returns {Promise<string>} Path to the written file
+   */
+  async generateFile(sessions, outputPath) {
+    await fs.outputFile(outputPath, this.build(sessions), 'utf8');
+    console.log(`CSV export saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
+
+/** Export formats selectable with --export */
+export const EXPORTERS = {
+  json: JSONExporter,
+  csv: CSVExporter,
+  html: HTMLAgendaGenerator,
+  speakers: SpeakerIndexExporter,
+};
@@ -0,0 +1,104 @@
+/**
+ * Scrape health checks that guard the committed release calendar.
+ *
+ * A site redesign or a run where many detail pages fail still produces a
+ * valid calendar, just a worse one. These checks compare a run against
+ * sanity thresholds — set in the conference profile's `health` block and
+ * overridable on the command line — and any failure keeps the release copy
+ * as it was.
+ */
+
+/** Thresholds used when the profile sets none */
+export const DEFAULT_HEALTH = Object.freeze({
+  minSessions: 50, // Fewest sessions a complete agenda can have
+  maxDropPercent: 25, // Largest drop in session count versus the release calendar
+  maxDetailFailures: 10, // Most detail pages that may fail to fetch
+  minRoomFraction: 0.5, // Smallest share of sessions with a room from the agenda
+});
+
+const LIMITS = {
+  minSessions: { max: Infinity, integer: true },
+  maxDropPercent: { max: 100 },
+  maxDetailFailures: { max: Infinity, integer: true },
+  minRoomFraction: { max: 1 },
+};
+
+/**
+ * Validate health thresholds and apply the defaults
+ * @param {Object} [raw] - e.g. a profile's `health` block
+ * @param {string} [source] - Where the thresholds came from, for error messages
+ * @returns {Object} { minSessions, maxDropPercent, maxDetailFailures, minRoomFraction }
+ * @throws {Error} On unknown keys or out-of-range values
+ */
+export function normalizeHealthThresholds(raw = {}, source = 'health thresholds') {
+  for (const [key, value] of Object.entries(raw)) {
+    const limit = LIMITS[key];
+    if (!limit) throw new Error(`${source}: unknown health threshold "${key}"`);
+    const valid = typeof value === 'number' && value >= 0 && value <= limit.max && (!limit.integer || Number.isInteger(value));
+    if (!valid) {
+      const range = limit.max === Infinity ? 'a non-negative integer' : `a number from 0 to ${limit.max}`;
+      throw new Error(`${source}: "${key}" must be ${range}`);
+    }
+  }
+  return Object.freeze({ ...DEFAULT_HEALTH, ...raw });
+}
+
+/**
+ * Whether a session has a room from the agenda rather than the default location
+ * @param {Object} session - Processed session object
+ * @param {Object} conference - Conference profile
+ * @returns {boolean}
+ */
+const hasRoom = (session, conference) => Boolean(session.location) && session.location !== conference.defaultLocation;
+
+const percent = (fraction) => `${Math.round(fraction * 1000) / 10}%`;
+
+/**
+ * Check a run against the thresholds
+ * @param {Object} run
+ * @param {Array} run.sessions - Processed session objects
+ * @param {Object} run.conference - Conference profile
+ * @param {Array} [run.previousEvents] - Events of the previous calendar (the
+ *   release calendar, or the feed server's last load)
+ * @param {Object} [run.stats] - Scraper stats (null for a saved scrape, which
+ *   skips the detail page check)
+ * @param {Object} [thresholds] - Normalized thresholds
+ * @returns {Object} { metrics, problems } where metrics are { sessions,
+ *   previousSessions, dropPercent, detailPages, detailFailures, roomFraction }
+ *   (null when not measured) and problems explain each failed check
+ */
+export function checkScrapeHealth({ sessions, conference, previousEvents = [], stats = null }, thresholds = DEFAULT_HEALTH) {
+  const previousSessions = previousEvents.filter((event) => event.status !== 'CANCELLED').length || null;
+  const metrics = {
+    sessions: sessions.length,
+    previousSessions,
+    dropPercent: previousSessions ? Math.max(0, ((previousSessions - sessions.length) / previousSessions) * 100) : null,
+    detailPages: stats ? stats.detailPages : null,
+    detailFailures: stats ? stats.detailFailures : null,
+    roomFraction: sessions.length > 0 ? sessions.filter((session) => hasRoom(session, conference)).length / sessions.length : null,
+  };
+
+  const problems = [];
+  if (metrics.sessions < thresholds.minSessions) {
+    problems.push(`Only ${metrics.sessions} sessions scraped; at least ${thresholds.minSessions} expected`);
+  }
+  if (metrics.dropPercent !== null && metrics.dropPercent > thresholds.maxDropPercent) {
+    problems.push(
+      `Session count dropped ${Math.round(metrics.dropPercent)}% (${previousSessions} → ${metrics.sessions}) ` +
+        `versus the previous calendar; at most ${thresholds.maxDropPercent}% allowed`
+    );
+  }
+  if (metrics.detailFailures !== null && metrics.detailFailures > thresholds.maxDetailFailures) {
+    problems.push(
+      `${metrics.detailFailures} of ${metrics.detailPages} detail pages failed; ` +
+        `at most ${thresholds.maxDetailFailures} allowed`
+    );
+  }
+  if (metrics.roomFraction !== null && metrics.roomFraction < thresholds.minRoomFraction) {
+    problems.push(
+      `Only ${percent(metrics.roomFraction)} of sessions have a room; ` +
+        `at least ${percent(thresholds.minRoomFraction)} expected`
+    );
+  }
+  return { metrics, problems };
+}
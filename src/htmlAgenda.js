@@ -0,0 +1,264 @@
+/**
+ * Self-contained HTML agenda: one timeline grid per day with rooms as
+ * columns, session cards color-coded by type, a client-side text filter and
+ * a print stylesheet that turns each day into a compact chronological list.
+ */
+
+import fs from 'fs-extra';
+import { DataProcessor } from './dataProcessor.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { describeZone } from './utils.js';
+
+/** Minutes per grid row */
+const SLOT_MINUTES = 5;
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Stable hue for a session type, so each type keeps its color between runs
+ * @param {string} type
+ * @returns {number} Hue in degrees
+ */
+export function typeHue(type) {
+  let hash = 0;
+  for (const char of type || '') {
+    hash = (hash * 31 + char.codePointAt(0)) % 360;
+  }
+  return hash;
+}
+
+/**
+ * Spread overlapping sessions of one room over side-by-side lanes: each
+ * session takes the first lane that is free when it starts
+ * @param {Array} sessions - One room's sessions, sorted by start time
+ * @returns {Object} { lanes: Map of session to lane index, count }
+ */
+function assignLanes(sessions) {
+  const laneEnds = [];
+  const lanes = new Map();
+  for (const session of sessions) {
+    let lane = laneEnds.findIndex((end) => end <= session.startTime);
+    if (lane === -1) lane = laneEnds.length;
+    laneEnds[lane] = session.endTime;
+    lanes.set(session, lane);
+  }
+  return { lanes, count: Math.max(laneEnds.length, 1) };
+}
+
+const speakerName = (speaker) => (typeof speaker === 'string' ? speaker : speaker.name);
+const speakerLine = (speaker) =>
+  typeof speaker === 'string' || !speaker.title ? speakerName(speaker) : `${speaker.name} — ${speaker.title}`;
+
+const STYLES = `
+  :root { --slot: 0.55rem; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; }
+  body { margin: 0; padding: 1rem 1.5rem; color: #1d1d1f; background: #fafafa; }
+  header { display: flex; flex-wrap: wrap; align-items: baseline; gap: 0.5rem 1.5rem; }
+  h1 { margin: 0; font-size: 1.6rem; }
+  .note { color: #555; font-size: 0.9rem; }
+  #filter { margin: 1rem 0; padding: 0.5rem 0.75rem; width: min(30rem, 100%); font-size: 1rem; }
+  .legend { display: flex; flex-wrap: wrap; gap: 0.4rem; margin-bottom: 1rem; }
+  .badge { display: inline-block; padding: 0.1rem 0.45rem; border-radius: 0.3rem; font-size: 0.7rem;
+    font-weight: 600; letter-spacing: 0.02em; background: hsl(var(--hue) 70% 85%); color: hsl(var(--hue) 60% 22%); }
+  .day { margin-bottom: 2.5rem; }
+  .day h2 { font-size: 1.25rem; border-bottom: 2px solid #ddd; padding-bottom: 0.3rem; }
+  .grid { display: grid; grid-auto-rows: var(--slot); column-gap: 0.5rem; overflow-x: auto; }
+  .room { position: sticky; top: 0; z-index: 1; grid-row: 1 / span 4; background: #fafafa; font-weight: 600;
+    font-size: 0.8rem; padding: 0.25rem; border-bottom: 1px solid #ccc; }
+  .time { grid-column: 1; font-size: 0.75rem; color: #666; border-top: 1px solid #e5e5e5; }
+  .card { overflow: hidden; margin: 1px 0; padding: 0.3rem 0.45rem; border-radius: 0.35rem; font-size: 0.78rem;
+    background: hsl(var(--hue) 70% 95%); border-left: 4px solid hsl(var(--hue) 60% 50%); }
+  .card:hover { overflow: visible; z-index: 2; box-shadow: 0 2px 8px rgb(0 0 0 / 0.2); }
+  .card h3 { margin: 0.15rem 0; font-size: 0.85rem; }
+  .card h3 a { color: inherit; }
+  .card .meta { color: #444; }
+  .card ul { margin: 0.2rem 0 0; padding-left: 1rem; }
+  .card .room-name { display: none; }
+  .empty { display: none; color: #666; }
+  body.no-results .empty { display: block; }
+  @media print {
+    :root { font-size: 10pt; }
+    body { background: #fff; padding: 0; }
+    #filter, .legend { display: none; }
+    .day { break-after: page; }
+    .day:last-of-type { break-after: auto; }
+    .grid { display: block; }
+    .room, .time { display: none; }
+    .card { break-inside: avoid; margin: 0 0 0.35rem; overflow: visible;
+      print-color-adjust: exact; -webkit-print-color-adjust: exact; }
+    .card .room-name { display: inline; }
+    .card h3 a { text-decoration: none; }
+  }
+`;
+
+const SCRIPT = `
+  const input = document.getElementById('filter');
+  const cards = [...document.querySelectorAll('.card')];
+  input.addEventListener('input', () => {
+    const terms = input.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    let shown = 0;
+    for (const card of cards) {
+      const match = terms.every((term) => card.dataset.search.includes(term));
+      card.hidden = !match;
+      if (match) shown++;
+    }
+    document.body.classList.toggle('no-results', shown === 0);
+  });
+`;
+
+export class HTMLAgendaGenerator {
+  static fileSuffix = '.html';
+
+  constructor(options = {}) {
+    const conference = options.conference || DEFAULT_CONFERENCE;
+    this.options = {
+      conference,
+      title: `${conference.name} Agenda`, // Page title and heading
+      ...options,
+    };
+  }
+
+  /**
+   * Render one session card, placed in its room column and time rows
+   * @param {Object} session - Processed session
+   * @param {Object} placement - { column, rowStart, rowEnd }
+   * @returns {string} HTML
+   */
+  renderCard(session, { column, rowStart, rowEnd }) {
+    const speakers = session.speakers || [];
+    const search = [session.title, session.type, session.location, ...(session.topics || []), ...speakers.map(speakerName)]
+      .join(' ')
+      .toLowerCase();
+    const title = session.detailsUrl
+      ? `<a href="${escapeHtml(session.detailsUrl)}">${escapeHtml(session.title)}</a>`
+      : escapeHtml(session.title);
+    const time = `${session.startTime.toFormat('h:mm a')} – ${session.endTime.toFormat('h:mm a')}`;
+
+    return [
+      `<article class="card" style="grid-column: ${column}; grid-row: ${rowStart} / ${rowEnd}; --hue: ${typeHue(session.type)}"`,
+      ` data-search="${escapeHtml(search)}">`,
+      `<span class="badge">${escapeHtml(session.type)}</span>`,
+      `<h3>${title}</h3>`,
+      `<div class="meta">${time}<span class="room-name"> · ${escapeHtml(session.location)}</span></div>`,
+      speakers.length > 0
+        ? `<ul>${speakers.map((s) => `<li>${escapeHtml(speakerLine(s))}</li>`).join('')}</ul>`
+        : '',
+      '</article>',
+    ].join('');
+  }
+
+  /**
+   * Render one day as a grid: a time column plus one column per room (or
+   * one per lane where sessions in a room overlap), with one row per
+   * SLOT_MINUTES after the header rows
+   * @param {string} date - ISO date
+   * @param {Array} sessions - That day's sessions, sorted by start time
+   * @returns {string} HTML
+   */
+  renderDay(date, sessions) {
+    const rooms = [...new Set(sessions.map((s) => s.location))].sort((a, b) => a.localeCompare(b));
+    const dayStart = sessions
+      .reduce((min, s) => (s.startTime < min ? s.startTime : min), sessions[0].startTime)
+      .startOf('hour');
+    const headerRows = 4;
+    const row = (time) => headerRows + 1 + Math.round(time.diff(dayStart, 'minutes').minutes / SLOT_MINUTES);
+
+    const parts = [];
+    const roomLanes = new Map();
+    let column = 2;
+    for (const room of rooms) {
+      const lanes = assignLanes(sessions.filter((s) => s.location === room));
+      roomLanes.set(room, { ...lanes, column });
+      const span = lanes.count > 1 ? ` / span ${lanes.count}` : '';
+      parts.push(`<div class="room" style="grid-column: ${column}${span}">${escapeHtml(room)}</div>`);
+      column += lanes.count;
+    }
+    const columns = column - 2;
+
+    const dayEnd = sessions.reduce((max, s) => (s.endTime > max ? s.endTime : max), sessions[0].endTime);
+    for (let t = dayStart; t < dayEnd; t = t.plus({ minutes: 30 })) {
+      parts.push(
+        `<div class="time" style="grid-row: ${row(t)} / span ${30 / SLOT_MINUTES}">${t.toFormat('h:mm a')}</div>`
+      );
+    }
+
+    for (const session of sessions) {
+      const { lanes, column: roomColumn } = roomLanes.get(session.location);
+      parts.push(
+        this.renderCard(session, {
+          column: roomColumn + lanes.get(session),
+          rowStart: row(session.startTime),
+          rowEnd: Math.max(row(session.endTime), row(session.startTime) + 1),
+        })
+      );
+    }
+
+    const heading = sessions[0].startTime.toFormat('cccc, LLLL d');
+    return [
+      `<section class="day" id="day-${date}">`,
+      `<h2>${escapeHtml(heading)}</h2>`,
+      `<div class="grid" style="grid-template-columns: 4.5rem repeat(${columns}, minmax(11rem, 1fr))">`,
+      ...parts,
+      '</div>',
+      '</section>',
+    ].join('\n');
+  }
+
+  /**
+   * Build the full page
+   * @param {Object} groupedSessions - Sessions by ISO date (see DataProcessor.groupSessionsByDate)
+   * @returns {string} HTML document
+   */
+  build(groupedSessions) {
+    const dates = Object.keys(groupedSessions).sort();
+    const allSessions = dates.flatMap((date) => groupedSessions[date]);
+    const types = [...new Set(allSessions.map((s) => s.type))].sort();
+    const zoneNote = allSessions.length > 0 ? `All times are in ${describeZone(allSessions[0].startTime)}` : '';
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(this.options.title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<header>
+<h1>${escapeHtml(this.options.title)}</h1>
+<span class="note">${escapeHtml(zoneNote)}</span>
+</header>
+<input id="filter" type="search" placeholder="Filter by title, speaker, type, room or topic" aria-label="Filter sessions">
+<div class="legend">${types.map((type) => `<span class="badge" style="--hue: ${typeHue(type)}">${escapeHtml(type)}</span>`).join('')}</div>
+<p class="empty">No sessions match the filter.</p>
+${dates.map((date) => this.renderDay(date, groupedSessions[date])).join('\n')}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Write the HTML agenda
+   * @param {Array} sessions - Processed session objects
+   * @param {string} outputPath - Destination file
+   * @returns {Promise<string>} Path to the written file
+   */
+  async generateFile(sessions, outputPath) {
+    const grouped = new DataProcessor(this.options.conference).groupSessionsByDate(sessions);
+    await fs.outputFile(outputPath, this.build(grouped), 'utf8');
+    console.log(`HTML agenda saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
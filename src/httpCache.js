@@ -0,0 +1,66 @@
+/**
+ * On-disk HTTP cache for fetched pages.
+ *
+ * Each URL is stored as one JSON file holding the body plus its ETag and
+ * Last-Modified validators, so stale entries can be revalidated with a
+ * conditional request instead of downloaded again.
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+export class HttpCache {
+  /**
+   * @param {string} dir - Cache directory
+   * @param {Object} [options]
+   * @param {number} [options.ttl] - Milliseconds an entry is served without revalidation
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.ttl = options.ttl ?? 60 * 60 * 1000;
+  }
+
+  /**
+   * Path of the cache file for a URL
+   * @param {string} url
+   * @returns {string}
+   */
+  entryPath(url) {
+    const hash = crypto.createHash('sha1').update(url).digest('hex');
+    return path.join(this.dir, `${hash}.json`);
+  }
+
+  /**
+   * Read a cached entry
+   * @param {string} url
+   * @returns {Promise<Object|null>} { url, body, etag, lastModified, storedAt }, or
+   *   null when missing or unreadable
+   */
+  async get(url) {
+    try {
+      const entry = await fs.readJson(this.entryPath(url));
+      return entry.url === url && typeof entry.body === 'string' ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Whether an entry is young enough to serve without revalidation
+   * @param {Object} entry - Cached entry
+   * @returns {boolean}
+   */
+  isFresh(entry) {
+    return Date.now() - entry.storedAt < this.ttl;
+  }
+
+  /**
+   * Store (or refresh the timestamp of) an entry
+   * @param {string} url
+   * @param {Object} response - { body, etag, lastModified }
+   */
+  async set(url, { body, etag = null, lastModified = null }) {
+    await fs.outputJson(this.entryPath(url), { url, body, etag, lastModified, storedAt: Date.now() });
+  }
+}
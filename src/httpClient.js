@@ -0,0 +1,189 @@
+/**
+ * HTTP GET with timeouts, retries and per-host rate limiting.
+ *
+ * - Each attempt is aborted after a timeout (AbortController)
+ * - Network errors, timeouts, 429 and 5xx responses are retried with
+ *   exponential backoff and full jitter; Retry-After is honored on 429/503
+ * - Requests to the same host share a token bucket, so the overall request
+ *   rate is bounded no matter how many workers are fetching
+ */
+
+import { sleep } from './utils.js';
+
+/** Statuses worth retrying: rate limiting and transient server errors */
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+
+/**
+ * Parse a Retry-After header (delta-seconds or HTTP-date)
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {number|null} Milliseconds to wait, or null when absent/invalid
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+  if (!value) return null;
+  const trimmed = value.trim();
+  if (/^\d+$/.test(trimmed)) return parseInt(trimmed, 10) * 1000;
+  const date = Date.parse(trimmed);
+  return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Exponential backoff with full jitter: a random delay between 0 and
+ * baseDelay * 2^attempt, capped at maxDelay.
+ * @param {number} attempt - Zero-based retry number
+ * @param {Object} options - { baseDelay, maxDelay }
+ * @param {Function} [random] - Random source in [0, 1)
+ * @returns {number} Milliseconds to wait
+ */
+export function backoffDelay(attempt, { baseDelay, maxDelay }, random = Math.random) {
+  return random() * Math.min(maxDelay, baseDelay * 2 ** attempt);
+}
+
+/**
+ * Token bucket: holds up to `burst` tokens, refilled at `rate` per second.
+ * Waiters reserve tokens in arrival order, so concurrent callers are spaced
+ * out evenly once the burst is spent.
+ */
+export class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.rate - Tokens added per second
+   * @param {number} options.burst - Bucket capacity
+   */
+  constructor({ rate, burst }) {
+    this.rate = rate;
+    this.burst = burst;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Take one token, waiting until it is available
+   * @returns {Promise<void>}
+   */
+  async take() {
+    const now = Date.now();
+    this.tokens = Math.min(this.burst, this.tokens + ((now - this.updatedAt) / 1000) * this.rate);
+    this.updatedAt = now;
+
+    // Reserve the token now (possibly going negative) and wait off the debt
+    this.tokens -= 1;
+    if (this.tokens < 0) {
+      await sleep((-this.tokens / this.rate) * 1000);
+    }
+  }
+}
+
+export class HttpClient {
+  constructor(options = {}) {
+    this.options = {
+      retries: 3, // Retries after the first attempt
+      retryBaseDelay: 500, // Milliseconds; doubles with each retry (with jitter)
+      maxRetryDelay: 30000, // Upper bound for backoff and Retry-After waits
+      timeout: 20000, // Milliseconds before an attempt is aborted
+      requestsPerSecond: 5, // Per-host rate limit (0 disables it)
+      burst: 4, // Requests allowed back-to-back before the rate limit applies
+      headers: {}, // Headers sent with every request
+      ...options,
+    };
+    this.buckets = new Map();
+  }
+
+  /**
+   * Wait for the rate limit of the URL's host
+   * @param {string} url
+   */
+  async throttle(url) {
+    const { requestsPerSecond, burst } = this.options;
+    if (!requestsPerSecond) return;
+    const host = new URL(url).host;
+    if (!this.buckets.has(host)) {
+      this.buckets.set(host, new TokenBucket({ rate: requestsPerSecond, burst: Math.max(1, burst) }));
+    }
+    await this.buckets.get(host).take();
+  }
+
+  /**
+   * GET a URL, retrying transient failures.
+   * @param {string} url
+   * @param {Object} [headers] - Extra request headers
+   * @returns {Promise<Object>} { status, body, etag, lastModified }; body is
+   *   null for 304 Not Modified, whose validators are null when not resent
+   * @throws {Error} After the last attempt; HTTP errors carry a `status` property
+   */
+  async get(url, headers = {}) {
+    const { retries, retryBaseDelay, maxRetryDelay } = this.options;
+
+    for (let attempt = 0; ; attempt++) {
+      await this.throttle(url);
+      try {
+        return await this.attempt(url, headers);
+      } catch (error) {
+        if (attempt >= retries || !error.retryable) throw error;
+        const wait = Math.min(
+          maxRetryDelay,
+          error.retryAfter ?? backoffDelay(attempt, { baseDelay: retryBaseDelay, maxDelay: maxRetryDelay })
+        );
+        console.warn(
+          `Fetch failed for ${url} (${error.message}), retrying in ${Math.round(wait)} ms ` +
+          `(${attempt + 1}/${retries})...`
+        );
+        await sleep(wait);
+      }
+    }
+  }
+
+  /**
+   * A single GET attempt with a timeout
+   * @param {string} url
+   * @param {Object} headers - Extra request headers
+   * @returns {Promise<Object>} See get()
+   * @throws {Error} With `retryable` (and `status` / `retryAfter` for HTTP errors)
+   */
+  async attempt(url, headers) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), this.options.timeout);
+
+    try {
+      const res = await fetch(url, {
+        headers: { ...this.options.headers, ...headers },
+        redirect: 'follow',
+        signal: controller.signal,
+      });
+      if (res.status === 304) {
+        // Validators sent with a 304 update the cached copy's (RFC 9111 §4.3.4)
+        return { status: 304, body: null, etag: res.headers.get('etag'), lastModified: res.headers.get('last-modified') };
+      }
+      if (!res.ok) {
+        // Drain the body so the connection can be reused
+        await res.arrayBuffer().catch(() => {});
+        const error = new Error(`HTTP ${res.status} for ${url}`);
+        error.status = res.status;
+        error.retryable = RETRYABLE_STATUSES.has(res.status);
+        if (res.status === 429 || res.status === 503) {
+          error.retryAfter = parseRetryAfter(res.headers.get('retry-after'));
+        }
+        throw error;
+      }
+      return {
+        status: res.status,
+        body: await res.text(),
+        etag: res.headers.get('etag'),
+        lastModified: res.headers.get('last-modified'),
+      };
+    } catch (error) {
+      if (controller.signal.aborted) {
+        const timeoutError = new Error(`Timed out after ${this.options.timeout} ms for ${url}`);
+        timeoutError.retryable = true;
+        throw timeoutError;
+      }
+      // fetch() rejects with a TypeError for network failures (DNS, refused, reset)
+      if (error.status === undefined && error.retryable === undefined) {
+        error.retryable = true;
+      }
+      throw error;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+}
@@ -5,6 +5,12 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { DateTime } from 'luxon';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { buildVTimezone, windowsZoneName } from './timezone.js';
+import { formatTimeRange, stripZoneNote } from './utils.js';
+import { normalizeSpeaker } from './speakers.js';
+import { formatPlace, unknownRooms } from './venue.js';
+import { buildAlarmLines, formatTrigger, remindersFor } from './reminders.js';
 
 /**
  * Escape a text value per RFC 5545 (TEXT): backslash, semicolon, comma,
@@ -21,6 +27,17 @@ export function escapeIcsText(text) {
     .replace(/\r\n|\r|\n/g, '\\n');
 }
 
+/**
+ * Format a property parameter value per RFC 5545: quoted when it contains
+ * ":", ";" or ",", with DQUOTE (not allowed in parameter values) removed.
+ * @param {string} value - Raw parameter value
+ * @returns {string}
+ */
+export function icsParamValue(value) {
+  const clean = String(value).replace(/"/g, "'").replace(/[\r\n]+/g, ' ');
+  return /[:;,]/.test(clean) ? `"${clean}"` : clean;
+}
+
 /**
  * Fold a complete content line per RFC 5545: physical lines are limited to
  * 75 octets; continuations begin with a single space. Folding is octet-aware
@@ -52,103 +69,277 @@ export function foldIcsLine(line) {
 }
 
 export class ICSGenerator {
+  constructor(options = {}) {
+    const conference = options.conference || DEFAULT_CONFERENCE;
+    this.options = {
+      conference, // Profile supplying timezone, PRODID, default location and UID scheme
+      calendarName: conference.calendar.name, // X-WR-CALNAME shown by calendar clients
+      attendeeZone: null, // IANA zone for an attendee variant: times shown in that zone too, no zone suffix
+      // List speakers as ATTENDEE properties (X-SPEAKER is always written). Off by default:
+      // some clients treat events with attendees as meeting invitations
+      speakerAttendees: false,
+      reminders: null, // Normalized reminder rules (see reminders.js); null writes no VALARMs
+      quiet: false, // Skip progress logging, e.g. when rendering feeds per request
+      ...options,
+    };
+  }
+
   /**
    * Create a new calendar and manually generate ICS content
    * @param {Array} sessions - Array of processed session objects
+   * @param {Array} [previousEvents] - Events from the previously published
+   *   calendar (see readIcsFile); used to version changed events and cancel
+   *   removed ones
    * @returns {String} ICS file content
    */
-  createCalendar(sessions) {
-    console.log(`Creating calendar with ${sessions.length} events...`);
+  createCalendar(sessions, previousEvents = []) {
+    if (!this.options.quiet) console.log(`Creating calendar with ${sessions.length} events...`);
+
+    const zone = this.options.conference.timezone;
 
     // Build ICS file content manually for maximum control over time formatting
-    const icsContent = [
+    const header = [
       'BEGIN:VCALENDAR',
       'VERSION:2.0',
-      'PRODID:-//Identiverse//Conference Calendar//EN',
+      `PRODID:${this.options.conference.calendar.prodId}`,
       'CALSCALE:GREGORIAN',
       'METHOD:PUBLISH',
-      'X-WR-CALNAME:Identiverse 2026 Conference',
-      'X-WR-TIMEZONE:America/Los_Angeles',
-      'X-WR-CALDESC:Events for Identiverse 2026 Conference',
-      'BEGIN:VTIMEZONE',
-      'TZID:America/Los_Angeles',
-      'TZURL:http://tzurl.org/zoneinfo-outlook/America/Los_Angeles',
-      'X-LIC-LOCATION:America/Los_Angeles',
-      'BEGIN:DAYLIGHT',
-      'TZOFFSETFROM:-0800',
-      'TZOFFSETTO:-0700',
-      'TZNAME:PDT',
-      'DTSTART:20260308T020000',
-      'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU',
-      'END:DAYLIGHT',
-      'BEGIN:STANDARD',
-      'TZOFFSETFROM:-0700',
-      'TZOFFSETTO:-0800',
-      'TZNAME:PST',
-      'DTSTART:20261101T020000',
-      'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU',
-      'END:STANDARD',
-      'END:VTIMEZONE',
+      `X-WR-CALNAME:${escapeIcsText(this.options.calendarName)}`,
+      // Display-zone hint for clients; events themselves stay in the conference zone
+      `X-WR-TIMEZONE:${this.options.attendeeZone || zone}`,
+      `X-WR-CALDESC:${escapeIcsText(`Events for ${this.options.calendarName}`)}`,
     ];
+    const icsContent = [];
+    const years = [];
 
-    // Add each session as an event
-    for (const session of sessions) {
-      // Format times directly as PDT wall-clock time, with no conversion
-      const startTime = this.formatIcsTime(session.startTime);
-      const endTime = this.formatIcsTime(session.endTime);
+    const previousByUid = new Map(previousEvents.map((event) => [event.uid, event]));
+    const now = this.formatUtcTime(new Date());
+    const changes = { added: 0, updated: 0, unchanged: 0, cancelled: 0 };
+    const currentUids = new Set();
 
-      const summary = escapeIcsText(`${session.title} (PDT)`);
-      const description = escapeIcsText(session.description || 'No description available');
-      const location = escapeIcsText(session.location || 'Mandalay Bay, Las Vegas, NV');
+    // Add each session as an event, versioned against the previous calendar
+    for (const session of sessions) {
+      const event = this.sessionToEvent(session);
+      const previous = previousByUid.get(event.uid);
+      currentUids.add(event.uid);
 
-      // Create a unique ID if not present
-      const uid = session.uid || `identiverse-2026-${Date.now()}@identiverse.com`;
-
-      const eventLines = [
-        'BEGIN:VEVENT',
-        `UID:${uid}`,
-        'SEQUENCE:0',
-        `DTSTAMP:${this.formatUtcTime(new Date())}`,
-        `DTSTART;TZID=America/Los_Angeles:${startTime}`,
-        `DTEND;TZID=America/Los_Angeles:${endTime}`,
-        `SUMMARY:${summary}`,
-        `DESCRIPTION:${description}`,
-        `LOCATION:${location}`,
-        'CLASS:PUBLIC',
-        'STATUS:CONFIRMED',
-        'TRANSP:OPAQUE',
-        'X-MICROSOFT-CDO-INTENDEDSTATUS:BUSY',
-        'X-MICROSOFT-CDO-IMPORTANCE:1',
-        'X-MICROSOFT-CDO-ALLDAYEVENT:FALSE',
-        'X-MICROSOFT-CDO-BUSYSTATUS:BUSY',
-        'X-MICROSOFT-CDO-INSTTYPE:0',
-        'X-MICROSOFT-DISALLOW-COUNTER:FALSE',
-        'X-MICROSOFT-CDO-TZID:Pacific Standard Time',
-        'X-TIMEZONE-CONF:America/Los_Angeles',
-      ];
-
-      if (session.type) {
-        eventLines.push(`CATEGORIES:${escapeIcsText(session.type)}`);
+      if (!previous) {
+        event.sequence = 0;
+        event.dtstamp = now;
+        changes.added++;
+      } else if (this.hasEventChanged(previous, event)) {
+        // Clients only apply an update to a known UID when SEQUENCE increases
+        event.sequence = previous.sequence + 1;
+        event.dtstamp = now;
+        changes.updated++;
+      } else {
+        event.sequence = previous.sequence;
+        event.dtstamp = previous.dtstamp ? this.formatUtcTime(previous.dtstamp) : now;
+        changes.unchanged++;
       }
 
-      eventLines.push('END:VEVENT');
-      icsContent.push(...eventLines);
+      icsContent.push(...this.buildEventLines(event));
+      years.push(event.start.year, event.end.year);
     }
 
-    icsContent.push('END:VCALENDAR');
+    // Sessions that disappeared from the agenda are published as cancelled so
+    // subscribers' clients remove them instead of keeping stale copies
+    for (const previous of previousEvents) {
+      if (currentUids.has(previous.uid) || !previous.start || !previous.end) continue;
+      const alreadyCancelled = previous.status === 'CANCELLED';
+      icsContent.push(...this.buildEventLines({
+        ...previous,
+        status: 'CANCELLED',
+        sequence: alreadyCancelled ? previous.sequence : previous.sequence + 1,
+        dtstamp: alreadyCancelled && previous.dtstamp ? this.formatUtcTime(previous.dtstamp) : now,
+      }));
+      years.push(previous.start.year, previous.end.year);
+      if (!alreadyCancelled) changes.cancelled++;
+    }
+
+    if (previousEvents.length > 0 && !this.options.quiet) {
+      console.log(
+        `Changes vs previous calendar: ${changes.added} new, ${changes.updated} updated, ` +
+        `${changes.unchanged} unchanged, ${changes.cancelled} cancelled`
+      );
+    }
+
+    // The VTIMEZONE covers the zone's real transitions for the years in use
+    if (years.length === 0) years.push(this.options.conference.year);
+    const vtimezone = buildVTimezone(zone, { fromYear: Math.min(...years), toYear: Math.max(...years) });
 
     // Fold long lines and join with CRLF as required by the ICS spec
-    return icsContent.map(foldIcsLine).join('\r\n');
+    return [...header, ...vtimezone, ...icsContent, 'END:VCALENDAR'].map(foldIcsLine).join('\r\n');
+  }
+
+  /**
+   * Convert a processed session into the event fields written to the calendar
+   * @param {Object} session - Processed session object
+   * @returns {Object} Event fields (unescaped text, Luxon start/end)
+   */
+  sessionToEvent(session) {
+    const { conference, attendeeZone, reminders } = this.options;
+    const event = {
+      // Create a unique ID if not present
+      uid: session.uid || `${conference.uid.prefix}-${Date.now()}@${conference.uid.domain}`,
+      start: session.startTime,
+      end: session.endTime,
+      // Zone abbreviation at the session's start, e.g. "(PDT)"
+      summary: `${session.title} (${session.startTime.setZone(conference.timezone).setLocale('en-US').offsetNameShort})`,
+      description: session.description || 'No description available',
+      // With a venue map: room, floor, building and street address
+      location: session.place ? formatPlace(session.place) : session.location || conference.defaultLocation,
+      place: session.place || null,
+      status: 'CONFIRMED',
+      // A personal calendar shows conflicting lower-priority sessions as free
+      transparency: session.transparent ? 'TRANSPARENT' : 'OPAQUE',
+      categories: session.type ? [session.type] : [],
+      speakers: (session.speakers || []).map(normalizeSpeaker),
+      alarms: reminders ? remindersFor(session, reminders) : [],
+    };
+
+    if (attendeeZone) {
+      // Attendee variant: lead with the times in the attendee's zone next to
+      // conference time, and leave the summary free of a zone suffix
+      const times = [
+        `${formatTimeRange(session.startTime, session.endTime, attendeeZone)} (${attendeeZone})`,
+        `${formatTimeRange(session.startTime, session.endTime, conference.timezone)} (conference time)`,
+      ].join('\n');
+      event.summary = session.title;
+      event.description = [times, stripZoneNote(session.description)].filter(Boolean).join('\n\n');
+    }
+    return event;
+  }
+
+  /**
+   * Whether an event differs from its previously published version in any
+   * field attendees care about (time, location, title, description, status,
+   * free/busy)
+   * @param {Object} previous - Event record from readIcsFile
+   * @param {Object} event - Event fields from sessionToEvent
+   * @returns {boolean}
+   */
+  hasEventChanged(previous, event) {
+    const sameTime = (a, b) => Boolean(a && b) && this.formatIcsTime(a) === this.formatIcsTime(b);
+    // Cancelled events are written without their alarms
+    const triggers = event.status === 'CANCELLED' ? [] : (event.alarms || []).map(formatTrigger);
+    const sameAlarms = [...(previous.alarms || [])].sort().join() === triggers.sort().join();
+    return !(
+      sameTime(previous.start, event.start) &&
+      sameTime(previous.end, event.end) &&
+      previous.summary === event.summary &&
+      previous.description === event.description &&
+      previous.location === event.location &&
+      previous.status === event.status &&
+      previous.transparency === event.transparency &&
+      sameAlarms
+    );
   }
 
   /**
-   * Format a Luxon DateTime object to ICS format as local (PDT) wall-clock time
+   * Build the VEVENT content lines for an event
+   * @param {Object} event - Event fields plus sequence and dtstamp
+   * @returns {Array<string>} Unfolded content lines
+   */
+  buildEventLines(event) {
+    const cancelled = event.status === 'CANCELLED';
+    // Cancelled and transparent events should not block time in attendees' calendars
+    const free = cancelled || event.transparency === 'TRANSPARENT';
+    const zone = this.options.conference.timezone;
+
+    const eventLines = [
+      'BEGIN:VEVENT',
+      `UID:${event.uid}`,
+      `SEQUENCE:${event.sequence}`,
+      `DTSTAMP:${event.dtstamp}`,
+      // Wall-clock times in the conference zone, described by the VTIMEZONE
+      `DTSTART;TZID=${zone}:${this.formatIcsTime(event.start)}`,
+      `DTEND;TZID=${zone}:${this.formatIcsTime(event.end)}`,
+      `SUMMARY:${escapeIcsText(event.summary)}`,
+      `DESCRIPTION:${escapeIcsText(event.description)}`,
+      `LOCATION:${escapeIcsText(event.location)}`,
+      ...this.buildPlaceLines(event.place),
+      'CLASS:PUBLIC',
+      `STATUS:${event.status}`,
+      free ? 'TRANSP:TRANSPARENT' : 'TRANSP:OPAQUE',
+      `X-MICROSOFT-CDO-INTENDEDSTATUS:${free ? 'FREE' : 'BUSY'}`,
+      'X-MICROSOFT-CDO-IMPORTANCE:1',
+      'X-MICROSOFT-CDO-ALLDAYEVENT:FALSE',
+      `X-MICROSOFT-CDO-BUSYSTATUS:${free ? 'FREE' : 'BUSY'}`,
+      'X-MICROSOFT-CDO-INSTTYPE:0',
+      'X-MICROSOFT-DISALLOW-COUNTER:FALSE',
+      ...(windowsZoneName(zone) ? [`X-MICROSOFT-CDO-TZID:${windowsZoneName(zone)}`] : []),
+      `X-TIMEZONE-CONF:${zone}`,
+    ];
+
+    if (event.categories && event.categories.length > 0) {
+      eventLines.push(`CATEGORIES:${event.categories.map(escapeIcsText).join(',')}`);
+    }
+
+    eventLines.push(...this.buildSpeakerLines(event.speakers || []));
+
+    if (!cancelled && event.alarms?.length > 0) {
+      eventLines.push(...buildAlarmLines(event.alarms, escapeIcsText(event.summary)));
+    }
+
+    eventLines.push('END:VEVENT');
+    return eventLines;
+  }
+
+  /**
+   * Structured location for clients' map links: GEO, plus Apple's
+   * X-APPLE-STRUCTURED-LOCATION (address, pin radius and room title).
+   * Nothing is written without a venue map or coordinates.
+   * @param {Object|null} place - From resolveRoom
+   * @returns {Array<string>} Unfolded content lines
+   */
+  buildPlaceLines(place) {
+    if (!place?.geo) return [];
+    const { lat, lon } = place.geo;
+    const params = [
+      'VALUE=URI',
+      `X-ADDRESS=${icsParamValue(place.address)}`,
+      place.radius ? `X-APPLE-RADIUS=${place.radius}` : null,
+      `X-TITLE=${icsParamValue(place.room || place.building)}`,
+    ].filter(Boolean);
+    return [`GEO:${lat};${lon}`, `X-APPLE-STRUCTURED-LOCATION;${params.join(';')}:geo:${lat},${lon}`];
+  }
+
+  /**
+   * Speaker properties: an ATTENDEE per speaker (CN plus role; speakers have no
+   * published address, so the value is their profile URL or a URN naming
+   * them) and an X-SPEAKER line with the job title and company for clients
+   * that read X-properties.
+   * @param {Array<Object>} speakers - Normalized speakers (see normalizeSpeaker)
+   * @returns {Array<string>} Unfolded content lines
+   */
+  buildSpeakerLines(speakers) {
+    const lines = [];
+    for (const speaker of speakers) {
+      if (this.options.speakerAttendees) {
+        lines.push(
+          `ATTENDEE;CN=${icsParamValue(speaker.name)};CUTYPE=INDIVIDUAL;ROLE=REQ-PARTICIPANT;` +
+          `PARTSTAT=ACCEPTED;RSVP=FALSE:${speaker.profileUrl || `urn:x-speaker:${speaker.slug}`}`
+        );
+      }
+      const params = [
+        speaker.jobTitle ? `;X-JOB-TITLE=${icsParamValue(speaker.jobTitle)}` : '',
+        speaker.company ? `;X-COMPANY=${icsParamValue(speaker.company)}` : '',
+      ].join('');
+      lines.push(`X-SPEAKER${params}:${escapeIcsText(speaker.name)}`);
+    }
+    return lines;
+  }
+
+  /**
+   * Format a Luxon DateTime object to ICS format as wall-clock time in the
+   * conference zone (DTSTART/DTEND carry the matching TZID)
    * @param {DateTime} dateTime - Luxon DateTime object
    * @returns {string} ICS-formatted time string
    */
   formatIcsTime(dateTime) {
-    // No conversion: DTSTART/DTEND carry TZID, so emit local wall-clock time
-    return dateTime.toFormat('yyyyMMdd') + 'T' + dateTime.toFormat('HHmmss');
+    const local = dateTime.setZone(this.options.conference.timezone);
+    return local.toFormat('yyyyMMdd') + 'T' + local.toFormat('HHmmss');
   }
 
   /**
@@ -165,10 +356,11 @@ export class ICSGenerator {
    * Generate and save the ICS file
    * @param {Array} sessions - Array of processed session objects
    * @param {string} outputPath - Path where the ICS file should be saved
+   * @param {Array} [previousEvents] - Events from the previously published calendar
    * @returns {string} Path to the generated ICS file
    */
-  async generateICSFile(sessions, outputPath = 'output/identiverse2026.ics') {
-    const icsString = this.createCalendar(sessions);
+  async generateICSFile(sessions, outputPath = path.join('output', this.options.conference.output.file), previousEvents = []) {
+    const icsString = this.createCalendar(sessions, previousEvents);
 
     await fs.ensureDir(path.dirname(outputPath));
     await fs.writeFile(outputPath, icsString, 'utf8');
@@ -206,5 +398,14 @@ export class ICSGenerator {
     for (const [type, count] of Object.entries(types).sort((a, b) => b[1] - a[1])) {
       console.log(`  ${type}: ${count} events`);
     }
+
+    // Rooms the venue map doesn't know get no floor/wing; add them to the map
+    const unknown = unknownRooms(sessions);
+    if (unknown.size > 0) {
+      console.warn(`\nUnknown rooms (not in the ${this.options.conference.venue.name} venue map):`);
+      for (const [room, count] of unknown) {
+        console.warn(`  ${room}: ${count} events`);
+      }
+    }
   }
 }
@@ -0,0 +1,91 @@
+/**
+ * Reads previously generated ICS files back into plain event records, so new
+ * runs can be compared against what was already published.
+ */
+
+import fs from 'fs-extra';
+import ical from 'ical';
+import { DateTime } from 'luxon';
+import { DEFAULT_TIMEZONE } from './timezone.js';
+
+/** Unwrap an ical text value, which becomes { params, val } when parameters are present */
+const textValue = (value) => {
+  if (value && typeof value === 'object' && 'val' in value) return value.val;
+  return typeof value === 'string' ? value : '';
+};
+
+/**
+ * Convert an ical date into a Luxon DateTime in the conference zone.
+ * ical builds TZID and floating times with the local Date constructor, so the
+ * local getters hold the wall-clock time; only "Z" times are true instants.
+ * @param {Date} date - Date produced by ical
+ * @param {string} zone - IANA zone for wall-clock times
+ * @returns {DateTime|null}
+ */
+const toDateTime = (date, zone) => {
+  if (!(date instanceof Date) || Number.isNaN(date.getTime())) return null;
+  if (!date.tz || date.tz === 'Etc/UTC') {
+    // ical leaves tz unset for both UTC ("Z") and floating values; the agenda
+    // only ever writes TZID times, so treat untagged values as instants
+    return DateTime.fromJSDate(date).setZone(zone);
+  }
+  return DateTime.fromObject(
+    {
+      year: date.getFullYear(),
+      month: date.getMonth() + 1,
+      day: date.getDate(),
+      hour: date.getHours(),
+      minute: date.getMinutes(),
+      second: date.getSeconds(),
+    },
+    { zone: date.tz }
+  );
+};
+
+/**
+ * Parse ICS content into event records.
+ * @param {string} icsContent - Raw ICS text
+ * @param {string} [zone] - IANA zone used for DTSTART/DTEND wall-clock times
+ * @returns {Array} Events: { uid, sequence, dtstamp, start, end, summary,
+ *   description, location, room, status, transparency, categories, alarms }
+ *   where room is the X-APPLE-STRUCTURED-LOCATION title (null without one)
+ *   and alarms lists the VALARM TRIGGER values, e.g. ["-PT10M"]
+ */
+export function parseIcsEvents(icsContent, zone = DEFAULT_TIMEZONE) {
+  const parsed = ical.parseICS(icsContent);
+
+  return Object.values(parsed)
+    .filter((item) => item.type === 'VEVENT' && item.uid)
+    .map((item) => ({
+      uid: textValue(item.uid),
+      sequence: parseInt(textValue(item.sequence), 10) || 0,
+      dtstamp: item.dtstamp instanceof Date ? item.dtstamp : null,
+      start: toDateTime(item.start, zone),
+      end: toDateTime(item.end, zone),
+      summary: textValue(item.summary),
+      description: textValue(item.description),
+      location: textValue(item.location),
+      // ical drops the X- prefix of unknown properties
+      room: item['APPLE-STRUCTURED-LOCATION']?.params?.['X-TITLE']?.replace(/^"|"$/g, '') || null,
+      status: textValue(item.status).toUpperCase() || 'CONFIRMED',
+      transparency: textValue(item.transparency).toUpperCase() || 'OPAQUE',
+      categories: Array.isArray(item.categories) ? item.categories : [],
+      // ical nests VALARMs in the event under generated keys
+      alarms: Object.values(item)
+        .filter((value) => value?.type === 'VALARM')
+        .map((alarm) => textValue(alarm.trigger)),
+    }));
+}
+
+/**
+ * Read and parse an ICS file. A missing file yields an empty list, since the
+ * first run has nothing to compare against.
+ * @param {string} filePath - Path to the ICS file
+ * @param {string} [zone] - IANA zone used for wall-clock times
+ * @returns {Promise<Array>} Event records (see parseIcsEvents)
+ */
+export async function readIcsFile(filePath, zone) {
+  if (!(await fs.pathExists(filePath))) return [];
+  const content = await fs.readFile(filePath, 'utf8');
+  return parseIcsEvents(content, zone);
+}
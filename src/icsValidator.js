@@ -0,0 +1,334 @@
+/**
+ * Validation of generated ICS calendars.
+ *
+ * Checks RFC 5545 structure (CRLF line endings, folding, content-line
+ * syntax, TEXT escaping, matched BEGIN/END, required properties, TZIDs with
+ * a VTIMEZONE) and the agenda's own rules: unique UIDs, DTEND after DTSTART,
+ * events within the conference dates and no duplicate title + time pairs.
+ * Text values and folded lines are also parsed back and re-encoded with
+ * escapeIcsText / foldIcsLine, which must reproduce the file exactly.
+ */
+
+import fs from 'fs-extra';
+import { DateTime } from 'luxon';
+import { parseIcsEvents } from './icsReader.js';
+import { escapeIcsText, foldIcsLine } from './icsGenerator.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+
+const MAX_OCTETS = 75;
+
+/** Undo RFC 5545 line folding (CRLF or LF followed by a space or tab) */
+const unfold = (icsContent) => icsContent.replace(/\r?\n[ \t]/g, '');
+
+/** NAME *(";" param) ":" value, with quoted parameter values */
+const CONTENT_LINE = /^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/;
+
+/** Properties whose values are TEXT; CATEGORIES is a comma-separated TEXT list */
+const TEXT_PROPERTIES = new Set(['SUMMARY', 'DESCRIPTION', 'LOCATION', 'COMMENT', 'CONTACT', 'X-WR-CALNAME', 'X-WR-CALDESC']);
+const TEXT_LIST_PROPERTIES = new Set(['CATEGORIES']);
+
+/** Properties each component must have, and those it may have only once */
+const COMPONENT_RULES = {
+  VCALENDAR: { required: ['PRODID', 'VERSION'], single: ['PRODID', 'VERSION', 'CALSCALE', 'METHOD'] },
+  VEVENT: {
+    required: ['UID', 'DTSTAMP', 'DTSTART'],
+    single: ['UID', 'DTSTAMP', 'DTSTART', 'DTEND', 'DURATION', 'SUMMARY', 'DESCRIPTION', 'LOCATION', 'STATUS', 'SEQUENCE', 'TRANSP', 'GEO'],
+  },
+  VTIMEZONE: { required: ['TZID'], single: ['TZID'] },
+  STANDARD: { required: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'], single: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'] },
+  DAYLIGHT: { required: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'], single: ['DTSTART', 'TZOFFSETFROM', 'TZOFFSETTO'] },
+  VALARM: { required: ['ACTION', 'TRIGGER'], single: ['ACTION', 'TRIGGER', 'DESCRIPTION'] },
+};
+
+/**
+ * Undo TEXT escaping
+ * @param {string} value - Escaped TEXT value
+ * @returns {string}
+ */
+const unescapeText = (value) => value.replace(/\\([\\;,nN])/g, (_, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+/**
+ * Problems with the escaping of a TEXT value: backslashes must start one of
+ * \\ \; \, \n \N, and ";" / "," must be escaped (except list separators)
+ * @param {string} value - Raw TEXT value
+ * @param {boolean} list - Whether unescaped commas separate list items
+ * @returns {Array<string>} Descriptions
+ */
+function escapingProblems(value, list) {
+  const problems = [];
+  for (let i = 0; i < value.length; i++) {
+    const char = value[i];
+    if (char === '\\') {
+      if (!/[\\;,nN]/.test(value[i + 1] || '')) problems.push(`invalid escape "\\${value[i + 1] || ''}"`);
+      i++;
+    } else if (char === ';' || (char === ',' && !list)) {
+      problems.push(`unescaped "${char}"`);
+    }
+  }
+  return [...new Set(problems)];
+}
+
+/**
+ * Split ICS text into physical lines, checking line endings and length
+ * @param {string} icsContent - Raw ICS text
+ * @param {Array<string>} problems - Collects problems
+ * @returns {Array<string>} Physical lines without their CRLF
+ */
+function physicalLines(icsContent, problems) {
+  const lines = icsContent.split(/\r\n|\r|\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+
+  const breaks = [...icsContent.matchAll(/\r\n|\r|\n/g)].map((m) => m[0]);
+  const bare = breaks.filter((lineBreak) => lineBreak !== '\r\n').length;
+  if (bare > 0) {
+    const first = breaks.findIndex((lineBreak) => lineBreak !== '\r\n') + 1;
+    problems.push(`${bare} line(s) end with a bare CR or LF instead of CRLF (first at line ${first})`);
+  }
+  lines.forEach((line, i) => {
+    const octets = Buffer.byteLength(line, 'utf8');
+    if (octets > MAX_OCTETS) problems.push(`line ${i + 1}: ${octets} octets, longer than ${MAX_OCTETS} (not folded)`);
+  });
+  return lines;
+}
+
+/**
+ * Unfold physical lines into content lines, parsing each one
+ * @param {Array<string>} lines - Physical lines
+ * @param {Array<string>} problems - Collects problems
+ * @returns {Array<Object>} { line, physical, text, name, params, value } where
+ *   line is the first physical line number and physical the folded lines
+ */
+function contentLines(lines, problems) {
+  const result = [];
+  lines.forEach((text, i) => {
+    if (/^[ \t]/.test(text)) {
+      const previous = result[result.length - 1];
+      if (previous) {
+        previous.physical.push(text);
+        previous.text += text.slice(1);
+      } else {
+        problems.push(`line ${i + 1}: continuation line with nothing to continue`);
+      }
+      return;
+    }
+    result.push({ line: i + 1, physical: [text], text });
+  });
+
+  for (const entry of result) {
+    const match = CONTENT_LINE.exec(entry.text);
+    if (!match) {
+      problems.push(`line ${entry.line}: ${entry.text ? `not a valid content line: ${entry.text.slice(0, 40)}` : 'empty line'}`);
+      continue;
+    }
+    entry.name = match[1].toUpperCase();
+    entry.params = match[2];
+    entry.value = match[3];
+  }
+  return result.filter((entry) => entry.name);
+}
+
+/**
+ * Build the component tree from BEGIN/END lines, checking they match
+ * @param {Array<Object>} lines - Content lines
+ * @param {Array<string>} problems - Collects problems
+ * @returns {Array<Object>} Components: { name, line, properties, children } in
+ *   document order, where children are the names of nested components
+ */
+function componentTree(lines, problems) {
+  const components = [];
+  const stack = [];
+  let closed = false;
+
+  for (const entry of lines) {
+    if (closed) {
+      problems.push(`line ${entry.line}: content after END:VCALENDAR`);
+      break;
+    }
+    if (entry.name === 'BEGIN') {
+      const component = { name: entry.value.toUpperCase(), line: entry.line, properties: [], children: [] };
+      stack[stack.length - 1]?.children.push(component.name);
+      components.push(component);
+      stack.push(component);
+    } else if (entry.name === 'END') {
+      const open = stack.pop();
+      if (!open) {
+        problems.push(`line ${entry.line}: END:${entry.value} without a matching BEGIN`);
+      } else if (open.name !== entry.value.toUpperCase()) {
+        problems.push(`line ${entry.line}: END:${entry.value} closes BEGIN:${open.name} from line ${open.line}`);
+      }
+      closed = stack.length === 0 && open?.name === 'VCALENDAR';
+    } else if (stack.length === 0) {
+      problems.push(`line ${entry.line}: ${entry.name} outside any component`);
+    } else {
+      stack[stack.length - 1].properties.push(entry);
+    }
+  }
+  for (const open of stack) {
+    problems.push(`line ${open.line}: BEGIN:${open.name} is never closed`);
+  }
+  return components;
+}
+
+/**
+ * Check required and single-occurrence properties, and that TZIDs in use
+ * have a VTIMEZONE
+ * @param {Array<Object>} components - From componentTree
+ * @param {Array<string>} problems - Collects problems
+ */
+function checkComponents(components, problems) {
+  const definedZones = new Set(
+    components
+      .filter((c) => c.name === 'VTIMEZONE')
+      .flatMap((c) => c.properties.filter((p) => p.name === 'TZID').map((p) => p.value))
+  );
+
+  for (const component of components) {
+    const rules = COMPONENT_RULES[component.name];
+    if (!rules) continue;
+    const counts = new Map();
+    for (const property of component.properties) {
+      counts.set(property.name, (counts.get(property.name) || 0) + 1);
+    }
+    for (const name of rules.required) {
+      if (!counts.has(name)) problems.push(`line ${component.line}: ${component.name} is missing ${name}`);
+    }
+    for (const name of rules.single) {
+      if (counts.get(name) > 1) problems.push(`line ${component.line}: ${component.name} has ${counts.get(name)} ${name} properties`);
+    }
+
+    if (component.name === 'VEVENT' && !counts.has('DTEND') && !counts.has('DURATION')) {
+      problems.push(`line ${component.line}: VEVENT is missing DTEND or DURATION`);
+    }
+    if (component.name === 'VTIMEZONE' && !component.children.some((name) => name === 'STANDARD' || name === 'DAYLIGHT')) {
+      problems.push(`line ${component.line}: VTIMEZONE has no STANDARD or DAYLIGHT`);
+    }
+    const action = component.properties.find((p) => p.name === 'ACTION')?.value;
+    if (component.name === 'VALARM' && action === 'DISPLAY' && !counts.has('DESCRIPTION')) {
+      problems.push(`line ${component.line}: DISPLAY alarm is missing DESCRIPTION`);
+    }
+    for (const property of component.properties) {
+      const tzid = /;TZID=("?)([^";:]+)\1/.exec(property.params)?.[2];
+      if (tzid && !definedZones.has(tzid)) {
+        problems.push(`line ${property.line}: ${property.name} uses TZID ${tzid} with no VTIMEZONE`);
+      }
+    }
+  }
+}
+
+/**
+ * Check TEXT escaping, then parse values and folds back and re-encode them
+ * with escapeIcsText / foldIcsLine
+ * @param {Array<Object>} lines - Content lines
+ * @param {Array<string>} problems - Collects problems
+ */
+function checkRoundTrip(lines, problems) {
+  for (const entry of lines) {
+    const text = TEXT_PROPERTIES.has(entry.name);
+    const list = TEXT_LIST_PROPERTIES.has(entry.name);
+    if (text || list) {
+      const escaping = escapingProblems(entry.value, list);
+      if (escaping.length > 0) {
+        problems.push(`line ${entry.line}: ${entry.name} has ${escaping.join(', ')}`);
+      } else {
+        const items = list ? entry.value.split(/(?<!\\),/) : [entry.value];
+        if (items.some((item) => escapeIcsText(unescapeText(item)) !== item)) {
+          problems.push(`line ${entry.line}: ${entry.name} does not round-trip through escapeIcsText`);
+        }
+      }
+    }
+    if (foldIcsLine(entry.text) !== entry.physical.join('\r\n')) {
+      problems.push(`line ${entry.line}: ${entry.name} is not folded as foldIcsLine would fold it`);
+    }
+  }
+}
+
+/**
+ * Check the agenda rules on parsed events: unique UIDs, DTEND after DTSTART,
+ * dates within the conference and no duplicate title + time pairs
+ * @param {string} icsContent - Raw ICS text
+ * @param {Array<Object>} events - From parseIcsEvents
+ * @param {Object} conference - Conference profile (startDate, endDate)
+ * @param {Array<string>} problems - Collects problems
+ */
+function checkEvents(icsContent, events, conference, problems) {
+  // ical merges events sharing a UID, so duplicates are counted on raw lines
+  const uids = [...unfold(icsContent).matchAll(/^UID:(.*?)\r?$/gm)].map((m) => m[1]);
+  const seen = new Set();
+  for (const uid of uids) {
+    if (seen.has(uid)) problems.push(`Duplicate UID: ${uid}`);
+    seen.add(uid);
+  }
+
+  const { startDate, endDate, timezone } = conference;
+  const first = startDate && DateTime.fromISO(startDate, { zone: timezone }).startOf('day');
+  const last = endDate && DateTime.fromISO(endDate, { zone: timezone }).endOf('day');
+  const titleTimes = new Map();
+
+  for (const event of events) {
+    if (!event.start || !event.end) {
+      problems.push(`${event.uid}: missing or unparseable DTSTART/DTEND`);
+      continue;
+    }
+    if (event.end <= event.start) {
+      problems.push(`${event.uid}: DTEND is not after DTSTART`);
+    }
+    if ((first && event.start < first) || (last && event.end > last)) {
+      problems.push(`${event.uid}: ${event.start.toISODate()} is outside the conference dates (${startDate} to ${endDate})`);
+    }
+    if (event.status === 'CANCELLED') continue;
+    const key = `${event.summary}\u0000${event.start.toMillis()}`;
+    const duplicate = titleTimes.get(key);
+    if (duplicate) {
+      problems.push(`${event.uid}: same title and start time as ${duplicate} (${event.summary})`);
+    } else {
+      titleTimes.set(key, event.uid);
+    }
+  }
+}
+
+/**
+ * Validate ICS content.
+ * @param {string} icsContent - Raw ICS text
+ * @param {Object} [options]
+ * @param {Object} [options.conference] - Profile supplying the zone and the
+ *   conference dates events must fall within
+ * @returns {Object} { eventCount, problems } where problems is a list of
+ *   human-readable messages (empty when the calendar is valid)
+ */
+export function validateCalendar(icsContent, options = {}) {
+  const conference = options.conference || DEFAULT_CONFERENCE;
+  const problems = [];
+
+  if (!icsContent.startsWith('BEGIN:VCALENDAR')) {
+    problems.push('Calendar does not start with BEGIN:VCALENDAR');
+  }
+  if (!icsContent.trimEnd().endsWith('END:VCALENDAR')) {
+    problems.push('Calendar does not end with END:VCALENDAR');
+  }
+
+  const lines = contentLines(physicalLines(icsContent, problems), problems);
+  const components = componentTree(lines, problems);
+  checkComponents(components, problems);
+  checkRoundTrip(lines, problems);
+
+  const events = parseIcsEvents(icsContent, conference.timezone);
+  if (events.length === 0) {
+    problems.push('Calendar contains no events');
+  }
+  checkEvents(icsContent, events, conference, problems);
+
+  return { eventCount: events.length, problems };
+}
+
+/**
+ * Read and validate an ICS file
+ * @param {string} filePath - Path to the ICS file
+ * @param {Object} [options] - See validateCalendar
+ * @returns {Promise<Object>} { eventCount, problems } (see validateCalendar)
+ */
+export async function validateIcsFile(filePath, options = {}) {
+  if (!(await fs.pathExists(filePath))) {
+    return { eventCount: 0, problems: [`File not found: ${filePath}`] };
+  }
+  return validateCalendar(await fs.readFile(filePath, 'utf8'), options);
+}
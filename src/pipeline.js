@@ -0,0 +1,262 @@
+/**
+ * The scrape → process → generate pipeline shared by the command-line commands
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+import { IdentiverseScraper } from './scraper.js';
+import { DataProcessor } from './dataProcessor.js';
+import { ICSGenerator } from './icsGenerator.js';
+import { readIcsFile } from './icsReader.js';
+import { validateIcsFile } from './icsValidator.js';
+import { filterSessions, selectionRank } from './selection.js';
+import { markConflicts } from './conflicts.js';
+import { checkScrapeHealth } from './health.js';
+import { filterByTrack, splitByTrack, trackLabel } from './tracks.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { EXPORTERS } from './exporters.js';
+import { buildSpeakerIndex, findSpeaker } from './speakers.js';
+
+/** Repository root (one level above src/) */
+export const ROOT_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+/** Default on-disk HTTP cache directory */
+export const DEFAULT_CACHE_DIR = path.join(ROOT_DIR, 'output', 'http-cache');
+
+/**
+ * Output paths for a conference, derived from its profile's file names (a
+ * relative release path is taken from the repository root)
+ * @param {Object} [conference] - Conference profile
+ * @returns {Object} { stem, output, sessions, release }
+ */
+export function conferencePaths(conference = DEFAULT_CONFERENCE) {
+  const stem = path.basename(conference.output.file, '.ics');
+  return {
+    stem,
+    output: path.join(ROOT_DIR, 'output', conference.output.file),
+    sessions: path.join(ROOT_DIR, 'output', `${stem}-sessions.json`),
+    release: path.resolve(ROOT_DIR, conference.output.release),
+  };
+}
+
+const DEFAULT_PATHS = conferencePaths();
+
+/** Default location of the generated calendar */
+export const DEFAULT_OUTPUT_PATH = DEFAULT_PATHS.output;
+
+/** Default location of a saved scrape (raw sessions as JSON) */
+export const DEFAULT_SESSIONS_PATH = DEFAULT_PATHS.sessions;
+
+/** The committed calendar artifact */
+export const RELEASE_PATH = DEFAULT_PATHS.release;
+
+/**
+ * Scrape raw sessions from the agenda site
+ * @param {Object} [scraperOptions] - Options for IdentiverseScraper
+ * @returns {Promise<Object>} { rawSessions, stats } where stats are the
+ *   scraper's run counters (sessions, detail pages, cache hits/misses)
+ */
+export async function scrapeSessions(scraperOptions = {}) {
+  const scraper = new IdentiverseScraper(scraperOptions);
+  const rawSessions = await scraper.scrapeAllSessions();
+  return { rawSessions, stats: scraper.stats };
+}
+
+/**
+ * Process raw sessions into calendar-ready sessions
+ * @param {Array} rawSessions - Raw sessions from the scraper or a saved scrape
+ * @param {Object} [conference] - Conference profile
+ * @returns {Object} { sessions, groupedSessions } (see DataProcessor.processAll)
+ */
+export function processSessions(rawSessions, conference = DEFAULT_CONFERENCE) {
+  return new DataProcessor(conference).processAll(rawSessions);
+}
+
+/**
+ * Write the main calendar plus any track and personal calendars.
+ *
+ * The main calendar is validated and the run checked against the scrape
+ * health thresholds before the committed release copy is refreshed; an
+ * invalid calendar or an unhealthy scrape never replaces the release copy.
+ *
+ * @param {Array} sessions - Processed session objects
+ * @param {Object} [options]
+ * @param {Object} [options.conference] - Conference profile (names, release path)
+ * @param {string} [options.outputPath] - Main calendar path
+ * @param {boolean} [options.release] - Refresh the committed release copy
+ * @param {Array<string>} [options.include] - Only keep sessions in these types/topics
+ * @param {Array<string>} [options.exclude] - Drop sessions in these types/topics
+ * @param {boolean} [options.splitTracks] - Also write one calendar per type/topic
+ * @param {Array<string>} [options.attendeeZones] - Also write a variant per IANA
+ *   zone, showing times in that zone alongside conference time
+ * @param {Array<string>} [options.speakers] - Also write a calendar for each of
+ *   these speakers (names or slugs)
+ * @param {boolean} [options.speakerAttendees] - List speakers as ATTENDEE properties
+ * @param {Object} [options.reminders] - Normalized reminder rules; every calendar
+ *   gets VALARMs and the release copy is not refreshed
+ * @param {Object} [options.selection] - Normalized selection for a personal calendar
+ * @param {string} [options.personalOutput] - Where to write the personal calendar
+ * @param {boolean} [options.markConflicts] - Show lower-priority overlapping
+ *   sessions in the personal calendar as free (TRANSP:TRANSPARENT)
+ * @param {Object} [options.scrapeStats] - Scraper stats of the run (null for a
+ *   saved scrape)
+ * @param {Object} [options.health] - Health thresholds overriding the profile's
+ * @returns {Promise<Object>} { outputPath, feedSessions, personalSessions,
+ *   validation, health, releaseUpdated } where personalSessions is null without
+ *   a selection and health is the result of checkScrapeHealth
+ */
+export async function generateCalendars(sessions, options = {}) {
+  const conference = options.conference || DEFAULT_CONFERENCE;
+  const paths = conferencePaths(conference);
+  const {
+    outputPath = paths.output,
+    release = true,
+    include = [],
+    exclude = [],
+    splitTracks = false,
+    attendeeZones = [],
+    speakers = [],
+    speakerAttendees = false,
+    reminders = null,
+    selection = null,
+    markConflicts: markPersonalConflicts = false,
+    scrapeStats = null,
+  } = options;
+  const outputDir = path.dirname(outputPath);
+  const generator = new ICSGenerator({ conference, speakerAttendees, reminders });
+
+  const trackFiltered = include.length > 0 || exclude.length > 0;
+  const feedSessions = trackFiltered ? filterByTrack(sessions, { include, exclude }) : sessions;
+  if (trackFiltered) {
+    console.log(`Track filter kept ${feedSessions.length} of ${sessions.length} sessions`);
+  }
+
+  // Compare against the published calendar so changed events get a new
+  // SEQUENCE and removed sessions are emitted as cancelled. A track-filtered
+  // feed, or a run that leaves the release copy alone, is versioned against
+  // its own previous output instead, so sessions missing from a filtered feed
+  // or an offline fixture don't show up as cancellations.
+  const zone = conference.timezone;
+  const releaseEvents = await readIcsFile(paths.release, zone);
+  const previousEvents = trackFiltered || !release ? await readIcsFile(outputPath, zone) : releaseEvents;
+  await generator.generateICSFile(feedSessions, outputPath, previousEvents);
+
+  const validation = await validateIcsFile(outputPath, { conference });
+  const health = checkScrapeHealth(
+    { sessions, conference, previousEvents: releaseEvents, stats: scrapeStats },
+    { ...conference.health, ...options.health }
+  );
+  let releaseUpdated = false;
+  if (validation.problems.length > 0) {
+    console.warn('Generated calendar failed validation — release copy not refreshed');
+  } else if (health.problems.length > 0) {
+    console.warn('Scrape health checks failed — release copy not refreshed');
+  } else if (trackFiltered) {
+    console.log('Track filter active — release copy not refreshed');
+  } else if (reminders) {
+    // The published feed stays alarm-free
+    console.log('Reminders active — release copy not refreshed');
+  } else if (release) {
+    // Keep the committed root artifact in sync with the generated output
+    await fs.copy(outputPath, paths.release);
+    releaseUpdated = true;
+    console.log(`Release copy updated at: ${paths.release}`);
+  }
+
+  if (splitTracks) {
+    console.log('\nWriting one calendar per type/topic...');
+    for (const [slug, trackSessions] of splitByTrack(feedSessions)) {
+      const trackGenerator = new ICSGenerator({
+        conference,
+        speakerAttendees,
+        reminders,
+        calendarName: `${conference.name} — ${trackLabel(slug)}`,
+      });
+      const trackPath = path.join(outputDir, 'tracks', `${paths.stem}-${slug}.ics`);
+      await trackGenerator.generateICSFile(trackSessions, trackPath, await readIcsFile(trackPath, zone));
+    }
+  }
+
+  if (attendeeZones.length > 0) {
+    console.log('\nWriting attendee timezone variants...');
+    for (const attendeeZone of attendeeZones) {
+      const variantGenerator = new ICSGenerator({
+        conference,
+        speakerAttendees,
+        reminders,
+        attendeeZone,
+        calendarName: `${conference.calendar.name} (${attendeeZone})`,
+      });
+      const zoneSlug = attendeeZone.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+      const variantPath = path.join(outputDir, `${paths.stem}-${zoneSlug}.ics`);
+      await variantGenerator.generateICSFile(feedSessions, variantPath, await readIcsFile(variantPath, zone));
+    }
+  }
+
+  if (speakers.length > 0) {
+    console.log('\nWriting speaker calendars...');
+    const index = buildSpeakerIndex(sessions);
+    for (const query of speakers) {
+      const speaker = findSpeaker(index, query);
+      if (!speaker) {
+        console.warn(`No sessions found for speaker: ${query}`);
+        continue;
+      }
+      const speakerGenerator = new ICSGenerator({
+        conference,
+        speakerAttendees,
+        reminders,
+        calendarName: `${conference.name} — ${speaker.name}`,
+      });
+      const speakerPath = path.join(outputDir, 'speakers', `${paths.stem}-${speaker.slug}.ics`);
+      await speakerGenerator.generateICSFile(speaker.sessions, speakerPath, await readIcsFile(speakerPath, zone));
+    }
+  }
+
+  let personalSessions = null;
+  if (selection) {
+    console.log('\nGenerating personal calendar...');
+    const { sessions: selected, unmatched } = filterSessions(sessions, selection);
+    for (const entry of unmatched) {
+      console.warn(`Selection entry matched no sessions: ${entry}`);
+    }
+    personalSessions = selected;
+    if (markPersonalConflicts) {
+      const marked = markConflicts(selected, (session) => selectionRank(session, selection));
+      personalSessions = marked.sessions;
+      console.log(`${marked.transparent.length} lower-priority conflicting sessions shown as free`);
+    }
+
+    const personalPath = options.personalOutput || path.join(outputDir, `${paths.stem}-personal.ics`);
+    const previousPersonal = await readIcsFile(personalPath, zone);
+    await generator.generateICSFile(personalSessions, personalPath, previousPersonal);
+    console.log(`Personal calendar with ${selected.length} sessions saved to: ${personalPath}`);
+  }
+
+  return { outputPath, feedSessions, personalSessions, validation, health, releaseUpdated };
+}
+
+/**
+ * Write structured exports of the sessions next to the calendar
+ * @param {Array} sessions - Processed session objects
+ * @param {Array<string>} formats - Keys of EXPORTERS, e.g. ["json", "csv"]
+ * @param {Object} [options]
+ * @param {Object} [options.conference] - Conference profile
+ * @param {string} [options.calendarPath] - Calendar the exports accompany;
+ *   each export takes its name plus the exporter's fileSuffix
+ * @returns {Promise<Array<string>>} Paths written
+ */
+export async function exportSessions(sessions, formats, options = {}) {
+  const conference = options.conference || DEFAULT_CONFERENCE;
+  const calendarPath = options.calendarPath || conferencePaths(conference).output;
+  const base = path.join(path.dirname(calendarPath), path.basename(calendarPath, path.extname(calendarPath)));
+
+  const written = [];
+  for (const format of formats) {
+    const Exporter = EXPORTERS[format];
+    if (!Exporter) throw new Error(`Unknown export format: ${format}`);
+    written.push(await new Exporter({ conference }).generateFile(sessions, `${base}${Exporter.fileSuffix}`));
+  }
+  return written;
+}
@@ -0,0 +1,119 @@
+/**
+ * Opt-in VALARM reminders, with lead times chosen by session type.
+ *
+ * A reminders file is JSON of the form
+ *   {
+ *     "default": ["10m"],
+ *     "types": {
+ *       "workshop": ["1d", "30m"],
+ *       "networking": []
+ *     }
+ *   }
+ * Type keys are session types or topics in any spelling ("TECH THEATER" and
+ * "tech-theater" are the same key). A session takes the lead times of its
+ * type if listed, else of its first listed topic, else the default. Lead
+ * times are minutes or strings such as "10m", "2h", "1d" or "1h30m".
+ */
+
+import fs from 'fs-extra';
+import { sessionTracks, trackSlug } from './tracks.js';
+
+const UNIT_MINUTES = { d: 24 * 60, h: 60, m: 1 };
+
+/**
+ * Parse a lead time into minutes
+ * @param {number|string} value - e.g. 10, "10m", "2h", "1d", "1h30m"
+ * @returns {number} Minutes (positive integer)
+ * @throws {Error} When the value is not a positive lead time
+ */
+export function parseLeadTime(value) {
+  const text = String(value).trim().toLowerCase();
+  let minutes = NaN;
+  if (/^\d+$/.test(text)) {
+    minutes = Number(text);
+  } else if (/^(\d+[dhm])+$/.test(text)) {
+    minutes = [...text.matchAll(/(\d+)([dhm])/g)].reduce((sum, [, n, unit]) => sum + Number(n) * UNIT_MINUTES[unit], 0);
+  }
+  if (!(minutes > 0)) throw new Error(`Invalid reminder lead time: ${value}`);
+  return minutes;
+}
+
+/**
+ * ICS TRIGGER value for a reminder this many minutes before the start
+ * @param {number} minutes
+ * @returns {string} e.g. "-PT10M", "-PT1H30M", "-P1D"
+ */
+export function formatTrigger(minutes) {
+  const days = Math.floor(minutes / UNIT_MINUTES.d);
+  const hours = Math.floor((minutes % UNIT_MINUTES.d) / 60);
+  const mins = minutes % 60;
+  const time = `${hours ? `${hours}H` : ''}${mins ? `${mins}M` : ''}`;
+  return `-P${days ? `${days}D` : ''}${time ? `T${time}` : ''}`;
+}
+
+/**
+ * Normalize parsed reminder rules: slug the type keys and parse lead times
+ * @param {Object} raw - Parsed reminders JSON
+ * @param {string} [source] - Where the rules came from, for error messages
+ * @returns {Object} { default, types } with lead times in minutes, longest first
+ * @throws {Error} On malformed rules or lead times
+ */
+export function normalizeReminderRules(raw = {}, source = 'reminders') {
+  const leadTimes = (value, key) => {
+    if (!Array.isArray(value)) throw new Error(`${source}: "${key}" must be a list of lead times`);
+    try {
+      return [...new Set(value.map(parseLeadTime))].sort((a, b) => b - a);
+    } catch (error) {
+      throw new Error(`${source}: ${error.message}`);
+    }
+  };
+
+  const types = new Map();
+  for (const [type, value] of Object.entries(raw.types || {})) {
+    types.set(trackSlug(type), leadTimes(value, `types.${type}`));
+  }
+  return {
+    default: raw.default === undefined ? [] : leadTimes(raw.default, 'default'),
+    types,
+  };
+}
+
+/**
+ * Load and validate a reminders file
+ * @param {string} filePath - Path to the reminders JSON file
+ * @returns {Promise<Object>} Normalized rules
+ */
+export async function loadReminderRules(filePath) {
+  const rules = normalizeReminderRules(await fs.readJson(filePath), filePath);
+  if (rules.default.length === 0 && [...rules.types.values()].every((times) => times.length === 0)) {
+    throw new Error(`Reminders file ${filePath} sets no lead times`);
+  }
+  return rules;
+}
+
+/**
+ * Lead times for a session
+ * @param {Object} session - Processed session object
+ * @param {Object} rules - Normalized rules
+ * @returns {Array<number>} Minutes before the start, longest first
+ */
+export function remindersFor(session, rules) {
+  const track = sessionTracks(session).find((slug) => rules.types.has(slug));
+  return track ? rules.types.get(track) : rules.default;
+}
+
+/**
+ * VALARM components for an event
+ * @param {Array<number>} leadTimes - Minutes before the start
+ * @param {string} description - Escaped text shown by the alarm
+ * @returns {Array<string>} Unfolded content lines
+ */
+export function buildAlarmLines(leadTimes, description) {
+  return leadTimes.flatMap((minutes) => [
+    'BEGIN:VALARM',
+    'ACTION:DISPLAY',
+    `DESCRIPTION:${description}`,
+    `TRIGGER:${formatTrigger(minutes)}`,
+    'END:VALARM',
+  ]);
+}
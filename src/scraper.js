@@ -1,237 +1,183 @@
 /**
- * Web scraping functionality for the Identiverse conference agenda.
+ * Web scraping functionality for conference agendas.
  *
- * The 2026 site (https://identiverse.com/idv26/agenda/) is fully
- * server-rendered: a single GET returns every session for all conference
- * days inside #sessionsgrid, organized in #gridday-YYYY-MM-DD containers.
- * Session detail pages are also static HTML, so plain fetch + cheerio is
- * all that's needed — no browser automation.
+ * The scraper fetches pages (rate-limited, cached, retried, optionally from
+ * or into a snapshot); a site adapter (see src/adapters/) knows which pages to
+ * fetch and how to read them. The profile's `adapter` picks one — the
+ * Identiverse agenda grid by default. The sites are server-rendered, so plain
+ * fetch + cheerio is all that's needed — no browser automation.
  */
 
-import * as cheerio from 'cheerio';
-import { sleep } from './utils.js';
+import { PageSnapshot } from './snapshot.js';
+import { HttpCache } from './httpCache.js';
+import { HttpClient } from './httpClient.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { getAdapter } from './adapters/index.js';
+
+// The Identiverse page parsers lived here before the adapters; keep them importable
+export { parseAgendaSessions, parseDetailPage, parseSpeakerPage } from './adapters/identiverse.js';
 
-const SITE_ORIGIN = 'https://identiverse.com';
 const USER_AGENT =
   'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
 
-/** Matches time ranges like "8:30 am - 12 pm", "6 am - 7 am", "11:30 - 1 pm" */
-const TIME_RANGE_RE = /\d{1,2}(?::\d{2})?\s*(?:am|pm)?\s*[-–]\s*\d{1,2}(?::\d{2})?\s*(?:am|pm)/i;
-
-/** Collapse whitespace runs (incl. newlines) into single spaces */
-const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
-
-/**
- * Extract readable text from a container, preserving paragraph/list-item
- * boundaries as newlines.
- * @param {object} $ - cheerio instance
- * @param {object} container - cheerio element
- * @returns {string}
- */
-function blockText($, container) {
-  const blocks = container.find('p, li');
-  if (blocks.length > 0) {
-    return blocks
-      .map((_, el) => normalize($(el).text()))
-      .get()
-      .filter(Boolean)
-      .join('\n');
-  }
-  return normalize(container.text());
-}
-
-/**
- * Parse all sessions out of the agenda page HTML.
- * @param {string} html - Full HTML of the agenda page
- * @returns {Array} Array of raw session objects
- */
-export function parseAgendaSessions(html) {
-  const $ = cheerio.load(html);
-  const sessions = [];
-
-  $('#sessionsgrid [id^="gridday-"]').each((_, dayEl) => {
-    const day = $(dayEl);
-    const date = day.attr('id').replace('gridday-', ''); // e.g. "2026-06-15"
-
-    day.find('.sessionentry').each((_, entryEl) => {
-      const entry = $(entryEl);
-      const sessionId = entry.attr('data-sessionid') || null;
-
-      // Title
-      const nameEl = entry.find('.sessionname');
-      const title =
-        normalize(nameEl.find('.sessionlink').text()) ||
-        normalize(nameEl.text()) ||
-        'Untitled Session';
-
-      // Time and type live together in .sessiontime: "<strong>TYPE</strong> / 8:30 am - 12 pm"
-      const timeEl = entry.find('.sessiontime');
-      const strongType = normalize(timeEl.find('strong').text());
-      const timeText = normalize(timeEl.text());
-      const timeMatch = timeText.match(TIME_RANGE_RE);
-      const time = timeMatch ? timeMatch[0] : timeText.split('/').pop().trim();
-
-      // Type: prefer the <strong> label, then type-*/topic-* classes
-      const classes = (entry.attr('class') || '').split(/\s+/);
-      const classType = (prefix) => {
-        const cls = classes.find((c) => c.startsWith(prefix) && c !== prefix);
-        return cls ? cls.slice(prefix.length).replace(/-/g, ' ') : null;
-      };
-      const type = (strongType || classType('type-') || classType('topic-') || 'SESSION').toUpperCase();
-
-      // Details URL (absolute or site-relative)
-      let detailsUrl = entry.find('a.morelink').attr('href') || entry.find('a.sessionlink').attr('href') || '';
-      if (detailsUrl && !detailsUrl.startsWith('http')) {
-        detailsUrl = `${SITE_ORIGIN}${detailsUrl}`;
-      }
-
-      // Inline speakers: name plus "Title • Company"
-      const speakers = entry
-        .find('.speakerpanel .speaker')
-        .map((_, speakerEl) => {
-          const speaker = $(speakerEl);
-          const name = normalize(speaker.find('.speakername').text());
-          const speakerTitle = normalize(speaker.find('.speakertitle').text());
-          return name ? { name, title: speakerTitle } : null;
-        })
-        .get()
-        .filter(Boolean);
-
-      sessions.push({
-        date,
-        time,
-        title,
-        type,
-        sessionId,
-        detailsUrl,
-        speakers,
-        hasDetails: Boolean(detailsUrl),
-      });
+export class IdentiverseScraper {
+  /**
+   * @param {Object} [options] - See the defaults below; `conference` is the
+   *   profile whose agenda is scraped (at its agendaUrl unless `baseUrl`
+   *   overrides it) and `adapter` overrides the profile's site adapter
+   * @throws {Error} When the adapter is unknown
+   */
+  constructor(options = {}) {
+    this.conference = options.conference || DEFAULT_CONFERENCE;
+    this.adapter = getAdapter(options.adapter || this.conference.adapter);
+    this.baseUrl = options.baseUrl || this.adapter.agendaUrl(this.conference);
+    this.options = {
+      extractDetailPages: true, // Whether to fetch detail pages for location/description
+      extractSpeakerPages: false, // Whether to fetch speaker profiles for bio/headshot/sessions
+      concurrency: 4, // Parallel detail/speaker-page fetches
+      requestsPerSecond: 5, // Per-host rate limit shared by all workers (0 disables it)
+      retries: 3, // Retries for network errors, timeouts, 429 and 5xx responses
+      timeout: 20000, // Milliseconds before a request is aborted
+      snapshotDir: null, // Replay pages from a saved snapshot instead of the network
+      saveSnapshotDir: null, // Save every fetched page into a snapshot directory
+      cacheDir: null, // On-disk HTTP cache directory (disabled when null)
+      cacheTtl: 60 * 60 * 1000, // Milliseconds a cached page is used without revalidation
+      refresh: false, // Ignore cached pages and download everything again
+      revalidate: false, // Revalidate detail and speaker pages too, even while fresh (the agenda always is)
+      ...options,
+    };
+    this.replaySnapshot = null;
+    this.recordSnapshot = null;
+    this.http = new HttpClient({
+      retries: this.options.retries,
+      timeout: this.options.timeout,
+      requestsPerSecond: this.options.requestsPerSecond,
+      burst: this.options.concurrency,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept-Language': 'en-US,en;q=0.9',
+      },
     });
-  });
-
-  return sessions;
-}
-
-/**
- * Parse a session detail page. Handles both page templates:
- *  - standard sessions: .idvdetail with .entrydate / .entrydetail / .blurb
- *  - named workshop pages: .workshops26-dates with .date / .time / .location
- * @param {string} html - Full HTML of the detail page
- * @returns {Object} { date, time, location, description } (nulls when absent)
- */
-export function parseDetailPage(html) {
-  const $ = cheerio.load(html);
-  const detail = { date: null, time: null, location: null, description: null };
-
-  const idvDetail = $('.idvdetail');
-  if (idvDetail.length > 0) {
-    detail.date = normalize(idvDetail.find('.entrydate').first().text()) || null;
+    this.httpCache = this.options.cacheDir
+      ? new HttpCache(this.options.cacheDir, { ttl: this.options.cacheTtl })
+      : null;
+    // Counters for the run summary
+    this.stats = {
+      sessions: 0,
+      detailPages: 0,
+      detailFailures: 0,
+      speakerPages: 0,
+      speakerFailures: 0,
+      cache: { fresh: 0, revalidated: 0, downloaded: 0 },
+    };
+  }
 
-    idvDetail.find('.entrydetail').each((_, el) => {
-      const text = normalize($(el).text());
-      if (!text) return;
-      if (TIME_RANGE_RE.test(text)) {
-        detail.time = detail.time || text;
-      } else {
-        detail.location = detail.location || text;
+  /**
+   * Open the replay snapshot or start a new recording, as configured.
+   * When replaying without an explicit baseUrl option, the snapshot's agenda
+   * URL is used.
+   */
+  async openSnapshots() {
+    if (this.options.snapshotDir && !this.replaySnapshot) {
+      this.replaySnapshot = await PageSnapshot.load(this.options.snapshotDir);
+      if (!this.options.baseUrl && this.replaySnapshot.agendaUrl) {
+        this.baseUrl = this.replaySnapshot.agendaUrl;
       }
-    });
-
-    const blurb = idvDetail.find('.blurb');
-    if (blurb.length > 0) {
-      detail.description = blockText($, blurb) || null;
+      console.log(`Replaying pages from snapshot ${this.options.snapshotDir} (no network)`);
+    }
+    if (this.options.saveSnapshotDir && !this.recordSnapshot) {
+      this.recordSnapshot = new PageSnapshot(this.options.saveSnapshotDir);
+      this.recordSnapshot.agendaUrl = this.baseUrl;
     }
-    return detail;
   }
 
-  const workshopDates = $('.workshops26-dates');
-  if (workshopDates.length > 0) {
-    detail.date = normalize(workshopDates.find('.date').first().text()) || null;
-    detail.time = normalize(workshopDates.find('.time').first().text()) || null;
-    detail.location = normalize(workshopDates.find('.location').first().text()) || null;
+  /**
+   * Fetch a page's HTML. Served from the replay snapshot when one is open;
+   * otherwise from the HTTP cache or the network (see fetchCached). Recorded
+   * into the save snapshot when one is open.
+   * @param {string} url
+   * @param {Object} [options]
+   * @param {boolean} [options.revalidate] - Revalidate a cached copy even if it is fresh
+   * @returns {Promise<string>} HTML body
+   */
+  async fetchPage(url, { revalidate = false } = {}) {
+    if (this.replaySnapshot) {
+      return this.replaySnapshot.read(url);
+    }
 
-    const about = $('.workshops26-about .regtext');
-    if (about.length > 0) {
-      detail.description = blockText($, about) || null;
+    const html = await this.fetchCached(url, revalidate);
+    if (this.recordSnapshot) {
+      await this.recordSnapshot.write(url, html);
     }
-    return detail;
+    return html;
   }
 
-  // Hero-banner template (e.g. the Women in Identiverse summit page):
-  // a .panelinfo block holding "Month DD, YYYY | h:mm am - h:mm pm<br>Room"
-  const panelInfo = $('.panelinfo').first();
-  if (panelInfo.length > 0) {
-    panelInfo.find('br').replaceWith('\n');
-    const lines = panelInfo.text().split('\n').map(normalize).filter(Boolean);
-    for (const line of lines) {
-      const timeMatch = line.match(TIME_RANGE_RE);
-      if (timeMatch) {
-        detail.time = detail.time || timeMatch[0];
-        const dateMatch = line.match(/[A-Za-z]+\s+\d{1,2},\s*\d{4}/);
-        if (dateMatch) detail.date = detail.date || dateMatch[0];
-      } else if (!/\d/.test(line)) {
-        detail.location = detail.location || line;
-      }
+  /**
+   * Fetch through the HTTP cache when one is configured: fresh entries are
+   * served directly, stale ones are revalidated with If-None-Match /
+   * If-Modified-Since, and the refresh option bypasses cached copies.
+   * @param {string} url
+   * @param {boolean} revalidate - Ignore the TTL for this request
+   * @returns {Promise<string>} HTML body
+   * @throws {Error} On a 304 Not Modified with no cached copy to reuse
+   */
+  async fetchCached(url, revalidate) {
+    const cache = this.httpCache;
+    if (!cache) {
+      return (await this.request(url)).body;
     }
-    const blurb = $('.blurb').first();
-    if (blurb.length > 0) {
-      detail.description = blockText($, blurb) || null;
+
+    const cached = this.options.refresh ? null : await cache.get(url);
+    if (cached && !revalidate && cache.isFresh(cached)) {
+      this.stats.cache.fresh++;
+      return cached.body;
     }
-  }
 
-  return detail;
-}
+    const headers = {};
+    if (cached?.etag) headers['If-None-Match'] = cached.etag;
+    if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+    const res = await this.request(url, headers);
+    if (res.status === 304 && cached) {
+      this.stats.cache.revalidated++;
+      await cache.set(url, {
+        body: cached.body,
+        etag: res.etag || cached.etag,
+        lastModified: res.lastModified || cached.lastModified,
+      });
+      return cached.body;
+    }
+    if (res.status === 304) {
+      // The request carried no validators, so the server has nothing to go on
+      throw new Error(`304 Not Modified without a cached copy for ${url}`);
+    }
 
-export class IdentiverseScraper {
-  constructor(options = {}) {
-    this.baseUrl = `${SITE_ORIGIN}/idv26/agenda/`;
-    this.options = {
-      extractDetailPages: true, // Whether to fetch detail pages for location/description
-      concurrency: 4, // Parallel detail-page fetches
-      delayBetweenRequests: 200, // Milliseconds between requests per worker
-      ...options,
-    };
+    this.stats.cache.downloaded++;
+    await cache.set(url, res);
+    return res.body;
   }
 
   /**
-   * Fetch a page with a browser-like User-Agent, retrying once on failure.
+   * Perform a GET with a browser-like User-Agent through the HTTP client
+   * (timeouts, retries with backoff, per-host rate limiting).
    * @param {string} url
-   * @returns {Promise<string>} HTML body
+   * @param {Object} [headers] - Extra request headers
+   * @returns {Promise<Object>} { status, body, etag, lastModified }; body is
+   *   null for 304 Not Modified
    */
-  async fetchPage(url, attempt = 1) {
-    try {
-      const res = await fetch(url, {
-        headers: {
-          'User-Agent': USER_AGENT,
-          'Accept-Language': 'en-US,en;q=0.9',
-        },
-        redirect: 'follow',
-      });
-      if (!res.ok) {
-        throw new Error(`HTTP ${res.status} for ${url}`);
-      }
-      return await res.text();
-    } catch (error) {
-      if (attempt < 2) {
-        console.warn(`Fetch failed for ${url} (${error.message}), retrying...`);
-        await sleep(1000);
-        return this.fetchPage(url, attempt + 1);
-      }
-      throw error;
-    }
+  async request(url, headers = {}) {
+    return this.http.get(url, headers);
   }
 
   /**
-   * Fetch and merge detail-page data (location, description) into sessions.
-   * Sessions sharing a detail URL are enriched from a single fetch.
-   * @param {Array} sessions - Raw sessions from the agenda grid
+   * Fetch and parse pages with a pool of `concurrency` workers.
+   * @param {Array<string>} urls - Unique page URLs
+   * @param {Function} parse - (html, url) => parsed page
+   * @param {string} label - What is being fetched, for progress messages
+   * @returns {Promise<Object>} { results: Map(url → parsed page), failed }
    */
-  async enrichWithDetails(sessions) {
-    const urls = [...new Set(sessions.filter((s) => s.detailsUrl).map((s) => s.detailsUrl))];
-    console.log(`Fetching ${urls.length} session detail pages (concurrency ${this.options.concurrency})...`);
-
-    const detailsByUrl = new Map();
+  async fetchAll(urls, parse, label) {
+    const results = new Map();
     let completed = 0;
     let failed = 0;
 
@@ -240,17 +186,16 @@ export class IdentiverseScraper {
         const url = queue.shift();
         if (!url) return;
         try {
-          const html = await this.fetchPage(url);
-          detailsByUrl.set(url, parseDetailPage(html));
+          const html = await this.fetchPage(url, { revalidate: this.options.revalidate });
+          results.set(url, parse(html, url));
         } catch (error) {
           failed++;
-          console.warn(`Could not fetch details for ${url}: ${error.message}`);
+          console.warn(`Could not fetch ${label} ${url}: ${error.message}`);
         }
         completed++;
         if (completed % 25 === 0 || completed === urls.length) {
-          console.log(`  ${completed}/${urls.length} detail pages fetched`);
+          console.log(`  ${completed}/${urls.length} ${label}s fetched`);
         }
-        await sleep(this.options.delayBetweenRequests);
       }
     };
 
@@ -258,13 +203,30 @@ export class IdentiverseScraper {
     await Promise.all(
       Array.from({ length: Math.min(this.options.concurrency, urls.length) }, () => worker(queue))
     );
+    return { results, failed };
+  }
+
+  /**
+   * Fetch and merge detail-page data (location, description) into sessions.
+   * Sessions sharing a detail URL are enriched from a single fetch.
+   * @param {Array} sessions - Raw sessions from the agenda page
+   */
+  async enrichWithDetails(sessions) {
+    const detailUrl = (session) => this.adapter.detailUrl(session, this.baseUrl);
+    const urls = [...new Set(sessions.map(detailUrl).filter(Boolean))];
+    console.log(`Fetching ${urls.length} session detail pages (concurrency ${this.options.concurrency})...`);
 
+    const parse = (html, url) => this.adapter.parseDetail(html, url, this.conference);
+    const { results: detailsByUrl, failed } = await this.fetchAll(urls, parse, 'detail page');
+
+    this.stats.detailPages = urls.length;
+    this.stats.detailFailures = failed;
     if (failed > 0) {
       console.warn(`${failed} detail pages could not be fetched; those sessions keep grid-level data only.`);
     }
 
     for (const session of sessions) {
-      const detail = detailsByUrl.get(session.detailsUrl);
+      const detail = detailsByUrl.get(detailUrl(session));
       if (!detail) continue;
       if (detail.location) session.location = detail.location;
       if (detail.description) session.description = detail.description;
@@ -273,22 +235,81 @@ export class IdentiverseScraper {
     }
   }
 
+  /**
+   * Fetch each unique speaker profile once and merge bio, company, headshot
+   * and the profile's session list into every appearance of that speaker.
+   * The agenda's name and title stay authoritative.
+   * @param {Array} sessions - Raw sessions from the agenda page
+   */
+  async enrichWithSpeakers(sessions) {
+    const { adapter } = this;
+    if (!adapter.parseSpeaker) {
+      console.warn(`The ${adapter.name} adapter does not read speaker profiles; skipping them.`);
+      return;
+    }
+    const profileUrl = (speaker) => adapter.speakerUrl(speaker, this.baseUrl);
+    const speakers = sessions.flatMap((s) => s.speakers || []).filter(profileUrl);
+    const urls = [...new Set(speakers.map(profileUrl))];
+    console.log(`Fetching ${urls.length} speaker profiles (concurrency ${this.options.concurrency})...`);
+
+    const parse = (html, url) => adapter.parseSpeaker(html, url, this.conference);
+    const { results: profiles, failed } = await this.fetchAll(urls, parse, 'speaker page');
+
+    this.stats.speakerPages = urls.length;
+    this.stats.speakerFailures = failed;
+    if (failed > 0) {
+      console.warn(`${failed} speaker profiles could not be fetched; those speakers keep agenda data only.`);
+    }
+
+    for (const speaker of speakers) {
+      const profile = profiles.get(profileUrl(speaker));
+      if (!profile) continue;
+      if (profile.bio) speaker.bio = profile.bio;
+      if (profile.company) speaker.company = profile.company;
+      if (!speaker.headshotUrl && profile.headshotUrl) speaker.headshotUrl = profile.headshotUrl;
+      if (!speaker.title && profile.title) speaker.title = profile.title;
+      speaker.profileSessions = profile.sessions;
+    }
+  }
+
   /**
    * Scrape all sessions from all conference days.
    * @returns {Array} Array of session objects with complete information
    */
   async scrapeAllSessions() {
+    await this.openSnapshots();
+    try {
+      return await this.scrapeAgenda();
+    } finally {
+      // Keep whatever was fetched, even from a failed run — that's when a
+      // snapshot is most useful for reproducing the problem
+      if (this.recordSnapshot) {
+        await this.recordSnapshot.save();
+        console.log(`Saved ${Object.keys(this.recordSnapshot.pages).length} pages to snapshot ${this.recordSnapshot.dir}`);
+      }
+    }
+  }
+
+  /**
+   * Fetch and parse the agenda, then enrich sessions from their detail pages.
+   * @returns {Array} Array of session objects with complete information
+   */
+  async scrapeAgenda() {
     console.log(`Fetching agenda page: ${this.baseUrl}`);
-    const html = await this.fetchPage(this.baseUrl);
+    // The agenda is where schedule changes show up, so never trust a cached
+    // copy of it without asking the server
+    const html = await this.fetchPage(this.baseUrl, { revalidate: true });
 
-    const sessions = parseAgendaSessions(html);
+    const sessions = this.adapter.parseAgenda(html, this.baseUrl, this.conference);
     if (sessions.length === 0) {
       throw new Error(
-        'No sessions found on the agenda page — the site structure may have changed. ' +
-        'Inspect https://identiverse.com/idv26/agenda/ and update the selectors in src/scraper.js.'
+        `No sessions found on the agenda page with the ${this.adapter.name} adapter — the site structure may ` +
+        `have changed. Inspect ${this.baseUrl} and update the adapter in src/adapters/.`
       );
     }
 
+    this.stats.sessions = sessions.length;
+
     const perDay = {};
     for (const s of sessions) perDay[s.date] = (perDay[s.date] || 0) + 1;
     console.log(
@@ -299,6 +320,9 @@ export class IdentiverseScraper {
     if (this.options.extractDetailPages) {
       await this.enrichWithDetails(sessions);
     }
+    if (this.options.extractSpeakerPages) {
+      await this.enrichWithSpeakers(sessions);
+    }
 
     return sessions;
   }
@@ -0,0 +1,104 @@
+/**
+ * Personal agenda selection: pick sessions by ID, title or speaker.
+ *
+ * A selection file is JSON of the form
+ *   {
+ *     "sessionIds": ["3822721"],
+ *     "titles": ["puppy yoga"],
+ *     "speakers": ["Andrew Cameron"]
+ *   }
+ * Session IDs are the agenda's data-sessionid values; titles match
+ * case-insensitively as substrings, speakers by whole name or slug
+ * ("andrew-cameron"), ignoring case and accents. A session is selected when
+ * it matches any entry.
+ */
+
+import fs from 'fs-extra';
+import { speakerSlug } from './speakers.js';
+
+const lower = (value) => String(value).toLowerCase().trim();
+
+/**
+ * Normalize a parsed selection object, dropping blanks
+ * @param {Object} raw - Parsed selection JSON
+ * @returns {Object} { sessionIds, titles, speakers } as string arrays
+ */
+export function normalizeSelection(raw = {}) {
+  const list = (value) => (Array.isArray(value) ? value : []).map(String).map((v) => v.trim()).filter(Boolean);
+  return {
+    sessionIds: list(raw.sessionIds),
+    titles: list(raw.titles),
+    speakers: list(raw.speakers),
+  };
+}
+
+/**
+ * Load and validate a selection file
+ * @param {string} filePath - Path to the selection JSON file
+ * @returns {Promise<Object>} Normalized selection
+ */
+export async function loadSelection(filePath) {
+  const selection = normalizeSelection(await fs.readJson(filePath));
+  if (!selection.sessionIds.length && !selection.titles.length && !selection.speakers.length) {
+    throw new Error(`Selection file ${filePath} lists no sessionIds, titles or speakers`);
+  }
+  return selection;
+}
+
+/**
+ * Which selection entries a session matches
+ * @param {Object} session - Processed session object
+ * @param {Object} selection - Normalized selection
+ * @returns {Array<string>} Matched entries, prefixed by kind (e.g. "speaker:Jane Doe")
+ */
+function matchedEntries(session, selection) {
+  const title = lower(session.title || '');
+  const speakerSlugs = (session.speakers || []).map((s) => speakerSlug(typeof s === 'string' ? s : s.name || ''));
+
+  return [
+    ...selection.sessionIds.filter((id) => session.sessionId === id).map((id) => `sessionId:${id}`),
+    ...selection.titles.filter((t) => title.includes(lower(t))).map((t) => `title:${t}`),
+    ...selection.speakers
+      .filter((name) => speakerSlugs.includes(speakerSlug(name)))
+      .map((name) => `speaker:${name}`),
+  ];
+}
+
+/** How strongly each kind of entry picks a session: naming it outright is the strongest */
+const ENTRY_RANKS = { sessionId: 3, title: 2, speaker: 1 };
+
+/**
+ * Priority of a selected session, from the strongest entry it matches: a
+ * session ID beats a title, which beats a speaker
+ * @param {Object} session - Processed session object
+ * @param {Object} selection - Normalized selection
+ * @returns {number} 3, 2 or 1; 0 when the session is not selected
+ */
+export function selectionRank(session, selection) {
+  return Math.max(0, ...matchedEntries(session, selection).map((entry) => ENTRY_RANKS[entry.split(':')[0]]));
+}
+
+/**
+ * Filter processed sessions down to a personal selection. Sessions keep their
+ * UIDs, so a personal calendar merges cleanly with the full feed.
+ * @param {Array} sessions - Processed session objects
+ * @param {Object} selection - Normalized selection
+ * @returns {Object} { sessions, unmatched } where unmatched lists selection
+ *   entries that matched no session
+ */
+export function filterSessions(sessions, selection) {
+  const used = new Set();
+  const selected = sessions.filter((session) => {
+    const matches = matchedEntries(session, selection);
+    matches.forEach((m) => used.add(m));
+    return matches.length > 0;
+  });
+
+  const unmatched = [
+    ...selection.sessionIds.map((id) => `sessionId:${id}`),
+    ...selection.titles.map((t) => `title:${t}`),
+    ...selection.speakers.map((name) => `speaker:${name}`),
+  ].filter((entry) => !used.has(entry));
+
+  return { sessions: selected, unmatched };
+}
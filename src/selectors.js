@@ -0,0 +1,181 @@
+/**
+ * Selector profiles: the CSS selectors and template-detection rules the
+ * Identiverse adapter reads pages with.
+ *
+ * The site's markup shifts from year to year; a selector profile under
+ * selectors/ captures one version of it, so a redesign means editing JSON
+ * (and checking it with `doctor`) rather than the parsers. A conference
+ * profile names its selector profile in `selectors`.
+ *
+ * Selectors are scoped: each is matched inside the elements of its scope in
+ * SELECTOR_SCOPES (e.g. an agenda `title` inside each `entry`). A value may
+ * be a list of alternatives, tried in order. Detail pages come in several
+ * templates; the first whose `detect` selector matches is used, and its
+ * `layout` says how its fields are read (see DETAIL_LAYOUTS). `optional`
+ * lists the fallbacks that may match nothing on a healthy page, as
+ * "agenda.<key>", "speaker.<key>" or "detail.<template>.<key>".
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import * as cheerio from 'cheerio';
+import { fileURLToPath } from 'url';
+
+/** Directory holding the bundled selector profiles */
+export const SELECTORS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'selectors');
+
+/** Profile format version this code reads */
+export const SELECTOR_PROFILE_VERSION = 1;
+
+/** Selector profile used when a conference names none */
+export const DEFAULT_SELECTOR_PROFILE = 'identiverse-2026';
+
+/** Scope each selector is matched in ("document" is the whole page) */
+export const SELECTOR_SCOPES = Object.freeze({
+  agenda: {
+    day: 'document',
+    entry: 'day',
+    title: 'entry',
+    titleLink: 'title',
+    time: 'entry',
+    typeLabel: 'time',
+    detailsLink: 'entry',
+    speaker: 'entry',
+    speakerName: 'speaker',
+    speakerTitle: 'speaker',
+    speakerLink: 'speaker',
+    headshot: 'speaker',
+  },
+  speaker: {
+    root: 'document',
+    name: 'root',
+    title: 'root',
+    company: 'root',
+    headshot: 'root',
+    headshotImage: 'root',
+    bio: 'root',
+    sessionLink: 'root',
+  },
+});
+
+/** Plain-text settings of the agenda section: attribute names and prefixes */
+export const AGENDA_SETTINGS = Object.freeze(['dayIdPrefix', 'sessionIdAttribute', 'typeClassPrefix', 'topicClassPrefix']);
+
+/**
+ * Fields each detail-page layout reads, all matched in the whole page:
+ *  - entry-details: a date, then detail lines that are the time when they
+ *    look like a time range and the location otherwise
+ *  - labelled: separate date, time and location elements
+ *  - panel: one block of "date | time" and room lines separated by <br>
+ * Every layout also reads a description block.
+ */
+export const DETAIL_LAYOUTS = Object.freeze({
+  'entry-details': ['date', 'details', 'description'],
+  labelled: ['date', 'time', 'location', 'description'],
+  panel: ['panel', 'description'],
+});
+
+/**
+ * A selector value as a list of alternatives
+ * @param {string|Array<string>} value
+ * @returns {Array<string>}
+ */
+export const selectorList = (value) => [].concat(value);
+
+/**
+ * Check one selector value: a selector or a non-empty list of them, each
+ * valid CSS as cheerio understands it
+ * @throws {Error} When it is missing or does not parse
+ */
+function checkSelector(value, where) {
+  const list = selectorList(value ?? []);
+  if (list.length === 0 || list.some((selector) => typeof selector !== 'string' || !selector.trim())) {
+    throw new Error(`${where} must be a selector or a list of selectors`);
+  }
+  const $ = cheerio.load('');
+  for (const selector of list) {
+    try {
+      $(selector);
+    } catch (error) {
+      throw new Error(`${where} has an invalid selector "${selector}": ${error.message}`);
+    }
+  }
+}
+
+/** Reject keys a section does not define, which are usually typos */
+function checkKeys(section, known, where) {
+  for (const key of Object.keys(section)) {
+    if (!known.includes(key)) throw new Error(`${where}: unknown key "${key}"`);
+  }
+}
+
+/**
+ * Validate a selector profile
+ * @param {Object} profile - Parsed selector profile JSON
+ * @param {string} [source] - Where the profile came from, for error messages
+ * @returns {Object} The profile, frozen
+ * @throws {Error} On a missing or unknown key, an invalid selector, an
+ *   unknown layout or an unsupported version
+ */
+export function validateSelectorProfile(profile, source = 'selector profile') {
+  if (!profile?.id) throw new Error(`${source}: missing "id"`);
+  if (profile.version !== SELECTOR_PROFILE_VERSION) {
+    throw new Error(`${source}: "version" must be ${SELECTOR_PROFILE_VERSION} (got ${profile.version})`);
+  }
+  checkKeys(profile, ['id', 'version', 'description', 'optional', 'agenda', 'detail', 'speaker'], source);
+
+  for (const section of ['agenda', 'speaker']) {
+    const selectors = profile[section];
+    if (!selectors) throw new Error(`${source}: missing "${section}"`);
+    const settings = section === 'agenda' ? AGENDA_SETTINGS : [];
+    checkKeys(selectors, [...Object.keys(SELECTOR_SCOPES[section]), ...settings], `${source} ${section}`);
+    for (const key of Object.keys(SELECTOR_SCOPES[section])) {
+      checkSelector(selectors[key], `${source}: "${section}.${key}"`);
+    }
+    for (const key of settings) {
+      if (typeof selectors[key] !== 'string' || !selectors[key]) {
+        throw new Error(`${source}: "${section}.${key}" must be a non-empty string`);
+      }
+    }
+  }
+
+  const templates = profile.detail?.templates;
+  if (!Array.isArray(templates) || templates.length === 0) {
+    throw new Error(`${source}: "detail.templates" must list at least one template`);
+  }
+  templates.forEach((template, i) => {
+    const where = `${source}: detail template ${template.name ? `"${template.name}"` : i + 1}`;
+    if (!template.name) throw new Error(`${where} needs a "name"`);
+    const fields = DETAIL_LAYOUTS[template.layout];
+    if (!fields) {
+      throw new Error(`${where} has unknown layout "${template.layout}" (use ${Object.keys(DETAIL_LAYOUTS).join(', ')})`);
+    }
+    checkKeys(template, ['name', 'layout', 'detect', ...fields], where);
+    for (const key of ['detect', ...fields]) checkSelector(template[key], `${where} "${key}"`);
+  });
+
+  const paths = [
+    ...Object.keys(SELECTOR_SCOPES.agenda).map((key) => `agenda.${key}`),
+    ...AGENDA_SETTINGS.map((key) => `agenda.${key}`),
+    ...Object.keys(SELECTOR_SCOPES.speaker).map((key) => `speaker.${key}`),
+    ...templates.flatMap(({ name, layout }) => DETAIL_LAYOUTS[layout].map((key) => `detail.${name}.${key}`)),
+  ];
+  for (const optional of profile.optional || []) {
+    if (!paths.includes(optional)) throw new Error(`${source}: "optional" names an unknown selector "${optional}"`);
+  }
+
+  return Object.freeze(profile);
+}
+
+/**
+ * Load a selector profile by id (a file in selectors/) or by path
+ * @param {string} idOrPath - e.g. "identiverse-2026" or "./selectors-2027.json"
+ * @returns {Object} Validated profile
+ */
+export function loadSelectorProfile(idOrPath) {
+  const filePath = idOrPath.endsWith('.json') ? path.resolve(idOrPath) : path.join(SELECTORS_DIR, `${idOrPath}.json`);
+  if (!fs.pathExistsSync(filePath)) {
+    throw new Error(`Selector profile not found: ${filePath}`);
+  }
+  return validateSelectorProfile(fs.readJsonSync(filePath), filePath);
+}
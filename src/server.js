@@ -0,0 +1,308 @@
+/**
+ * Local subscription server for a live calendar feed.
+ *
+ * Serves the conference calendar over HTTP so calendar clients can subscribe
+ * to it (webcal://) and pick up schedule changes, instead of importing a
+ * static file once. Query parameters select a filtered feed:
+ *
+ *   /identiverse2026.ics?type=workshop&day=2026-06-16
+ *   /identiverse2026.ics?topic=ai,passkeys&speaker=Jane%20Doe
+ *   /identiverse2026.ics?session=2812755,2812746
+ *
+ * Values of one parameter are alternatives (repeat it or separate values with
+ * commas; speaker names only by repeating), different parameters must all
+ * match. The agenda is reloaded on a schedule; feeds are rendered once per
+ * load (the most recently used filtered feeds are kept) and served with
+ * ETag / Last-Modified so clients can revalidate cheaply.
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { DateTime } from 'luxon';
+import { ICSGenerator } from './icsGenerator.js';
+import { parseIcsEvents, readIcsFile } from './icsReader.js';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { checkScrapeHealth } from './health.js';
+import { speakerSlug } from './speakers.js';
+import { trackSlug } from './tracks.js';
+import { conferencePaths, processSessions } from './pipeline.js';
+
+const FEED_PARAMS = ['type', 'topic', 'day', 'speaker', 'session'];
+// Filtered feeds kept rendered between loads, least recently used dropped first
+const MAX_CACHED_FEEDS = 32;
+const WEEKDAYS = ['monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday'];
+
+const listParam = (values) => values.flatMap((v) => v.split(',')).map((v) => v.trim()).filter(Boolean);
+
+/** Cache key of a parsed feed query: the same filters in any order or spelling share a key */
+const feedKey = (query) => JSON.stringify(Object.values(query).map((values) => [...new Set(values)].sort()));
+
+/**
+ * Parse the query of a feed URL
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} { types, topics, days, speakers, sessionIds } where types
+ *   and topics are track slugs, days ISO dates or weekday names and speakers slugs
+ * @throws {Error} On unknown parameters or days that are neither
+ */
+export function parseFeedQuery(params) {
+  for (const key of params.keys()) {
+    if (!FEED_PARAMS.includes(key)) throw new Error(`Unknown parameter "${key}" (use ${FEED_PARAMS.join(', ')})`);
+  }
+  const days = listParam(params.getAll('day')).map((day) => day.toLowerCase());
+  for (const day of days) {
+    const weekday = WEEKDAYS.some((name) => name.startsWith(day) && day.length >= 3);
+    if (!weekday && !DateTime.fromISO(day).isValid) throw new Error(`Invalid day "${day}" (use YYYY-MM-DD or a weekday)`);
+  }
+  return {
+    types: listParam(params.getAll('type')).map(trackSlug),
+    topics: listParam(params.getAll('topic')).map(trackSlug),
+    days,
+    speakers: params.getAll('speaker').map(speakerSlug).filter(Boolean),
+    sessionIds: listParam(params.getAll('session')),
+  };
+}
+
+/**
+ * Sessions matching a feed query
+ * @param {Array} sessions - Processed session objects
+ * @param {Object} query - From parseFeedQuery
+ * @returns {Array} Matching sessions
+ */
+export function filterFeed(sessions, query) {
+  const matchesDay = (session) =>
+    query.days.some((day) =>
+      /^\d/.test(day)
+        ? session.startTime.toISODate() === day
+        : session.startTime.setLocale('en-US').weekdayLong.toLowerCase().startsWith(day)
+    );
+  const tests = [
+    [query.types, (session) => query.types.includes(trackSlug(session.type))],
+    [query.topics, (session) => (session.topics || []).some((topic) => query.topics.includes(trackSlug(topic)))],
+    [query.days, matchesDay],
+    [query.speakers, (session) => (session.speakers || []).some((speaker) => query.speakers.includes(speaker.slug))],
+    [query.sessionIds, (session) => query.sessionIds.includes(String(session.sessionId))],
+  ].filter(([values]) => values.length > 0);
+  return sessions.filter((session) => tests.every(([, matches]) => matches(session)));
+}
+
+/**
+ * Whether a request's validators match the feed, so 304 can be sent.
+ * If-None-Match wins over If-Modified-Since when both are present.
+ * @param {Object} headers - Request headers
+ * @param {Object} feed - { etag, lastModified }
+ * @returns {boolean}
+ */
+export function isNotModified(headers, { etag, lastModified }) {
+  const ifNoneMatch = headers['if-none-match'];
+  if (ifNoneMatch) {
+    return ifNoneMatch.split(',').some((tag) => ['*', etag].includes(tag.trim().replace(/^W\//, '')));
+  }
+  const since = Date.parse(headers['if-modified-since'] || '');
+  return !Number.isNaN(since) && lastModified.getTime() <= since;
+}
+
+export class CalendarServer {
+  /**
+   * @param {Object} [options]
+   * @param {Function} options.load - async () => { rawSessions, stats }, e.g. a
+   *   scrape or a saved scrape
+   * @param {Object} [options.conference] - Conference profile
+   * @param {string} [options.host] - Interface to listen on (default 127.0.0.1)
+   * @param {number} [options.port] - Port (default 8080, 0 for any free port)
+   * @param {number} [options.intervalMinutes] - Reload the agenda this often
+   *   (default 60, 0 = never)
+   * @param {boolean} [options.speakerAttendees] - List speakers as ATTENDEE properties
+   * @param {string} [options.releasePath] - Calendar the first load is versioned
+   *   against (default: the conference's release calendar)
+   */
+  constructor(options = {}) {
+    this.options = {
+      conference: DEFAULT_CONFERENCE,
+      host: '127.0.0.1',
+      port: 8080,
+      intervalMinutes: 60,
+      speakerAttendees: false,
+      ...options,
+    };
+    const { conference, speakerAttendees } = this.options;
+    this.generator = new ICSGenerator({ conference, speakerAttendees });
+    // Filtered feeds are rendered per request; only reloads are logged
+    this.feedGenerator = new ICSGenerator({ conference, speakerAttendees, quiet: true });
+    this.feedPath = `/${conferencePaths(conference).stem}.ics`;
+    this.sessions = null;
+    this.events = [];
+    this.fullFeed = null;
+    this.feeds = new Map();
+    this.loadedAt = null;
+    this.refreshing = null;
+  }
+
+  /**
+   * Reload the agenda. Events are versioned against the previous load (the
+   * release calendar at first), so SEQUENCE and DTSTAMP only change with the
+   * sessions themselves. A reload that fails or fails the scrape health
+   * checks keeps the current data; with no data yet it throws instead.
+   * @returns {Promise<boolean>} Whether new data is being served
+   * @throws {Error} When the first load fails its health checks
+   */
+  refresh() {
+    this.refreshing ||= this.reload().finally(() => {
+      this.refreshing = null;
+    });
+    return this.refreshing;
+  }
+
+  async reload() {
+    const { conference } = this.options;
+    const { rawSessions, stats } = await this.options.load();
+    const { sessions } = processSessions(rawSessions, conference);
+
+    const health = checkScrapeHealth({ sessions, conference, previousEvents: this.events, stats }, conference.health);
+    if (health.problems.length > 0 && !this.sessions) {
+      const error = new Error(`Agenda failed its health checks:\n${health.problems.map((p) => `  - ${p}`).join('\n')}`);
+      error.health = health;
+      throw error;
+    }
+    if (health.problems.length > 0) {
+      console.warn(`Reload failed its health checks — still serving the agenda loaded ${this.loadedAt.toISOString()}`);
+      for (const problem of health.problems) console.warn(`  - ${problem}`);
+      return false;
+    }
+
+    const calendar = this.generator.createCalendar(sessions, this.events);
+    this.sessions = sessions;
+    this.events = parseIcsEvents(calendar, conference.timezone);
+    this.loadedAt = new Date();
+    this.fullFeed = this.feed(calendar);
+    this.feeds = new Map();
+    console.log(`Serving ${sessions.length} sessions (loaded ${this.loadedAt.toISOString()})`);
+    return true;
+  }
+
+  /**
+   * Feed record for a rendered calendar: the body with its validators.
+   * Last-Modified is the newest DTSTAMP, i.e. the last change to any event.
+   * @param {string} body - ICS content
+   * @returns {Object} { body, etag, lastModified }
+   */
+  feed(body) {
+    const stamps = parseIcsEvents(body, this.options.conference.timezone)
+      .map((event) => event.dtstamp?.getTime())
+      .filter(Boolean);
+    const newest = stamps.length > 0 ? Math.max(...stamps) : this.loadedAt.getTime();
+    return {
+      body,
+      etag: `"${crypto.createHash('sha1').update(body).digest('base64url')}"`,
+      // HTTP dates have second precision
+      lastModified: new Date(Math.floor(newest / 1000) * 1000),
+    };
+  }
+
+  /**
+   * Feed for a query. Filtered feeds are rendered on first request after each
+   * load and kept in a small least-recently-used cache.
+   * @param {URLSearchParams} params - Query parameters
+   * @returns {Object} { body, etag, lastModified }
+   * @throws {Error} On an invalid query (see parseFeedQuery)
+   */
+  feedFor(params) {
+    const query = parseFeedQuery(params);
+    if (Object.values(query).every((values) => values.length === 0)) return this.fullFeed;
+
+    const key = feedKey(query);
+    let feed = this.feeds.get(key);
+    if (feed) {
+      this.feeds.delete(key);
+    } else {
+      const sessions = filterFeed(this.sessions, query);
+      const uids = new Set(sessions.map((session) => session.uid));
+      // Versioning against the same events keeps DTSTAMP and SEQUENCE in step
+      // with the full feed; filtered-out sessions are not cancellations
+      const previous = this.events.filter((event) => uids.has(event.uid));
+      feed = this.feed(this.feedGenerator.createCalendar(sessions, previous));
+      if (this.feeds.size >= MAX_CACHED_FEEDS) this.feeds.delete(this.feeds.keys().next().value);
+    }
+    this.feeds.set(key, feed);
+    return feed;
+  }
+
+  /**
+   * Answer one HTTP request
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const send = (status, body, headers = {}) => {
+      res.writeHead(status, {
+        'Content-Type': 'text/plain; charset=utf-8',
+        'Content-Length': Buffer.byteLength(body),
+        ...headers,
+      });
+      res.end(req.method === 'HEAD' ? undefined : body);
+    };
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return send(405, 'Method not allowed\n', { Allow: 'GET, HEAD' });
+    }
+    if (url.pathname === '/') {
+      return send(200, `${this.options.conference.name} calendar feed: ${this.feedPath}\n` +
+        `Filters: ${FEED_PARAMS.map((p) => `${p}=`).join(', ')}\n`);
+    }
+    if (url.pathname !== this.feedPath) {
+      return send(404, `Not found: ${url.pathname}\n`);
+    }
+
+    let feed;
+    try {
+      feed = this.feedFor(url.searchParams);
+    } catch (error) {
+      return send(400, `${error.message}\n`);
+    }
+    const headers = {
+      'Content-Type': 'text/calendar; charset=utf-8',
+      'Content-Disposition': `inline; filename="${this.feedPath.slice(1)}"`,
+      ETag: feed.etag,
+      'Last-Modified': feed.lastModified.toUTCString(),
+      // Clients may keep a copy but must revalidate before using it
+      'Cache-Control': 'no-cache',
+    };
+    if (isNotModified(req.headers, feed)) {
+      res.writeHead(304, headers);
+      return res.end();
+    }
+    send(200, feed.body, headers);
+  }
+
+  /**
+   * Load the agenda, start listening and schedule reloads
+   * @returns {Promise<string>} Base URL, e.g. http://127.0.0.1:8080
+   * @throws {Error} When the first load fails or fails its health checks
+   */
+  async start() {
+    const { conference, host, port, intervalMinutes } = this.options;
+    const releasePath = this.options.releasePath || conferencePaths(conference).release;
+    this.events = await readIcsFile(releasePath, conference.timezone);
+    await this.refresh();
+
+    this.server = http.createServer((req, res) => this.handle(req, res));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    if (intervalMinutes > 0) {
+      this.timer = setInterval(() => {
+        this.refresh().catch((error) => console.warn(`Reload failed: ${error.message}`));
+      }, intervalMinutes * 60 * 1000);
+    }
+    return `http://${host}:${this.server.address().port}`;
+  }
+
+  /** Stop reloading and close the server */
+  async stop() {
+    clearInterval(this.timer);
+    if (!this.server) return;
+    this.server.closeAllConnections();
+    await new Promise((resolve) => this.server.close(resolve));
+  }
+}
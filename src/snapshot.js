@@ -0,0 +1,94 @@
+/**
+ * Raw HTML snapshots of a scrape, for offline replay.
+ *
+ * A snapshot directory holds one .html file per fetched page plus a
+ * manifest.json mapping each URL to its file:
+ *   { "createdAt": "...", "agendaUrl": "...", "pages": { "<url>": "<file>.html" } }
+ */
+
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs-extra';
+
+const MANIFEST = 'manifest.json';
+
+/**
+ * Readable, collision-free file name for a page URL
+ * @param {string} url - Page URL
+ * @returns {string} e.g. "idv26-session-idvid-4081865-1a2b3c4d.html"
+ */
+export function pageFileName(url) {
+  const { pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`.replace(/[^a-zA-Z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 80) || 'index';
+  const hash = crypto.createHash('sha1').update(url).digest('hex').slice(0, 8);
+  return `${slug}-${hash}.html`;
+}
+
+export class PageSnapshot {
+  /**
+   * @param {string} dir - Snapshot directory
+   * @param {Object} [manifest] - Existing manifest contents
+   */
+  constructor(dir, manifest = {}) {
+    this.dir = dir;
+    this.agendaUrl = manifest.agendaUrl || null;
+    this.createdAt = manifest.createdAt || new Date().toISOString();
+    this.pages = { ...(manifest.pages || {}) };
+  }
+
+  /**
+   * Open an existing snapshot for replay
+   * @param {string} dir - Snapshot directory
+   * @returns {Promise<PageSnapshot>}
+   */
+  static async load(dir) {
+    const manifestPath = path.join(dir, MANIFEST);
+    if (!(await fs.pathExists(manifestPath))) {
+      throw new Error(`No snapshot found in ${dir} (missing ${MANIFEST})`);
+    }
+    return new PageSnapshot(dir, await fs.readJson(manifestPath));
+  }
+
+  /**
+   * Whether the snapshot holds a page
+   * @param {string} url - Page URL
+   * @returns {boolean}
+   */
+  has(url) {
+    return Object.prototype.hasOwnProperty.call(this.pages, url);
+  }
+
+  /**
+   * Read a saved page
+   * @param {string} url - Page URL
+   * @returns {Promise<string>} HTML body
+   */
+  async read(url) {
+    if (!this.has(url)) {
+      throw new Error(`Page not in snapshot ${this.dir}: ${url}`);
+    }
+    return fs.readFile(path.join(this.dir, this.pages[url]), 'utf8');
+  }
+
+  /**
+   * Save a fetched page. The manifest is written separately by save().
+   * @param {string} url - Page URL
+   * @param {string} html - HTML body
+   */
+  async write(url, html) {
+    const file = pageFileName(url);
+    await fs.outputFile(path.join(this.dir, file), html, 'utf8');
+    this.pages[url] = file;
+  }
+
+  /**
+   * Write the manifest
+   */
+  async save() {
+    await fs.outputJson(
+      path.join(this.dir, MANIFEST),
+      { createdAt: this.createdAt, agendaUrl: this.agendaUrl, pages: this.pages },
+      { spaces: 2 }
+    );
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Speakers as first-class data: normalized speaker records, a speaker index
+ * across all sessions, and per-speaker session lookup.
+ *
+ * The agenda shows each speaker's affiliation as "Title • Company"; the
+ * company is whatever follows the last bullet.
+ */
+
+import fs from 'fs-extra';
+import { DEFAULT_CONFERENCE } from './conference.js';
+
+/**
+ * Split the agenda's "Title • Company" text
+ * @param {string} text - e.g. "Distinguished Engineer, IAM • GM"
+ * @returns {Object} { jobTitle, company } (null when absent)
+ */
+export function splitSpeakerTitle(text) {
+  const clean = (text || '').trim();
+  if (!clean) return { jobTitle: null, company: null };
+  const bullet = clean.lastIndexOf('•');
+  if (bullet === -1) return { jobTitle: clean, company: null };
+  return {
+    jobTitle: clean.slice(0, bullet).trim() || null,
+    company: clean.slice(bullet + 1).trim() || null,
+  };
+}
+
+/**
+ * URL/file-safe slug for a speaker name ("José Núñez" → "jose-nunez")
+ * @param {string} name
+ * @returns {string}
+ */
+export function speakerSlug(name) {
+  return name
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Normalize a scraped speaker (plain name or { name, title, ... }) into a
+ * record. `title` keeps the agenda's combined text; jobTitle/company are split
+ * out of it. Other scraped fields (profileUrl, headshotUrl, bio) pass through.
+ * @param {string|Object} speaker
+ * @returns {Object} { name, slug, title, jobTitle, company }
+ */
+export function normalizeSpeaker(speaker) {
+  const raw = typeof speaker === 'string' ? { name: speaker } : speaker;
+  const name = (raw.name || '').trim();
+  const title = raw.title?.trim() || null;
+  const split = splitSpeakerTitle(title);
+  return {
+    ...raw,
+    name,
+    slug: speakerSlug(name),
+    title,
+    jobTitle: split.jobTitle || raw.jobTitle || null,
+    // The agenda's "• Company" wins; a profile page's company fills the gap
+    company: split.company || raw.company || null,
+  };
+}
+
+/**
+ * Build the speaker index: one entry per speaker (matched by slug) with the
+ * sessions they appear in, sorted by name; sessions sorted by start time
+ * @param {Array} sessions - Processed session objects
+ * @returns {Array<Object>} { slug, name, title, jobTitle, company, sessions: [...] }
+ */
+export function buildSpeakerIndex(sessions) {
+  const bySlug = new Map();
+
+  for (const session of sessions) {
+    for (const speaker of (session.speakers || []).map(normalizeSpeaker)) {
+      if (!speaker.slug) continue;
+      if (!bySlug.has(speaker.slug)) {
+        bySlug.set(speaker.slug, { ...speaker, sessions: [] });
+      }
+      const entry = bySlug.get(speaker.slug);
+      // Keep the first value seen, but fill gaps from later sessions
+      for (const key of ['title', 'jobTitle', 'company', 'profileUrl', 'headshotUrl', 'bio', 'profileSessions']) {
+        entry[key] = entry[key] || speaker[key];
+      }
+      entry.sessions.push(session);
+    }
+  }
+
+  const index = [...bySlug.values()];
+  for (const entry of index) {
+    entry.sessions.sort((a, b) => a.startTime.toMillis() - b.startTime.toMillis());
+  }
+  return index.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Find a speaker in the index by name or slug (case- and accent-insensitive)
+ * @param {Array<Object>} index - From buildSpeakerIndex
+ * @param {string} query - Name or slug
+ * @returns {Object|undefined} Index entry
+ */
+export function findSpeaker(index, query) {
+  const slug = speakerSlug(query);
+  return index.find((entry) => entry.slug === slug);
+}
+
+export class SpeakerIndexExporter {
+  /** Written as <calendar name>-speakers.json */
+  static fileSuffix = '-speakers.json';
+
+  constructor(options = {}) {
+    this.options = {
+      conference: DEFAULT_CONFERENCE,
+      ...options,
+    };
+  }
+
+  /**
+   * Build the export document
+   * @param {Array} sessions - Processed session objects
+   * @returns {Object} { conference, generatedAt, speakerCount, speakers }
+   */
+  build(sessions) {
+    const { id, name, timezone } = this.options.conference;
+    const speakers = buildSpeakerIndex(sessions).map((entry) => ({
+      name: entry.name,
+      slug: entry.slug,
+      jobTitle: entry.jobTitle,
+      company: entry.company,
+      ...(entry.profileUrl ? { profileUrl: entry.profileUrl } : {}),
+      ...(entry.headshotUrl ? { headshotUrl: entry.headshotUrl } : {}),
+      ...(entry.bio ? { bio: entry.bio } : {}),
+      ...(entry.profileSessions ? { profileSessions: entry.profileSessions } : {}),
+      sessions: entry.sessions.map((session) => ({
+        sessionId: session.sessionId || null,
+        uid: session.uid,
+        title: session.title,
+        start: session.startTime.toISO({ suppressMilliseconds: true }),
+        end: session.endTime.toISO({ suppressMilliseconds: true }),
+        location: session.location,
+      })),
+    }));
+    return {
+      conference: { id, name, timezone },
+      generatedAt: new Date().toISOString(),
+      speakerCount: speakers.length,
+      speakers,
+    };
+  }
+
+  /**
+   * Write the speaker index
+   * @param {Array} sessions - Processed session objects
+   * @param {string} outputPath - Destination file
+   * @returns {Promise<string>} Path to the written file
+   */
+  async generateFile(sessions, outputPath) {
+    await fs.outputJson(outputPath, this.build(sessions), { spaces: 2 });
+    console.log(`Speaker index saved to: ${outputPath}`);
+    return outputPath;
+  }
+}
@@ -0,0 +1,170 @@
+/**
+ * IANA timezone helpers: zone validation and VTIMEZONE generation.
+ *
+ * Luxon exposes offsets but not transition rules, so transitions are found by
+ * scanning offsets day by day and bisecting to the minute. The VTIMEZONE then
+ * lists each transition as its own STANDARD/DAYLIGHT observance, which is
+ * exact for the years covered and avoids guessing RRULEs for zones whose
+ * rules have changed over time.
+ */
+
+import { DateTime, IANAZone } from 'luxon';
+
+/** Zone used when a conference profile does not name one */
+export const DEFAULT_TIMEZONE = 'America/Los_Angeles';
+
+const MINUTE = 60 * 1000;
+const DAY = 24 * 60 * MINUTE;
+
+/**
+ * Whether a string names a known IANA zone
+ * @param {string} zone - e.g. "Europe/Berlin"
+ * @returns {boolean}
+ */
+export function isValidZone(zone) {
+  return typeof zone === 'string' && IANAZone.isValidZone(zone);
+}
+
+/**
+ * Find the offset transitions of a zone between two instants
+ * @param {string} zone - IANA zone
+ * @param {number} fromMs - Start of the range (epoch milliseconds)
+ * @param {number} toMs - End of the range (epoch milliseconds)
+ * @returns {Array<Object>} { at, offsetFrom, offsetTo } with `at` the first
+ *   millisecond (rounded to the minute) of the new offset, offsets in minutes
+ */
+export function zoneTransitions(zone, fromMs, toMs) {
+  const tz = IANAZone.create(zone);
+  const transitions = [];
+
+  let previousMs = fromMs;
+  let previousOffset = tz.offset(fromMs);
+  for (let ms = fromMs + DAY; ms <= toMs + DAY; ms += DAY) {
+    const offset = tz.offset(ms);
+    if (offset === previousOffset) {
+      previousMs = ms;
+      continue;
+    }
+
+    // Bisect to the first minute carrying the new offset
+    let lo = previousMs;
+    let hi = ms;
+    while (hi - lo > MINUTE) {
+      const mid = lo + Math.floor((hi - lo) / MINUTE / 2) * MINUTE;
+      if (tz.offset(mid) === previousOffset) lo = mid;
+      else hi = mid;
+    }
+    if (hi <= toMs) {
+      transitions.push({ at: hi, offsetFrom: previousOffset, offsetTo: offset });
+    }
+    previousMs = ms;
+    previousOffset = offset;
+  }
+  return transitions;
+}
+
+// Windows names of common conference zones, for Outlook's X-MICROSOFT-CDO-TZID
+const WINDOWS_ZONES = {
+  'America/Los_Angeles': 'Pacific Standard Time',
+  'America/Phoenix': 'US Mountain Standard Time',
+  'America/Denver': 'Mountain Standard Time',
+  'America/Chicago': 'Central Standard Time',
+  'America/New_York': 'Eastern Standard Time',
+  'America/Toronto': 'Eastern Standard Time',
+  'Europe/London': 'GMT Standard Time',
+  'Europe/Dublin': 'GMT Standard Time',
+  'Europe/Lisbon': 'GMT Standard Time',
+  'Europe/Amsterdam': 'W. Europe Standard Time',
+  'Europe/Berlin': 'W. Europe Standard Time',
+  'Europe/Paris': 'Romance Standard Time',
+  'Europe/Madrid': 'Romance Standard Time',
+  'Asia/Singapore': 'Singapore Standard Time',
+  'Asia/Tokyo': 'Tokyo Standard Time',
+  'Australia/Sydney': 'AUS Eastern Standard Time',
+  UTC: 'UTC',
+};
+
+/**
+ * Windows name of an IANA zone
+ * @param {string} zone - IANA zone
+ * @returns {string|null} e.g. "Pacific Standard Time"; null for unmapped zones
+ */
+export function windowsZoneName(zone) {
+  return WINDOWS_ZONES[zone] || null;
+}
+
+/**
+ * Format a UTC offset in minutes as an ICS UTC-OFFSET ("-0700")
+ * @param {number} minutes
+ * @returns {string}
+ */
+export function formatUtcOffset(minutes) {
+  const sign = minutes < 0 ? '-' : '+';
+  const abs = Math.abs(minutes);
+  const hh = String(Math.floor(abs / 60)).padStart(2, '0');
+  const mm = String(abs % 60).padStart(2, '0');
+  return `${sign}${hh}${mm}`;
+}
+
+/**
+ * TZNAME line for a time, omitted when the zone has no real abbreviation
+ * (Intl falls back to "GMT+10" style names for many zones)
+ * @param {DateTime} dateTime
+ * @returns {Array<string>} Zero or one content line
+ */
+const tzNameLines = (dateTime) => {
+  const name = dateTime.setLocale('en-US').offsetNameShort;
+  return name && !/^(GMT|UTC)([+-]|$)/.test(name) ? [`TZNAME:${name}`] : [];
+};
+
+/**
+ * Build the VTIMEZONE component for a zone, covering the given years.
+ *
+ * Transitions from the start of the year before `fromYear` through the end
+ * of `toYear` are included, so every time in the covered years falls after
+ * an observance onset. Zones without transitions get a single STANDARD
+ * observance.
+ *
+ * @param {string} zone - IANA zone
+ * @param {Object} range
+ * @param {number} range.fromYear - First year with events
+ * @param {number} range.toYear - Last year with events
+ * @returns {Array<string>} Unfolded content lines, BEGIN:VTIMEZONE … END:VTIMEZONE
+ */
+export function buildVTimezone(zone, { fromYear, toYear }) {
+  const fromMs = DateTime.fromObject({ year: fromYear - 1 }, { zone: 'utc' }).toMillis();
+  const toMs = DateTime.fromObject({ year: toYear + 1 }, { zone: 'utc' }).toMillis();
+  const transitions = zoneTransitions(zone, fromMs, toMs);
+
+  const lines = ['BEGIN:VTIMEZONE', `TZID:${zone}`, `X-LIC-LOCATION:${zone}`];
+
+  if (transitions.length === 0) {
+    const reference = DateTime.fromMillis(fromMs, { zone });
+    lines.push(
+      'BEGIN:STANDARD',
+      'DTSTART:19700101T000000',
+      `TZOFFSETFROM:${formatUtcOffset(reference.offset)}`,
+      `TZOFFSETTO:${formatUtcOffset(reference.offset)}`,
+      ...tzNameLines(reference),
+      'END:STANDARD'
+    );
+  }
+
+  for (const { at, offsetFrom, offsetTo } of transitions) {
+    const after = DateTime.fromMillis(at, { zone });
+    const component = after.isInDST ? 'DAYLIGHT' : 'STANDARD';
+    // DTSTART is the onset in the local time that was in effect before it
+    const onset = DateTime.fromMillis(at, { zone: 'utc' }).plus({ minutes: offsetFrom });
+    lines.push(
+      `BEGIN:${component}`,
+      `DTSTART:${onset.toFormat("yyyyMMdd'T'HHmmss")}`,
+      `TZOFFSETFROM:${formatUtcOffset(offsetFrom)}`,
+      `TZOFFSETTO:${formatUtcOffset(offsetTo)}`,
+      ...tzNameLines(after),
+      `END:${component}`
+    );
+  }
+
+  lines.push('END:VTIMEZONE');
+  return lines;
+}
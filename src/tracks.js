@@ -0,0 +1,68 @@
+/**
+ * Track filtering and splitting by session type and topic.
+ *
+ * A session's tracks are its type (e.g. "TECH THEATER" → "tech-theater") plus
+ * its raw topic-* class slugs from the agenda grid (e.g. "networking").
+ */
+
+/**
+ * Normalize a type or topic name into a track slug
+ * @param {string} name - e.g. "NON-HUMAN & AI IDENTITY PAVILION"
+ * @returns {string} e.g. "non-human-ai-identity-pavilion"
+ */
+export const trackSlug = (name) =>
+  String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+
+/**
+ * Human-readable label for a track slug
+ * @param {string} slug - e.g. "tech-theater"
+ * @returns {string} e.g. "Tech Theater"
+ */
+export const trackLabel = (slug) =>
+  slug.split('-').filter(Boolean).map((word) => word[0].toUpperCase() + word.slice(1)).join(' ');
+
+/**
+ * All track slugs a session belongs to
+ * @param {Object} session - Processed session object
+ * @returns {Array<string>} Unique slugs, type first
+ */
+export function sessionTracks(session) {
+  const slugs = [session.type, ...(session.topics || [])].map(trackSlug).filter(Boolean);
+  return [...new Set(slugs)];
+}
+
+/**
+ * Keep sessions matching any included track and none of the excluded ones.
+ * An empty include list keeps everything not excluded.
+ * @param {Array} sessions - Processed session objects
+ * @param {Object} [filter]
+ * @param {Array<string>} [filter.include] - Track names or slugs to keep
+ * @param {Array<string>} [filter.exclude] - Track names or slugs to drop
+ * @returns {Array} Matching sessions
+ */
+export function filterByTrack(sessions, { include = [], exclude = [] } = {}) {
+  const includeSlugs = include.map(trackSlug).filter(Boolean);
+  const excludeSlugs = exclude.map(trackSlug).filter(Boolean);
+
+  return sessions.filter((session) => {
+    const tracks = sessionTracks(session);
+    if (excludeSlugs.some((slug) => tracks.includes(slug))) return false;
+    return includeSlugs.length === 0 || includeSlugs.some((slug) => tracks.includes(slug));
+  });
+}
+
+/**
+ * Group sessions by track. A session appears under each of its tracks.
+ * @param {Array} sessions - Processed session objects
+ * @returns {Map<string, Array>} Track slug → sessions, slugs sorted
+ */
+export function splitByTrack(sessions) {
+  const byTrack = new Map();
+  for (const session of sessions) {
+    for (const slug of sessionTracks(session)) {
+      if (!byTrack.has(slug)) byTrack.set(slug, []);
+      byTrack.get(slug).push(session);
+    }
+  }
+  return new Map([...byTrack.entries()].sort(([a], [b]) => a.localeCompare(b)));
+}
@@ -3,9 +3,7 @@
  */
 
 import { DateTime } from 'luxon';
-
-/** Conference year — used for date parsing defaults and UID generation */
-export const CONFERENCE_YEAR = 2026;
+import { DEFAULT_CONFERENCE } from './conference.js';
 
 /**
  * Delays execution for a specified number of milliseconds
@@ -15,16 +13,24 @@ export const CONFERENCE_YEAR = 2026;
 export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
 
 /**
- * Converts a Las Vegas date + time-range string to DateTime objects with the
- * conference timezone (PDT / UTC-7, fixed offset — the conference is in June).
+ * Converts a session date + time-range string to DateTime objects in the
+ * conference's IANA timezone. The offset comes from the zone's rules for that
+ * date, so sessions on either side of a DST change get the right UTC offset.
  *
  * @param {string} dateStr - ISO date ("2026-06-15") or month-name date ("JUNE 15")
  * @param {string} timeStr - The time range (e.g., "8:30 am - 12 pm")
+ * @param {Object} [options]
+ * @param {number} [options.year] - Year for month-name dates (the conference year)
+ * @param {string} [options.zone] - IANA zone the agenda times are given in
  * @returns {Object} An object with start and end DateTime objects
  */
-export const parseLasVegasTime = (dateStr, timeStr) => {
+export const parseSessionTime = (
+  dateStr,
+  timeStr,
+  { year: defaultYear = DEFAULT_CONFERENCE.year, zone = DEFAULT_CONFERENCE.timezone } = {}
+) => {
   try {
-    let year = CONFERENCE_YEAR;
+    let year = defaultYear;
     let month = null;
     let day = null;
 
@@ -63,10 +69,7 @@ export const parseLasVegasTime = (dateStr, timeStr) => {
 
     const parseTime = (str) => {
       if (!str) {
-        return DateTime.fromObject(
-          { year, month, day, hour: 12, minute: 0 },
-          { zone: 'UTC-7' } // PDT is UTC-7
-        );
+        return DateTime.fromObject({ year, month, day, hour: 12, minute: 0 }, { zone });
       }
 
       let hours = 0;
@@ -91,10 +94,7 @@ export const parseLasVegasTime = (dateStr, timeStr) => {
         hours = 0; // 12 AM is 0 in 24-hour format
       }
 
-      return DateTime.fromObject(
-        { year, month, day, hour: hours, minute: minutes },
-        { zone: 'UTC-7' } // PDT is UTC-7
-      );
+      return DateTime.fromObject({ year, month, day, hour: hours, minute: minutes }, { zone });
     };
 
     const startTime = parseTime(timeParts[0]);
@@ -120,12 +120,64 @@ export const parseLasVegasTime = (dateStr, timeStr) => {
   }
 };
 
+/**
+ * Original name of parseSessionTime, from when every agenda was in Las Vegas
+ * time; kept for existing callers
+ */
+export const parseLasVegasTime = parseSessionTime;
+
+/**
+ * Describe the timezone of a time, e.g. "Pacific Daylight Time (PDT / UTC-7)"
+ * @param {DateTime} dateTime - A time in the zone to describe
+ * @returns {string}
+ */
+export const describeZone = (dateTime) => {
+  // Zone names follow the locale; pin it so calendars do not depend on the machine's
+  const local = dateTime.setLocale('en-US');
+  return `${local.offsetNameLong} (${local.offsetNameShort} / UTC${local.toFormat('Z')})`;
+};
+
+/** Start of the timezone note that closes every formatted description */
+const ZONE_NOTE_PREFIX = 'All times are in ';
+
+/**
+ * Remove the timezone note from a formatted description, for variants that
+ * describe times differently
+ * @param {string} description - Output of formatDescription
+ * @returns {string}
+ */
+export const stripZoneNote = (description) =>
+  (description || '')
+    .split('\n\n')
+    .filter((part) => !part.startsWith(ZONE_NOTE_PREFIX))
+    .join('\n\n');
+
+/**
+ * Format a time range in a zone, e.g. "Mon, Jun 15, 7:00 PM – 9:00 PM EDT".
+ * The end carries its own date when the range crosses midnight in that zone.
+ * @param {DateTime} start
+ * @param {DateTime} end
+ * @param {string} zone - IANA zone to render in
+ * @returns {string}
+ */
+export const formatTimeRange = (start, end, zone) => {
+  const localStart = start.setZone(zone);
+  const localEnd = end.setZone(zone);
+  const endFormat = localEnd.hasSame(localStart, 'day') ? 'h:mm a ZZZZ' : 'ccc, LLL d, h:mm a ZZZZ';
+  return `${localStart.toFormat('ccc, LLL d, h:mm a')} – ${localEnd.toFormat(endFormat)}`;
+};
+
 /**
  * Formats a session description including speakers and other details
  * @param {Object} session - The session object with details
+ * @param {DateTime} [zoneTime] - A time in the conference zone, used for the
+ *   timezone note (defaults to the default conference's start date)
  * @returns {string} Formatted description for the calendar event
  */
-export const formatDescription = (session) => {
+export const formatDescription = (
+  session,
+  zoneTime = DateTime.fromISO(DEFAULT_CONFERENCE.startDate, { zone: DEFAULT_CONFERENCE.timezone })
+) => {
   const parts = [];
 
   if (session.description) {
@@ -148,7 +200,7 @@ export const formatDescription = (session) => {
     parts.push(`Session Type: ${session.type}`);
   }
 
-  parts.push('All times are in Pacific Daylight Time (PDT / UTC-7)');
+  parts.push(`${ZONE_NOTE_PREFIX}${describeZone(zoneTime)}`);
 
   return parts.join('\n\n');
 };
@@ -161,17 +213,22 @@ export const formatDescription = (session) => {
  * @param {string} title - The event title
  * @param {DateTime} startTime - The event start time (used only as a fallback)
  * @param {string} [sessionId] - Optional session ID from the website
+ * @param {Object} [conference] - Conference profile supplying the UID prefix and domain
  * @returns {string} A unique identifier
  */
-export const generateUID = (title, startTime, sessionId) => {
+export const generateUID = (title, startTime, sessionId, conference = DEFAULT_CONFERENCE) => {
+  const { prefix, domain } = conference.uid;
+
   // If we have a session ID from the website, use that as the most stable identifier
   if (sessionId) {
-    return `identiverse-${CONFERENCE_YEAR}-event-${sessionId}@identiverse.com`;
+    return `${prefix}-event-${sessionId}@${domain}`;
   }
 
   // Otherwise, create a hash based on the title and date (not time)
   const cleanTitle = title.replace(/[^a-zA-Z0-9]/g, '').substring(0, 30);
-  const dateStr = startTime ? startTime.toFormat('yyyyMMdd') : `${CONFERENCE_YEAR}0615`;
+  const dateStr = startTime
+    ? startTime.toFormat('yyyyMMdd')
+    : (conference.startDate || `${conference.year}-06-15`).replace(/-/g, '');
 
   // Create a simple hash of the title to help ensure uniqueness
   let titleHash = 0;
@@ -181,5 +238,5 @@ export const generateUID = (title, startTime, sessionId) => {
   }
   titleHash = Math.abs(titleHash).toString(16).substring(0, 8);
 
-  return `identiverse-${CONFERENCE_YEAR}-${cleanTitle}-${dateStr}-${titleHash}@identiverse.com`;
+  return `${prefix}-${cleanTitle}-${dateStr}-${titleHash}@${domain}`;
 };
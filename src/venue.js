@@ -0,0 +1,135 @@
+/**
+ * Venue maps: canonical room names and where each room is.
+ *
+ * The agenda gives rooms as free text ("Mandalay Bay K", "Breakers L"). A
+ * venue map under venues/ lists the venue's address and coordinates plus
+ * room rules: a `match` pattern (anchored, case-insensitive, applied after
+ * whitespace is collapsed), the canonical `name` — `{group}` placeholders
+ * take the pattern's named groups, upper-cased since they hold room letters
+ * and numbers — and the room's building, floor and wing.
+ * Rooms no rule matches are kept as written and flagged as unknown.
+ */
+
+import path from 'path';
+import fs from 'fs-extra';
+import { fileURLToPath } from 'url';
+
+/** Directory holding the bundled venue maps */
+export const VENUES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'venues');
+
+/** Collapse whitespace in scraped room text */
+const cleanRoomText = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+/**
+ * Validate a venue map and compile its room rules
+ * @param {Object} venue - Parsed venue JSON
+ * @param {string} [source] - Where the venue came from, for error messages
+ * @returns {Object} The venue with each rule's `pattern` compiled, frozen
+ * @throws {Error} When a required field is missing or a pattern is invalid
+ */
+export function validateVenue(venue, source = 'venue map') {
+  for (const field of ['id', 'name', 'address']) {
+    if (!venue?.[field]) throw new Error(`${source}: missing "${field}"`);
+  }
+  const { lat, lon } = venue.geo || {};
+  if (venue.geo !== undefined && !(Math.abs(lat) <= 90 && Math.abs(lon) <= 180)) {
+    throw new Error(`${source}: "geo" needs numeric "lat" and "lon"`);
+  }
+
+  const rooms = (venue.rooms || []).map((rule, i) => {
+    if (!rule.match || !rule.name) {
+      throw new Error(`${source}: room rule ${i + 1} needs "match" and "name"`);
+    }
+    try {
+      return Object.freeze({ ...rule, pattern: new RegExp(`^(?:${rule.match})$`, 'i') });
+    } catch (error) {
+      throw new Error(`${source}: room rule ${i + 1} has an invalid pattern: ${error.message}`);
+    }
+  });
+  return Object.freeze({ ...venue, rooms: Object.freeze(rooms) });
+}
+
+/**
+ * Load a venue map by id (a file in venues/) or by path
+ * @param {string} idOrPath - e.g. "mandalay-bay" or "./my-venue.json"
+ * @returns {Object} Validated venue
+ */
+export function loadVenue(idOrPath) {
+  const filePath = idOrPath.endsWith('.json') ? path.resolve(idOrPath) : path.join(VENUES_DIR, `${idOrPath}.json`);
+  if (!fs.pathExistsSync(filePath)) {
+    throw new Error(`Venue map not found: ${filePath}`);
+  }
+  return validateVenue(fs.readJsonSync(filePath), filePath);
+}
+
+/**
+ * One-line postal address ("3950 S Las Vegas Blvd, Las Vegas, NV 89119, USA")
+ * @param {Object} address - { street, locality, region, postalCode, country }
+ * @returns {string}
+ */
+export function formatAddress({ street, locality, region, postalCode, country } = {}) {
+  const regionLine = [region, postalCode].filter(Boolean).join(' ');
+  return [street, locality, regionLine, country].filter(Boolean).join(', ');
+}
+
+/**
+ * Resolve scraped room text against a venue map
+ * @param {Object} venue - Validated venue
+ * @param {string} text - Room as written on the agenda (may be empty)
+ * @returns {Object} { room, building, floor, wing, address, geo, radius, known }
+ *   where room is the canonical name (null when the agenda gave none), radius
+ *   the venue's size in meters for map pins, and known is false for rooms no
+ *   rule matched
+ */
+export function resolveRoom(venue, text) {
+  const written = cleanRoomText(text);
+  const place = {
+    room: written || null,
+    building: venue.name,
+    floor: null,
+    wing: null,
+    address: formatAddress(venue.address),
+    geo: venue.geo || null,
+    radius: venue.radius || null,
+    known: !written,
+  };
+  if (!written) return place;
+
+  for (const rule of venue.rooms) {
+    const match = rule.pattern.exec(written);
+    if (!match) continue;
+    const groups = match.groups || {};
+    return {
+      ...place,
+      room: cleanRoomText(rule.name.replace(/\{(\w+)\}/g, (_, key) => (groups[key] || '').toUpperCase())),
+      building: rule.building || venue.name,
+      floor: rule.floor || null,
+      wing: rule.wing || null,
+      geo: rule.geo || place.geo,
+      known: true,
+    };
+  }
+  return place;
+}
+
+/**
+ * Full LOCATION text: room, floor, building and address
+ * @param {Object} place - From resolveRoom
+ * @returns {string}
+ */
+export function formatPlace(place) {
+  return [place.room, place.floor, place.building, place.address].filter(Boolean).join(', ');
+}
+
+/**
+ * Count the sessions in rooms the venue map does not know
+ * @param {Array} sessions - Processed session objects
+ * @returns {Map<string, number>} Room as written → session count, most used first
+ */
+export function unknownRooms(sessions) {
+  const counts = new Map();
+  for (const { place } of sessions) {
+    if (place && !place.known) counts.set(place.room, (counts.get(place.room) || 0) + 1);
+  }
+  return new Map([...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0])));
+}
@@ -0,0 +1,157 @@
+/**
+ * Watch mode: re-scrape the agenda on an interval and report what changed.
+ *
+ * Each run scrapes the agenda, diffs it against the last saved scrape (the
+ * raw sessions JSON that `scrape` also writes) and, only when something
+ * changed, regenerates the calendars, saves the new snapshot and posts the
+ * changelog to a webhook. The webhook gets Slack-compatible JSON
+ * (`{ "text": ... }`), which most chat tools accept for incoming webhooks.
+ */
+
+import fs from 'fs-extra';
+import { DEFAULT_CONFERENCE } from './conference.js';
+import { diffAgendas, entriesFromSessions, formatDiffText, hasChanges, loadAgendaSnapshot } from './agendaDiff.js';
+import { conferencePaths, generateCalendars, processSessions, scrapeSessions } from './pipeline.js';
+
+/**
+ * Webhook payload announcing agenda changes
+ * @param {Object} diff - Result of diffAgendas
+ * @param {Object} conference - Conference profile
+ * @returns {Object} { text }
+ */
+export function changePayload(diff, conference) {
+  return { text: `${conference.name}\n${formatDiffText(diff)}` };
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * @param {string} url - Webhook URL
+ * @param {Object} payload - JSON body
+ * @param {number} [timeout] - Milliseconds before the request is aborted
+ * @throws {Error} When the request fails or the webhook answers with an error
+ */
+export async function postWebhook(url, payload, timeout = 10000) {
+  const res = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal: AbortSignal.timeout(timeout),
+  });
+  // Drain the body so the connection can be reused
+  await res.arrayBuffer().catch(() => {});
+  if (!res.ok) throw new Error(`Webhook answered HTTP ${res.status}`);
+}
+
+export class AgendaWatcher {
+  /**
+   * @param {Object} [options]
+   * @param {Object} [options.conference] - Conference profile
+   * @param {number} [options.intervalMinutes] - Minutes between runs (default
+   *   30; 0 runs once)
+   * @param {string} [options.webhookUrl] - Where changelogs are posted (none by default)
+   * @param {string} [options.snapshotPath] - Raw sessions JSON of the last run
+   *   (default: the conference's saved scrape)
+   * @param {Object} [options.scraper] - Options for IdentiverseScraper; cached
+   *   detail pages are revalidated on every run, since room changes show up there
+   * @param {Object} [options.generate] - Options for generateCalendars; the
+   *   release copy is guarded by validation and the scrape health checks
+   */
+  constructor(options = {}) {
+    this.options = {
+      conference: DEFAULT_CONFERENCE,
+      intervalMinutes: 30,
+      webhookUrl: null,
+      snapshotPath: null,
+      scraper: {},
+      generate: {},
+      ...options,
+    };
+    this.snapshotPath = this.options.snapshotPath || conferencePaths(this.options.conference).sessions;
+    this.running = null;
+  }
+
+  /**
+   * One watch run. Scrape failures and webhook errors are reported and the
+   * run ends; the next run starts over.
+   * @returns {Promise<Object>} { status, diff } where status is "failed",
+   *   "unchanged", "baseline" (no earlier snapshot to compare with),
+   *   "unhealthy" (changes found, but the calendar failed validation or the
+   *   health checks, so the snapshot is kept) or "changed"
+   */
+  async runOnce() {
+    const { conference, webhookUrl } = this.options;
+    let scraped;
+    try {
+      scraped = await scrapeSessions({ conference, revalidate: true, ...this.options.scraper });
+    } catch (error) {
+      console.warn(`Scrape failed: ${error.message}`);
+      return { status: 'failed', diff: null };
+    }
+
+    const { sessions } = processSessions(scraped.rawSessions, conference);
+    const baseline = !(await fs.pathExists(this.snapshotPath));
+    const before = baseline ? [] : await loadAgendaSnapshot(this.snapshotPath, conference);
+    const diff = diffAgendas(before, entriesFromSessions(sessions));
+    if (!baseline && !hasChanges(diff)) {
+      console.log(`No agenda changes (${sessions.length} sessions)`);
+      return { status: 'unchanged', diff };
+    }
+
+    console.log(baseline ? 'No earlier snapshot; generating a baseline' : formatDiffText(diff));
+    const { validation, health } = await generateCalendars(sessions, {
+      ...this.options.generate,
+      conference,
+      scrapeStats: scraped.stats,
+    });
+    if (validation.problems.length > 0 || health.problems.length > 0) {
+      // Keep the last good snapshot so the next run diffs against it again
+      for (const problem of [...validation.problems, ...health.problems]) console.warn(`  - ${problem}`);
+      console.warn('Changes not recorded: the calendar failed validation or the scrape health checks');
+      return { status: 'unhealthy', diff };
+    }
+    await fs.outputJson(this.snapshotPath, scraped.rawSessions, { spaces: 2 });
+
+    if (!baseline && webhookUrl) {
+      try {
+        await postWebhook(webhookUrl, changePayload(diff, conference));
+        console.log('Changes posted to the webhook');
+      } catch (error) {
+        console.warn(`Could not post to the webhook: ${error.message}`);
+      }
+    }
+    return { status: baseline ? 'baseline' : 'changed', diff };
+  }
+
+  /**
+   * Run now, then every intervalMinutes. Runs never overlap: a tick that
+   * comes while a run is still going is skipped.
+   * @returns {Promise<Object>} Result of the first run
+   */
+  async start() {
+    const first = await this.tick();
+    const { intervalMinutes } = this.options;
+    if (intervalMinutes > 0) {
+      this.timer = setInterval(() => this.tick(), intervalMinutes * 60 * 1000);
+    }
+    return first;
+  }
+
+  /** Start a run unless one is in progress; unexpected errors end the run, not the watch */
+  tick() {
+    this.running ||= this.runOnce()
+      .catch((error) => {
+        console.warn(`Watch run failed: ${error.message}`);
+        return { status: 'failed', diff: null };
+      })
+      .finally(() => {
+        this.running = null;
+      });
+    return this.running;
+  }
+
+  /** Stop scheduling runs and wait for the current one to finish */
+  async stop() {
+    clearInterval(this.timer);
+    await this.running;
+  }
+}
@@ -0,0 +1,125 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ADAPTERS, getAdapter } from '../src/adapters/index.js';
+import { jsonLdAdapter } from '../src/adapters/jsonLd.js';
+import { DEFAULT_CONFERENCE, validateConference } from '../src/conference.js';
+import { processSessions } from '../src/pipeline.js';
+import { IdentiverseScraper } from '../src/scraper.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const read = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+
+const AGENDA_URL = 'https://identitycon.example.org/2026/agenda/';
+const KEYNOTE_URL = 'https://identitycon.example.org/2026/sessions/opening';
+const conference = validateConference({
+  ...DEFAULT_CONFERENCE,
+  id: 'identitycon-2026',
+  name: 'IdentityCon 2026',
+  startDate: '2026-09-21',
+  endDate: '2026-09-23',
+  agendaUrl: AGENDA_URL,
+  adapter: 'jsonld',
+  timezone: 'Europe/Berlin',
+  venue: null,
+  defaultLocation: 'Congress Center, Berlin',
+  uid: { prefix: 'identitycon-2026', domain: 'identitycon.example.org' },
+});
+
+test('getAdapter looks adapters up by name', () => {
+  assert.deepEqual(Object.keys(ADAPTERS), ['identiverse', 'jsonld']);
+  assert.equal(getAdapter().name, 'identiverse');
+  assert.equal(getAdapter('jsonld'), jsonLdAdapter);
+  assert.throws(() => getAdapter('sched'), /Unknown site adapter "sched" \(use identiverse, jsonld\)/);
+});
+
+test('the JSON-LD adapter reads leaf events with times in conference time', () => {
+  const sessions = jsonLdAdapter.parseAgenda(read('jsonld-agenda.html'), AGENDA_URL, conference);
+  assert.deepEqual(
+    sessions.map(({ title, date, time }) => ({ title, date, time })),
+    [
+      { title: 'Opening Keynote: The Year in Identity', date: '2026-09-21', time: '9:00 am - 9:45 am' },
+      // No offset: conference time; the end comes from the duration
+      { title: 'Passkeys Workshop', date: '2026-09-22', time: '2:00 pm - 4:30 pm' },
+      { title: 'Networking Evening', date: '2026-09-22', time: '7:00 pm' },
+    ]
+  );
+});
+
+test('the JSON-LD adapter maps session fields and performers', () => {
+  const [keynote, workshop, evening] = jsonLdAdapter.parseAgenda(read('jsonld-agenda.html'), AGENDA_URL, conference);
+  assert.equal(keynote.type, 'KEYNOTE');
+  assert.deepEqual(keynote.topics, ['keynote', 'strategy']);
+  assert.equal(keynote.sessionId, 'S-101');
+  assert.equal(keynote.detailsUrl, KEYNOTE_URL);
+  assert.equal(keynote.location, 'Hall A');
+  assert.equal(keynote.description, 'Where digital identity stands in 2026.');
+  assert.deepEqual(keynote.speakers, [
+    {
+      name: 'Dana Ortiz',
+      title: 'Chief Identity Officer • Example Corp',
+      profileUrl: 'https://identitycon.example.org/2026/speakers/dana-ortiz',
+      speakerId: null,
+      headshotUrl: 'https://identitycon.example.org/img/dana.jpg',
+    },
+    { name: 'Lee Park' },
+  ]);
+
+  // URL types are not session types; virtual locations are skipped
+  assert.equal(workshop.type, 'SESSION');
+  assert.equal(workshop.sessionId, 'W-7');
+  assert.deepEqual(workshop.topics, ['passkeys', 'hands-on']);
+  assert.equal(workshop.location, 'Room 2.1');
+  assert.equal(evening.detailsUrl, '');
+  assert.equal(evening.location, undefined);
+});
+
+test('the JSON-LD adapter only fetches detail pages other than the agenda', () => {
+  const sessions = jsonLdAdapter.parseAgenda(read('jsonld-agenda.html'), AGENDA_URL, conference);
+  assert.deepEqual(
+    sessions.map((session) => jsonLdAdapter.detailUrl(session, AGENDA_URL)),
+    [KEYNOTE_URL, null, null]
+  );
+  assert.deepEqual(jsonLdAdapter.parseDetail(read('jsonld-detail.html'), KEYNOTE_URL, conference), {
+    date: '2026-09-21',
+    time: '9:00 am - 9:45 am',
+    location: 'Hall A (Ground Floor)',
+    description: 'Where digital identity stands in 2026.\n\nA tour of regulation, wallets and passkeys.',
+  });
+  assert.deepEqual(jsonLdAdapter.parseDetail('<html></html>', KEYNOTE_URL, conference), {
+    date: null,
+    time: null,
+    location: null,
+    description: null,
+  });
+});
+
+test('the scraper runs the profile adapter end to end', async () => {
+  const scraper = new IdentiverseScraper({ conference, requestsPerSecond: 0 });
+  const fetched = [];
+  scraper.fetchPage = async (url) => {
+    fetched.push(url);
+    return read(url === AGENDA_URL ? 'jsonld-agenda.html' : 'jsonld-detail.html');
+  };
+
+  const rawSessions = await scraper.scrapeAllSessions();
+  assert.deepEqual(fetched, [AGENDA_URL, KEYNOTE_URL]);
+  assert.equal(scraper.stats.detailPages, 1);
+
+  const { sessions } = processSessions(rawSessions, conference);
+  assert.equal(sessions.length, 3);
+  const keynote = sessions[0];
+  assert.equal(keynote.location, 'Hall A (Ground Floor)');
+  assert.equal(keynote.startTime.toISO(), '2026-09-21T09:00:00.000+02:00');
+  assert.match(keynote.uid, /^identitycon-2026-/);
+  assert.equal(sessions[2].endTime.diff(sessions[2].startTime, 'hours').hours, 1);
+});
+
+test('adapters without speaker pages skip --speaker-pages', async () => {
+  const scraper = new IdentiverseScraper({ conference, requestsPerSecond: 0 });
+  scraper.fetchPage = async () => assert.fail('no speaker page should be fetched');
+  await scraper.enrichWithSpeakers([{ speakers: [{ name: 'Dana Ortiz', profileUrl: 'https://example.org/dana' }] }]);
+  assert.equal(scraper.stats.speakerPages, 0);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { ICSGenerator } from '../src/icsGenerator.js';
+import { parseIcsEvents } from '../src/icsReader.js';
+import {
+  diffAgendas,
+  entriesFromIcsEvents,
+  entriesFromSessions,
+  formatDiffText,
+  formatDiffMarkdown,
+} from '../src/agendaDiff.js';
+
+const zone = 'UTC-7';
+
+function session(id, overrides = {}) {
+  return {
+    title: `Session ${id}`,
+    description: 'About identity.',
+    location: 'Mandalay Bay K',
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: 9 }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: 10 }, { zone }),
+    uid: `identiverse-2026-event-${id}@identiverse.com`,
+    type: 'SESSION',
+    speakers: [{ name: 'Jane Doe', title: 'CISO • Acme' }],
+    ...overrides,
+  };
+}
+
+test('diffAgendas groups added, removed, time, room and speaker changes', () => {
+  const before = entriesFromSessions([session(1), session(2), session(3)]);
+  const after = entriesFromSessions([
+    session(1, {
+      startTime: session(1).startTime.plus({ hours: 2 }),
+      endTime: session(1).endTime.plus({ hours: 2 }),
+      location: 'Breakers L',
+    }),
+    session(2, { speakers: [{ name: 'John Roe', title: 'CTO' }] }),
+    session(4),
+  ]);
+
+  const diff = diffAgendas(before, after);
+  assert.deepEqual(diff.added.map(e => e.title), ['Session 4']);
+  assert.deepEqual(diff.removed.map(e => e.title), ['Session 3']);
+  assert.deepEqual(diff.timeChanges.map(c => c.after.title), ['Session 1']);
+  assert.deepEqual(diff.roomChanges.map(c => c.after.location), ['Breakers L']);
+  assert.deepEqual(diff.speakerChanges[0].added, ['John Roe']);
+  assert.deepEqual(diff.speakerChanges[0].removed, ['Jane Doe']);
+  assert.equal(diff.titleChanges.length, 0);
+});
+
+test('entriesFromIcsEvents recovers titles and speakers and skips cancelled events', () => {
+  const generator = new ICSGenerator();
+  const sessions = [session(1, { description: 'Speakers: Jane Doe (CISO • Acme) | John Roe (CTO)' }), session(2)];
+  const published = parseIcsEvents(generator.createCalendar(sessions));
+  const withCancellation = parseIcsEvents(generator.createCalendar([sessions[0]], published));
+
+  const entries = entriesFromIcsEvents(withCancellation);
+  assert.equal(entries.length, 1);
+  assert.equal(entries[0].title, 'Session 1');
+  assert.deepEqual(entries[0].speakers, ['Jane Doe', 'John Roe']);
+  assert.equal(entries[0].start.toFormat('HH:mm'), '09:00');
+});
+
+test('formatDiffText and formatDiffMarkdown render grouped reports', () => {
+  const diff = diffAgendas(
+    entriesFromSessions([session(1)]),
+    entriesFromSessions([session(1, { location: 'Breakers L' }), session(2)])
+  );
+
+  const text = formatDiffText(diff);
+  assert.match(text, /^Agenda changes: 1 added, 0 removed, 0 time changes, 1 room changes/);
+  assert.match(text, /ADDED \(1\)\n {2}- Session 2 — Tue Jun 16, 9:00 AM–10:00 AM, Mandalay Bay K/);
+  assert.match(text, /ROOM CHANGES \(1\)\n {2}- Session 1: Mandalay Bay K → Breakers L/);
+
+  const markdown = formatDiffMarkdown(diff);
+  assert.match(markdown, /^## Agenda changes/);
+  assert.match(markdown, /### Room changes \(1\)\n\n- \*\*Session 1\*\*: Mandalay Bay K → Breakers L/);
+
+  const renamed = diffAgendas(
+    entriesFromSessions([session(1)]),
+    entriesFromSessions([session(1, { title: 'Session One' })])
+  );
+  assert.match(
+    formatDiffText(renamed),
+    /^Agenda changes: 0 added, 0 removed, 0 time changes, 0 room changes, 1 title changes, 0 speaker changes\n\nTITLE CHANGES \(1\)\n {2}- Session 1 → Session One$/
+  );
+
+  const none = diffAgendas(entriesFromSessions([session(1)]), entriesFromSessions([session(1)]));
+  assert.equal(formatDiffText(none), 'No agenda changes.');
+});
@@ -0,0 +1,197 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { DateTime } from 'luxon';
+import { CalDavPublisher, parseMultistatus, splitCalendar } from '../src/caldav.js';
+import { ICSGenerator } from '../src/icsGenerator.js';
+import { parseIcsEvents } from '../src/icsReader.js';
+
+const zone = 'America/Los_Angeles';
+function session(id, hour = 9, title = `Session ${id}`) {
+  return {
+    title,
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: hour + 1 }, { zone }),
+    uid: `identiverse-2026-event-${id}@identiverse.com`,
+    sessionId: String(id),
+  };
+}
+
+const escapeXml = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Minimal CalDAV collection at /cal/: calendar-query REPORT, conditional PUT
+ * and DELETE, with ETags that change on every write
+ */
+async function startCalDavServer({ auth = 'Basic dGVhbTpzZWNyZXQ=' } = {}) {
+  const store = new Map(); // path → { body, etag }
+  const requests = [];
+  let version = 0;
+  const put = (path, body) => store.set(path, { body, etag: `"v${++version}"` });
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      requests.push({ method: req.method, url: req.url, headers: req.headers });
+      if (auth && req.headers.authorization !== auth) {
+        res.writeHead(401);
+        return res.end();
+      }
+      const existing = store.get(req.url);
+      if (req.method === 'REPORT') {
+        const responses = [...store].map(
+          ([path, { body: data, etag }]) =>
+            `<D:response><D:href>${path}</D:href><D:propstat><D:prop><D:getetag>${etag}</D:getetag>` +
+            `<C:calendar-data>${escapeXml(data)}</C:calendar-data></D:prop>` +
+            '<D:status>HTTP/1.1 200 OK</D:status></D:propstat></D:response>'
+        );
+        res.writeHead(207, { 'Content-Type': 'application/xml' });
+        return res.end(
+          `<?xml version="1.0"?><D:multistatus xmlns:D="DAV:" xmlns:C="urn:ietf:params:xml:ns:caldav">${responses.join('')}</D:multistatus>`
+        );
+      }
+      const ifMatch = req.headers['if-match'];
+      const ifNoneMatch = req.headers['if-none-match'];
+      if ((ifMatch && existing?.etag !== ifMatch) || (ifNoneMatch === '*' && existing)) {
+        res.writeHead(412);
+        return res.end();
+      }
+      if (req.method === 'PUT') {
+        put(req.url, body);
+        res.writeHead(existing ? 204 : 201, { ETag: store.get(req.url).etag });
+        return res.end();
+      }
+      if (req.method === 'DELETE') {
+        store.delete(req.url);
+        res.writeHead(204);
+        return res.end();
+      }
+      res.writeHead(405);
+      res.end();
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const close = () => {
+    server.closeAllConnections();
+    server.close();
+  };
+  return { store, requests, put, close, url: `http://127.0.0.1:${server.address().port}/cal` };
+}
+
+// Two-session agendas are far below the profile's health thresholds
+const health = { minSessions: 0, maxDropPercent: 100, minRoomFraction: 0 };
+const counts = ({ health: _, ...rest }) => rest;
+const writes = (requests) => requests.filter((r) => r.method === 'PUT' || r.method === 'DELETE');
+
+test('splitCalendar makes one resource per event without METHOD', () => {
+  const ics = new ICSGenerator().createCalendar([session(1), session(2, 11)]);
+  const resources = splitCalendar(ics);
+  assert.deepEqual([...resources.keys()], ['identiverse-2026-event-1@identiverse.com', 'identiverse-2026-event-2@identiverse.com']);
+  const resource = resources.get('identiverse-2026-event-2@identiverse.com');
+  assert.match(resource, /^BEGIN:VCALENDAR\r\n/);
+  assert.match(resource, /BEGIN:VTIMEZONE/);
+  assert.doesNotMatch(resource, /METHOD:/);
+  assert.equal((resource.match(/BEGIN:VEVENT/g) || []).length, 1);
+  assert.deepEqual(parseIcsEvents(resource).map((e) => e.summary), ['Session 2 (PDT)']);
+});
+
+test('parseMultistatus reads responses whatever the namespace prefixes', () => {
+  const xml = `<multistatus xmlns="DAV:" xmlns:cal="urn:ietf:params:xml:ns:caldav"><response><href>/cal/a.ics</href>
+    <propstat><prop><getetag>"1"</getetag><cal:calendar-data>BEGIN:VCALENDAR&#13;
+END:VCALENDAR</cal:calendar-data></prop></propstat></response></multistatus>`;
+  assert.deepEqual(parseMultistatus(xml), [{ href: '/cal/a.ics', etag: '"1"', calendarData: 'BEGIN:VCALENDAR\r\nEND:VCALENDAR' }]);
+});
+
+test('CalDavPublisher creates, updates only changed events, and cancels removed ones', async () => {
+  const dav = await startCalDavServer();
+  // Another team's event in the shared collection is never touched
+  dav.put('/cal/standup.ics', 'BEGIN:VCALENDAR\r\nBEGIN:VEVENT\r\nUID:standup@example.com\r\nDTSTART:20260616T160000Z\r\nDTEND:20260616T161500Z\r\nSUMMARY:Standup\r\nEND:VEVENT\r\nEND:VCALENDAR');
+  const publisher = new CalDavPublisher({ url: dav.url, username: 'team', password: 'secret', health });
+
+  try {
+    const first = await publisher.publish([session(1), session(2, 11)]);
+    assert.deepEqual(counts(first), { created: 2, updated: 0, cancelled: 0, deleted: 0, unchanged: 0, conflicts: [] });
+    assert.ok(dav.store.has('/cal/identiverse-2026-event-1%40identiverse.com.ics'));
+    assert.ok(writes(dav.requests).every((r) => r.headers['if-none-match'] === '*'));
+
+    dav.requests.length = 0;
+    const again = await publisher.publish([session(1), session(2, 11)]);
+    assert.deepEqual(counts(again), { created: 0, updated: 0, cancelled: 0, deleted: 0, unchanged: 2, conflicts: [] });
+    assert.deepEqual(writes(dav.requests), []);
+
+    dav.requests.length = 0;
+    const moved = await publisher.publish([session(1, 14)]);
+    assert.deepEqual(counts(moved), { created: 0, updated: 1, cancelled: 1, deleted: 0, unchanged: 0, conflicts: [] });
+    assert.ok(writes(dav.requests).every((r) => /^"v\d+"$/.test(r.headers['if-match'])));
+    const [updated] = parseIcsEvents(dav.store.get('/cal/identiverse-2026-event-1%40identiverse.com.ics').body, zone);
+    assert.equal(updated.sequence, 1);
+    assert.equal(updated.start.hour, 14);
+    const [cancelled] = parseIcsEvents(dav.store.get('/cal/identiverse-2026-event-2%40identiverse.com.ics').body, zone);
+    assert.equal(cancelled.status, 'CANCELLED');
+    assert.ok(dav.store.has('/cal/standup.ics'));
+  } finally {
+    dav.close();
+  }
+});
+
+test('CalDavPublisher can delete removed events and never overwrites newer server copies', async () => {
+  const dav = await startCalDavServer({ auth: null });
+  const publisher = new CalDavPublisher({ url: `${dav.url}/`, removed: 'delete', health });
+
+  try {
+    await publisher.publish([session(1), session(2, 11)]);
+    const result = await publisher.publish([session(1)]);
+    assert.equal(result.deleted, 1);
+    assert.equal(result.cancelled, 0);
+    assert.deepEqual([...dav.store.keys()], ['/cal/identiverse-2026-event-1%40identiverse.com.ics']);
+
+    // Someone edits the event between the listing and the update
+    const listEvents = publisher.listEvents.bind(publisher);
+    publisher.listEvents = async () => {
+      const events = await listEvents();
+      dav.put('/cal/identiverse-2026-event-1%40identiverse.com.ics', 'edited elsewhere');
+      return events;
+    };
+    const conflicted = await publisher.publish([session(1, 15)]);
+    assert.deepEqual(conflicted.conflicts, ['identiverse-2026-event-1@identiverse.com']);
+    assert.equal(dav.store.get('/cal/identiverse-2026-event-1%40identiverse.com.ics').body, 'edited elsewhere');
+  } finally {
+    dav.close();
+  }
+});
+
+test('CalDavPublisher writes nothing when the scrape fails its health checks', async () => {
+  const dav = await startCalDavServer({ auth: null });
+  try {
+    await new CalDavPublisher({ url: dav.url, health }).publish([session(1), session(2, 11), session(3, 13)]);
+    dav.requests.length = 0;
+    const result = await new CalDavPublisher({ url: dav.url, health: { minSessions: 0, minRoomFraction: 0 } }).publish([session(1)]);
+    assert.match(result.health.problems[0], /dropped 67% \(3 → 1\)/);
+    assert.deepEqual(writes(dav.requests), []);
+    assert.equal(result.cancelled, 0);
+  } finally {
+    dav.close();
+  }
+});
+
+test('CalDavPublisher rejects missing URLs and unknown removal modes', () => {
+  assert.throws(() => new CalDavPublisher({}), /collection URL/);
+  assert.throws(() => new CalDavPublisher({ url: 'http://x/cal/', removed: 'archive' }), /use cancel or delete/);
+});
+
+// Against a real server, e.g. `python -m radicale --storage-filesystem-folder=/tmp/radicale --auth-type=none`
+// and CALDAV_TEST_URL=http://127.0.0.1:5232/test/agenda/ (the collection must exist)
+test('CalDavPublisher round-trips against a live CalDAV server', { skip: !process.env.CALDAV_TEST_URL }, async () => {
+  const publisher = new CalDavPublisher({
+    url: process.env.CALDAV_TEST_URL,
+    username: process.env.CALDAV_USERNAME,
+    password: process.env.CALDAV_PASSWORD,
+    removed: 'delete',
+    health,
+  });
+  await publisher.publish([session(1), session(2, 11)]);
+  assert.equal((await publisher.publish([session(1), session(2, 11)])).unchanged, 2);
+  assert.equal((await publisher.publish([session(1, 14)])).updated, 1);
+  assert.equal((await publisher.publish([])).deleted, 1);
+});
@@ -0,0 +1,189 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DateTime } from 'luxon';
+import { EXIT_CODES, parseCliArgs, runCli } from '../src/cli.js';
+import { DEFAULT_CACHE_DIR } from '../src/pipeline.js';
+import { ICSGenerator } from '../src/icsGenerator.js';
+
+test('parseCliArgs defaults to the generate command with release refresh', () => {
+  const { command, options } = parseCliArgs([]);
+  assert.equal(command, 'generate');
+  assert.equal(options.release, true);
+  assert.deepEqual(options.scraper, { cacheDir: DEFAULT_CACHE_DIR });
+});
+
+test('parseCliArgs maps scraper options', () => {
+  const { command, options } = parseCliArgs([
+    'scrape', '--url', 'https://example.com/agenda/', '--no-details', '--concurrency', '2', '--rate', '0.5',
+    '--retries', '1', '--timeout', '5000',
+    '--no-cache', '--speaker-pages',
+  ]);
+  assert.equal(command, 'scrape');
+  assert.deepEqual(options.scraper, {
+    baseUrl: 'https://example.com/agenda/',
+    extractDetailPages: false,
+    extractSpeakerPages: true,
+    concurrency: 2,
+    requestsPerSecond: 0.5,
+    retries: 1,
+    timeout: 5000,
+  });
+});
+
+test('parseCliArgs validates the site adapter', () => {
+  assert.equal(parseCliArgs(['scrape', '--adapter', 'jsonld']).options.scraper.adapter, 'jsonld');
+  assert.throws(() => parseCliArgs(['--adapter', 'sched']), /unknown site adapter "sched"/);
+});
+
+test('parseCliArgs maps doctor options and --selectors', () => {
+  const { command, positionals, options } = parseCliArgs(['doctor', 'page.html', '--page', 'speaker']);
+  assert.equal(command, 'doctor');
+  assert.deepEqual(positionals, ['page.html']);
+  assert.equal(options.pageKind, 'speaker');
+  assert.equal(parseCliArgs(['doctor', 'dir']).options.pageKind, 'agenda');
+  assert.throws(() => parseCliArgs(['doctor', 'page.html', '--page', 'venue']), /--page must be one of agenda, detail, speaker/);
+  assert.equal(parseCliArgs(['--selectors', 'identiverse-2026']).options.conference.selectors.id, 'identiverse-2026');
+  assert.throws(() => parseCliArgs(['--selectors', 'identiverse-1999']), /Selector profile not found/);
+});
+
+test('parseCliArgs maps HTTP cache options', () => {
+  const { options } = parseCliArgs(['--cache-dir', '/tmp/cache', '--cache-ttl', '5', '--refresh']);
+  assert.deepEqual(options.scraper, { cacheDir: '/tmp/cache', cacheTtl: 5 * 60 * 1000, refresh: true });
+});
+
+test('parseCliArgs collects positionals and track lists', () => {
+  const { command, positionals, options } = parseCliArgs([
+    'diff', 'a.ics', 'b.ics', '--markdown', '--include', 'workshop,keynote', '--include', 'summit', '--no-release',
+  ]);
+  assert.equal(command, 'diff');
+  assert.deepEqual(positionals, ['a.ics', 'b.ics']);
+  assert.equal(options.markdown, true);
+  assert.equal(options.release, false);
+  assert.deepEqual(options.include, ['workshop', 'keynote', 'summit']);
+});
+
+test('parseCliArgs rejects unknown commands and bad numbers', () => {
+  assert.throws(() => parseCliArgs(['deploy']), /Unknown command/);
+  assert.throws(() => parseCliArgs(['--concurrency', 'many']), /non-negative integer/);
+  assert.throws(() => parseCliArgs(['--concurrency', '0']), /at least 1/);
+  assert.throws(() => parseCliArgs(['--rate=-1']), /non-negative number/);
+  assert.throws(() => parseCliArgs(['--bogus']));
+});
+
+test('parseCliArgs loads the --conference profile', () => {
+  assert.equal(parseCliArgs([]).options.conference.id, 'identiverse-2026');
+  assert.equal(parseCliArgs(['--conference', 'identiverse-2025']).options.conference.year, 2025);
+  assert.throws(() => parseCliArgs(['--conference', 'nope']), /Conference profile not found/);
+});
+
+test('parseCliArgs collects and validates attendee timezones', () => {
+  const { options } = parseCliArgs(['--attendee-timezone', 'Europe/Berlin,America/New_York']);
+  assert.deepEqual(options.attendeeZones, ['Europe/Berlin', 'America/New_York']);
+  assert.throws(() => parseCliArgs(['--attendee-timezone', 'CEST']), /unknown IANA zone "CEST"/);
+});
+
+test('parseCliArgs validates export formats', () => {
+  assert.deepEqual(parseCliArgs(['--export', 'JSON,csv']).options.exportFormats, ['json', 'csv']);
+  assert.deepEqual(parseCliArgs([]).options.exportFormats, []);
+  assert.throws(() => parseCliArgs(['--export', 'xml']), /unknown format "xml"/);
+});
+
+test('parseCliArgs collects speakers without splitting on commas', () => {
+  const { options } = parseCliArgs(['--speaker', 'Doe, Jane', '--speaker', 'John Roe', '--attendees']);
+  assert.deepEqual(options.speakers, ['Doe, Jane', 'John Roe']);
+  assert.equal(options.speakerAttendees, true);
+  assert.equal(parseCliArgs([]).options.speakerAttendees, false);
+});
+
+test('parseCliArgs maps conflict options and the conflicts command', () => {
+  const { command, positionals, options } = parseCliArgs([
+    'conflicts', 'personal.ics', '--transfer-minutes', '15', '--min-gap', '45', '--mark-conflicts',
+  ]);
+  assert.equal(command, 'conflicts');
+  assert.deepEqual(positionals, ['personal.ics']);
+  assert.deepEqual(options.conflicts, { transferMinutes: 15, minGapMinutes: 45 });
+  assert.equal(options.markConflicts, true);
+  assert.throws(() => parseCliArgs(['conflicts', '--min-gap', 'soon']), /--min-gap must be a non-negative integer/);
+});
+
+test('parseCliArgs passes the reminders file through', () => {
+  assert.equal(parseCliArgs(['--reminders', 'reminders.json']).options.reminders, 'reminders.json');
+  assert.equal(parseCliArgs([]).options.reminders, undefined);
+});
+
+test('parseCliArgs maps health threshold overrides', () => {
+  assert.deepEqual(parseCliArgs([]).options.health, {});
+  const { options } = parseCliArgs([
+    '--min-sessions', '100', '--max-drop', '12.5', '--max-detail-failures', '0', '--min-room-fraction', '0.9',
+  ]);
+  assert.deepEqual(options.health, { minSessions: 100, maxDropPercent: 12.5, maxDetailFailures: 0, minRoomFraction: 0.9 });
+  assert.throws(() => parseCliArgs(['--min-room-fraction', '80']), /between 0 and 1/);
+  assert.throws(() => parseCliArgs(['--max-drop', '150']), /from 0 to 100/);
+});
+
+test('parseCliArgs maps serve options', () => {
+  const { command, options } = parseCliArgs(['serve', '--host', '0.0.0.0', '--port', '9000', '--interval', '15']);
+  assert.equal(command, 'serve');
+  assert.deepEqual(options.server, { host: '0.0.0.0', port: 9000 });
+  assert.equal(options.intervalMinutes, 15);
+  assert.deepEqual(parseCliArgs(['serve']).options.server, {});
+  assert.equal(parseCliArgs(['serve']).options.intervalMinutes, undefined);
+});
+
+test('parseCliArgs maps watch options', () => {
+  const { command, options } = parseCliArgs(['watch', '--interval', '0', '--webhook', 'https://hooks.example.com/x']);
+  assert.equal(command, 'watch');
+  assert.equal(options.intervalMinutes, 0);
+  assert.equal(options.webhookUrl, 'https://hooks.example.com/x');
+});
+
+test('parseCliArgs maps publish options, with the password from the environment', () => {
+  const saved = process.env.CALDAV_PASSWORD;
+  process.env.CALDAV_PASSWORD = 'secret';
+  try {
+    const { command, positionals, options } = parseCliArgs([
+      'publish',
+      'https://cloud.example.com/remote.php/dav/calendars/team/identiverse/',
+      '--caldav-user',
+      'team',
+      '--delete-removed',
+    ]);
+    assert.equal(command, 'publish');
+    assert.deepEqual(positionals, ['https://cloud.example.com/remote.php/dav/calendars/team/identiverse/']);
+    assert.deepEqual(options.caldav, { username: 'team', password: 'secret', removed: 'delete' });
+    assert.equal(parseCliArgs(['publish', 'http://x/']).options.caldav.removed, 'cancel');
+  } finally {
+    if (saved === undefined) delete process.env.CALDAV_PASSWORD;
+    else process.env.CALDAV_PASSWORD = saved;
+  }
+});
+
+test('verify reports a missing calendar as a usage error', async () => {
+  assert.equal(await runCli(['verify', '/nonexistent/calendar.ics']), EXIT_CODES.USAGE);
+  assert.equal(await runCli(['verify', '--output', '/nonexistent/calendar.ics']), EXIT_CODES.USAGE);
+});
+
+test('conflicts exits with code 6 when sessions overlap', async () => {
+  const zone = 'America/Los_Angeles';
+  const session = (id, hour) => ({
+    title: `Session ${id}`,
+    description: '',
+    location: 'Mandalay Bay K',
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: hour + 1 }, { zone }),
+    uid: `identiverse-2026-event-${id}@identiverse.com`,
+  });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cli-conflicts-'));
+  try {
+    const file = path.join(dir, 'personal.ics');
+    await fs.writeFile(file, new ICSGenerator().createCalendar([session(1, 9), session(2, 11)]));
+    assert.equal(await runCli(['conflicts', file]), EXIT_CODES.OK);
+    await fs.writeFile(file, new ICSGenerator().createCalendar([session(1, 9), session(2, 9)]));
+    assert.equal(await runCli(['conflicts', file]), EXIT_CODES.CONFLICTS);
+  } finally {
+    await fs.remove(dir);
+  }
+});
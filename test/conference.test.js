@@ -0,0 +1,81 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { loadConference, validateConference, DEFAULT_CONFERENCE } from '../src/conference.js';
+import { conferencePaths, ROOT_DIR } from '../src/pipeline.js';
+import { DataProcessor } from '../src/dataProcessor.js';
+import { ICSGenerator } from '../src/icsGenerator.js';
+
+test('the default conference is Identiverse 2026', () => {
+  assert.equal(DEFAULT_CONFERENCE.id, 'identiverse-2026');
+  assert.equal(DEFAULT_CONFERENCE.year, 2026);
+  assert.equal(DEFAULT_CONFERENCE.agendaUrl, 'https://identiverse.com/idv26/agenda/');
+});
+
+test('loadConference loads bundled profiles by id and files by path', async () => {
+  const idv25 = loadConference('identiverse-2025');
+  assert.equal(idv25.year, 2025);
+  assert.equal(idv25.output.release, 'identiverse-2025-agenda.ics');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conference-'));
+  try {
+    const file = path.join(dir, 'custom.json');
+    await fs.writeJson(file, { ...idv25, id: 'custom', name: 'Custom Con' });
+    assert.equal(loadConference(file).name, 'Custom Con');
+  } finally {
+    await fs.remove(dir);
+  }
+
+  assert.throws(() => loadConference('no-such-conference'), /Conference profile not found/);
+});
+
+test('validateConference rejects incomplete profiles', () => {
+  const { uid, ...noUid } = DEFAULT_CONFERENCE;
+  assert.throws(() => validateConference({ ...noUid }, 'test'), /test: missing "uid.prefix"/);
+  assert.throws(() => validateConference({ ...DEFAULT_CONFERENCE, year: '2026' }), /"year" must be an integer/);
+  assert.throws(() => validateConference({ ...DEFAULT_CONFERENCE, agendaUrl: 'not a url' }), /not a valid URL/);
+  assert.throws(() => validateConference({ ...DEFAULT_CONFERENCE, startDate: 'June 3' }), /ISO date/);
+  assert.throws(() => validateConference({ ...DEFAULT_CONFERENCE, adapter: 42 }), /"adapter" must be a site adapter name/);
+});
+
+test('conferencePaths derives output file names from the profile', () => {
+  const paths = conferencePaths(loadConference('identiverse-2025'));
+  assert.equal(paths.output, path.join(ROOT_DIR, 'output', 'identiverse2025.ics'));
+  assert.equal(paths.sessions, path.join(ROOT_DIR, 'output', 'identiverse2025-sessions.json'));
+  assert.equal(paths.release, path.join(ROOT_DIR, 'identiverse-2025-agenda.ics'));
+});
+
+test('the profile drives the year, UIDs, location and calendar name', () => {
+  const conference = loadConference('identiverse-2025');
+  const { sessions } = new DataProcessor(conference).processAll([
+    { title: 'Opening Keynote', date: 'JUNE 3', time: '9:00 am - 10:00 am', sessionId: '42' },
+  ]);
+  assert.equal(sessions[0].startTime.year, 2025);
+  assert.equal(sessions[0].uid, 'identiverse-2025-event-42@identiverse.com');
+  assert.equal(sessions[0].location, conference.defaultLocation);
+  assert.equal(sessions[0].place.building, 'Mandalay Bay Convention Center');
+
+  const content = new ICSGenerator({ conference }).createCalendar(sessions);
+  assert.match(content, /X-WR-CALNAME:Identiverse 2025 Conference/);
+});
+
+test('validateConference defaults and checks the timezone', () => {
+  const { timezone, ...noZone } = DEFAULT_CONFERENCE;
+  assert.equal(validateConference({ ...noZone }).timezone, 'America/Los_Angeles');
+  assert.throws(() => validateConference({ ...noZone, timezone: 'Pacific Time' }), /not a known IANA zone/);
+});
+
+test('validateConference loads the venue map by id or inline', () => {
+  assert.equal(DEFAULT_CONFERENCE.venue.id, 'mandalay-bay');
+  assert.ok(DEFAULT_CONFERENCE.venue.rooms.every((rule) => rule.pattern instanceof RegExp));
+
+  const inline = validateConference({
+    ...DEFAULT_CONFERENCE,
+    venue: { id: 'hall', name: 'Hall', address: { locality: 'Berlin' }, rooms: [{ match: 'Room (?<n>\\d+)', name: 'Room {n}' }] },
+  });
+  assert.equal(inline.venue.rooms[0].pattern.test('room 3'), true);
+  assert.equal(validateConference({ ...DEFAULT_CONFERENCE, venue: undefined }).venue, null);
+  assert.throws(() => validateConference({ ...DEFAULT_CONFERENCE, venue: 'nowhere' }), /Venue map not found/);
+});
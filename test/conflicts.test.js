@@ -0,0 +1,123 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DateTime } from 'luxon';
+import {
+  analyzeSchedule,
+  formatConflictsMarkdown,
+  formatConflictsText,
+  hasConflicts,
+  loadSchedule,
+  markConflicts,
+  roomsFarApart,
+} from '../src/conflicts.js';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+import { ICSGenerator } from '../src/icsGenerator.js';
+import { resolveRoom } from '../src/venue.js';
+
+const zone = 'America/Los_Angeles';
+const at = (day, hour, minute = 0) => DateTime.fromObject({ year: 2026, month: 6, day, hour, minute }, { zone });
+
+function session(title, day, [startHour, startMinute], [endHour, endMinute], room = 'Mandalay Bay K') {
+  return {
+    title,
+    uid: `uid-${title.toLowerCase().replace(/\W+/g, '-')}@identiverse.com`,
+    startTime: at(day, startHour, startMinute),
+    endTime: at(day, endHour, endMinute),
+    location: room,
+    place: resolveRoom(DEFAULT_CONFERENCE.venue, room),
+  };
+}
+
+const schedule = [
+  session('Keynote', 16, [9, 0], [10, 0], 'Mandalay Bay K'),
+  session('Passkeys Deep Dive', 16, [9, 30], [10, 30], 'Breakers L'),
+  session('Lunch Talk', 16, [10, 35], [11, 15], 'Oceanside E'),
+  session('Afternoon Panel', 16, [13, 0], [14, 0], 'Shoreline'),
+  session('Closing', 17, [9, 0], [10, 0], 'Mandalay Bay K'),
+];
+
+test('roomsFarApart flags other floors and buildings, never unknown rooms', () => {
+  const [keynote, passkeys, lunch] = schedule;
+  assert.equal(roomsFarApart(keynote, passkeys), false); // both Level 2
+  assert.equal(roomsFarApart(passkeys, lunch), true); // Level 2 → Level 3
+  assert.equal(roomsFarApart(keynote, session('Cove', 16, [10, 0], [11, 0], 'The Cove')), true);
+  assert.equal(roomsFarApart(lunch, session('Mystery', 16, [11, 15], [12, 0], 'Room 75')), false);
+  assert.equal(roomsFarApart({ place: null }, lunch), false);
+});
+
+test('analyzeSchedule finds overlaps, tight transfers and free gaps', () => {
+  const report = analyzeSchedule([...schedule].reverse());
+  assert.equal(report.sessionCount, 5);
+  assert.deepEqual(
+    report.overlaps.map(({ first, second, minutes }) => [first.title, second.title, minutes]),
+    [['Keynote', 'Passkeys Deep Dive', 30]]
+  );
+  // 5 minutes from Breakers (Level 2) to Oceanside (Level 3)
+  assert.deepEqual(
+    report.tightTransfers.map(({ first, second, minutes }) => [first.title, second.title, minutes]),
+    [['Passkeys Deep Dive', 'Lunch Talk', 5]]
+  );
+  // Gaps stay within a day; the 5-minute break is too short to list
+  assert.deepEqual(
+    report.gaps.map(({ start, end, minutes }) => [start.toFormat('HH:mm'), end.toFormat('HH:mm'), minutes]),
+    [['11:15', '13:00', 105]]
+  );
+  assert.equal(hasConflicts(report), true);
+
+  const relaxed = analyzeSchedule(schedule, { transferMinutes: 2, minGapMinutes: 120 });
+  assert.deepEqual(relaxed.tightTransfers, []);
+  assert.deepEqual(relaxed.gaps, []);
+  assert.equal(hasConflicts(analyzeSchedule(schedule.slice(2))), false);
+});
+
+test('analyzeSchedule measures an overlap up to the earlier end', () => {
+  const long = session('Workshop', 16, [9, 0], [12, 0]);
+  const inside = session('Coffee Chat', 16, [10, 0], [10, 30]);
+  const [overlap] = analyzeSchedule([long, inside]).overlaps;
+  assert.equal(overlap.minutes, 30);
+});
+
+test('markConflicts keeps the highest-priority sessions busy', () => {
+  const ranks = { 'Passkeys Deep Dive': 3 };
+  const { sessions, transparent } = markConflicts(schedule, (s) => ranks[s.title] || 1);
+  assert.deepEqual(transparent.map((s) => s.title), ['Keynote']);
+  assert.deepEqual(sessions.map((s) => s.title), schedule.map((s) => s.title));
+  assert.equal(schedule[0].transparent, undefined, 'input sessions are not modified');
+
+  // Equal priority: the earlier session wins
+  assert.deepEqual(markConflicts(schedule).transparent.map((s) => s.title), ['Passkeys Deep Dive']);
+});
+
+test('formatConflictsText and formatConflictsMarkdown render grouped reports', () => {
+  const report = analyzeSchedule(schedule);
+  const text = formatConflictsText(report);
+  assert.match(text, /^Schedule: 5 sessions, 1 overlaps, 1 tight transfers, 1 free gaps/);
+  assert.match(text, /OVERLAPS \(1\)\n {2}- Tue Jun 16: Keynote \(9:00 AM–10:00 AM, Mandalay Bay K\) and Passkeys Deep Dive/);
+  assert.match(text, /Passkeys Deep Dive \(Breakers L, Level 2\) → Lunch Talk \(Oceanside E, Level 3\) with 5 min to get there/);
+  assert.match(text, /FREE GAPS \(1\)\n {2}- Tue Jun 16, 11:15 AM–1:00 PM \(105 min\)/);
+
+  const markdown = formatConflictsMarkdown(report);
+  assert.match(markdown, /^## Schedule conflicts/);
+  assert.match(markdown, /### Tight transfers \(1\)\n\n- Tue Jun 16: \*\*Passkeys Deep Dive\*\*/);
+});
+
+test('loadSchedule reads a personal calendar back with rooms resolved', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'conflicts-'));
+  try {
+    const file = path.join(dir, 'personal.ics');
+    await new ICSGenerator().generateICSFile(schedule, file);
+    const loaded = await loadSchedule(file);
+    assert.equal(loaded.length, 5);
+    assert.equal(loaded[0].title, 'Keynote');
+    assert.equal(loaded[1].place.floor, 'Level 2');
+    assert.deepEqual(
+      analyzeSchedule(loaded).overlaps.map(({ first, second }) => [first.title, second.title]),
+      [['Keynote', 'Passkeys Deep Dive']]
+    );
+  } finally {
+    await fs.remove(dir);
+  }
+});
@@ -0,0 +1,103 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { diagnosePage, diagnosePages, formatDoctorReport, snapshotPages, zeroMatches } from '../src/doctor.js';
+import { DEFAULT_SELECTOR_PROFILE, loadSelectorProfile } from '../src/selectors.js';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+import { PageSnapshot } from '../src/snapshot.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const read = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+const selectors = loadSelectorProfile(DEFAULT_SELECTOR_PROFILE);
+const counts = (report) => Object.fromEntries(report.checks.map(({ key, count }) => [key, count]));
+
+const AGENDA_URL = 'https://identiverse.com/idv26/agenda/';
+const WORKSHOP_URL = 'https://identiverse.com/idv26/continuous-identity-workshop/';
+const SPEAKER_URL = 'https://identiverse.com/idv26/speaker/?idvid=2162926';
+
+test('diagnosePage counts agenda selectors inside their scopes', () => {
+  const report = diagnosePage(read('agenda-sample.html'), selectors, 'agenda');
+  assert.equal(report.template, null);
+  const found = counts(report);
+  assert.equal(found.day, 2);
+  assert.equal(found.entry, 5);
+  assert.equal(found.speakerName, 4);
+  assert.equal(found.sessionIdAttribute, 5);
+  assert.deepEqual(zeroMatches([report]), []);
+});
+
+test('diagnosePage reports the detail template a page matched', () => {
+  assert.equal(diagnosePage(read('session-detail.html'), selectors, 'detail').template, 'standard');
+  assert.equal(diagnosePage(read('workshop-detail.html'), selectors, 'detail').template, 'workshop');
+  assert.equal(diagnosePage(read('summit-detail.html'), selectors, 'detail').template, 'hero-banner');
+
+  const unknown = diagnosePage('<main><h1>Redesigned</h1></main>', selectors, 'detail');
+  assert.equal(unknown.template, null);
+  assert.deepEqual(
+    zeroMatches([unknown]).map((check) => check.path),
+    ['detail.standard.detect', 'detail.workshop.detect', 'detail.hero-banner.detect']
+  );
+});
+
+test('optional selectors that match nothing are not reported as broken', () => {
+  const report = diagnosePage(read('speaker-detail.html'), selectors, 'speaker');
+  assert.equal(counts(report).company, 0);
+  assert.deepEqual(zeroMatches([report]), []);
+
+  const broken = diagnosePage('<div class="idvdetail"></div>', selectors, 'speaker');
+  assert.deepEqual(
+    zeroMatches([broken]).map((check) => check.key),
+    ['name', 'title', 'headshot', 'bio', 'sessionLink']
+  );
+});
+
+test('snapshotPages classifies snapshot pages by what the agenda links to', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'idv-doctor-'));
+  const snapshot = new PageSnapshot(dir);
+  snapshot.agendaUrl = AGENDA_URL;
+  await snapshot.write(AGENDA_URL, read('agenda-sample.html'));
+  await snapshot.write(WORKSHOP_URL, read('workshop-detail.html'));
+  await snapshot.write(SPEAKER_URL, read('speaker-detail.html'));
+  await snapshot.write('https://identiverse.com/idv26/unrelated/', '<p>Not linked</p>');
+  await snapshot.save();
+
+  const pages = await snapshotPages(dir, selectors, DEFAULT_CONFERENCE);
+  assert.deepEqual(
+    pages.map(({ url, kind }) => [kind, url]),
+    [
+      ['agenda', AGENDA_URL],
+      ['detail', WORKSHOP_URL],
+      ['speaker', SPEAKER_URL],
+    ]
+  );
+  await assert.rejects(snapshotPages(fixturesDir, selectors, DEFAULT_CONFERENCE), /No snapshot found/);
+});
+
+test('formatDoctorReport groups pages and lists the selectors that matched nothing', () => {
+  const sections = diagnosePages(
+    [
+      { url: 'a.html', kind: 'detail', html: read('session-detail.html') },
+      { url: 'b.html', kind: 'detail', html: '<main></main>' },
+      { url: 'agenda.html', kind: 'agenda', html: read('agenda-sample.html') },
+    ],
+    selectors
+  );
+  assert.deepEqual(
+    sections.map(({ kind, template, urls }) => [kind, template, urls]),
+    [
+      ['agenda', null, ['agenda.html']],
+      ['detail', null, ['b.html']],
+      ['detail', 'standard', ['a.html']],
+    ]
+  );
+
+  const report = formatDoctorReport(sections, selectors);
+  assert.match(report, /^Selector profile identiverse-2026 \(version 1\)/);
+  assert.match(report, /Detail pages matching no template \(1 page\)\n(.*\n){3} {4}b\.html/);
+  assert.match(report, /✓ entry +5 {2}\.sessionentry/);
+  assert.match(report, /3 selectors matched no elements: detail\.standard\.detect, detail\.workshop\.detect, detail\.hero-banner\.detect$/);
+  assert.match(formatDoctorReport(sections.slice(0, 1), selectors), /Every required selector matched\.$/);
+});
@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DateTime } from 'luxon';
+import { CSVExporter, JSONExporter, csvField, sessionRecord } from '../src/exporters.js';
+import { exportSessions } from '../src/pipeline.js';
+
+const zone = 'America/Los_Angeles';
+
+function session(overrides = {}) {
+  return {
+    title: 'Passkeys, Explained',
+    abstract: 'Line one\nLine "two"',
+    location: 'Mandalay Bay K',
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: 9 }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: 10 }, { zone }),
+    uid: 'identiverse-2026-event-7@identiverse.com',
+    sessionId: '7',
+    type: 'SESSION',
+    topics: ['topic-passkeys'],
+    speakers: [{ name: 'Jane Doe', title: 'CTO • Acme' }, 'John Roe'],
+    detailsUrl: 'https://identiverse.com/idv26/session/?idvid=7',
+    ...overrides,
+  };
+}
+
+test('sessionRecord flattens a processed session with ISO times', () => {
+  assert.deepEqual(sessionRecord(session()), {
+    sessionId: '7',
+    uid: 'identiverse-2026-event-7@identiverse.com',
+    title: 'Passkeys, Explained',
+    type: 'SESSION',
+    topics: ['topic-passkeys'],
+    date: '2026-06-16',
+    start: '2026-06-16T09:00:00-07:00',
+    end: '2026-06-16T10:00:00-07:00',
+    location: 'Mandalay Bay K',
+    speakers: [
+      { name: 'Jane Doe', title: 'CTO • Acme', jobTitle: 'CTO', company: 'Acme' },
+      { name: 'John Roe', title: null, jobTitle: null, company: null },
+    ],
+    detailsUrl: 'https://identiverse.com/idv26/session/?idvid=7',
+    abstract: 'Line one\nLine "two"',
+  });
+});
+
+test('JSONExporter sorts sessions and describes the conference', () => {
+  const early = session({ title: 'Early', startTime: session().startTime.minus({ hours: 1 }) });
+  const doc = new JSONExporter().build([session(), early]);
+  assert.deepEqual(doc.conference, { id: 'identiverse-2026', name: 'Identiverse 2026', timezone: zone });
+  assert.equal(doc.sessionCount, 2);
+  assert.deepEqual(doc.sessions.map((s) => s.title), ['Early', 'Passkeys, Explained']);
+});
+
+test('csvField quotes only when needed', () => {
+  assert.equal(csvField('plain'), 'plain');
+  assert.equal(csvField('a,b'), '"a,b"');
+  assert.equal(csvField('say "hi"'), '"say ""hi"""');
+  assert.equal(csvField(null), '');
+});
+
+test('csvField defuses cells a spreadsheet would run as formulas', () => {
+  assert.equal(csvField('=HYPERLINK("http://evil.example","x")'), `"'=HYPERLINK(""http://evil.example"",""x"")"`);
+  assert.equal(csvField('+1 234'), "'+1 234");
+  assert.equal(csvField('-Jane'), "'-Jane");
+  assert.equal(csvField('@SUM(A1)'), "'@SUM(A1)");
+  assert.equal(csvField('Identity = trust'), 'Identity = trust');
+  // Numbers are data, not text from the page
+  assert.equal(csvField(-5), '-5');
+
+  const csv = new CSVExporter().build([session({ title: '=cmd|calc', speakers: [{ name: '@attacker' }] })]);
+  assert.match(csv, /,'=cmd\|calc,/);
+  assert.match(csv, /'@attacker/);
+});
+
+test('CSVExporter writes a header and one quoted row per session', () => {
+  const lines = new CSVExporter().build([session()]).split('\r\n');
+  assert.equal(
+    lines[0],
+    'session_id,uid,date,start,end,title,type,topics,location,speakers,details_url,abstract'
+  );
+  assert.match(lines[1], /^7,identiverse-2026-event-7@identiverse\.com,2026-06-16,2026-06-16T09:00:00-07:00,/);
+  assert.match(lines[1], /,"Passkeys, Explained",SESSION,topic-passkeys,Mandalay Bay K,Jane Doe \(CTO • Acme\); John Roe,/);
+  // The abstract's newline stays inside its quoted field
+  assert.ok(lines[1].endsWith(',"Line one\nLine ""two"""'));
+  assert.deepEqual(lines.slice(2), ['']);
+});
+
+test('exportSessions names exports after the calendar', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'exports-'));
+  try {
+    const written = await exportSessions([session()], ['json', 'csv'], { calendarPath: path.join(dir, 'agenda.ics') });
+    assert.deepEqual(written, [path.join(dir, 'agenda.json'), path.join(dir, 'agenda.csv')]);
+    assert.equal((await fs.readJson(written[0])).sessions[0].sessionId, '7');
+    await assert.rejects(exportSessions([], ['xml'], { calendarPath: path.join(dir, 'a.ics') }), /Unknown export format/);
+  } finally {
+    await fs.remove(dir);
+  }
+});
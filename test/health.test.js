@@ -0,0 +1,50 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkScrapeHealth, normalizeHealthThresholds, DEFAULT_HEALTH } from '../src/health.js';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+
+const conference = DEFAULT_CONFERENCE;
+const sessions = (count, roomless = 0) =>
+  Array.from({ length: count }, (_, i) => ({
+    title: `Session ${i}`,
+    location: i < roomless ? conference.defaultLocation : 'Breakers L',
+  }));
+const events = (count, cancelled = 0) =>
+  Array.from({ length: count + cancelled }, (_, i) => ({ uid: `e${i}`, status: i < cancelled ? 'CANCELLED' : 'CONFIRMED' }));
+const thresholds = normalizeHealthThresholds({ minSessions: 10 });
+
+test('normalizeHealthThresholds applies defaults and rejects bad values', () => {
+  assert.deepEqual(normalizeHealthThresholds(), DEFAULT_HEALTH);
+  assert.equal(normalizeHealthThresholds({ minSessions: 150 }).minSessions, 150);
+  assert.equal(conference.health.minSessions, 150);
+  assert.throws(() => normalizeHealthThresholds({ minRoomFraction: 1.5 }), /"minRoomFraction" must be a number from 0 to 1/);
+  assert.throws(() => normalizeHealthThresholds({ minSessions: 2.5 }), /non-negative integer/);
+  assert.throws(() => normalizeHealthThresholds({ maxSessions: 5 }), /unknown health threshold "maxSessions"/);
+});
+
+test('checkScrapeHealth passes a healthy run and reports its metrics', () => {
+  const stats = { detailPages: 20, detailFailures: 2 };
+  const result = checkScrapeHealth({ sessions: sessions(20, 4), conference, previousEvents: events(21, 3), stats }, thresholds);
+  assert.deepEqual(result.problems, []);
+  assert.equal(result.metrics.previousSessions, 21);
+  assert.equal(Math.round(result.metrics.dropPercent), 5);
+  assert.equal(result.metrics.roomFraction, 0.8);
+});
+
+test('checkScrapeHealth explains each failed check', () => {
+  const stats = { detailPages: 20, detailFailures: 11 };
+  const { problems } = checkScrapeHealth({ sessions: sessions(8, 6), conference, previousEvents: events(20), stats }, thresholds);
+  assert.deepEqual(problems, [
+    'Only 8 sessions scraped; at least 10 expected',
+    'Session count dropped 60% (20 → 8) versus the previous calendar; at most 25% allowed',
+    '11 of 20 detail pages failed; at most 10 allowed',
+    'Only 25% of sessions have a room; at least 50% expected',
+  ]);
+});
+
+test('checkScrapeHealth skips checks it has nothing to measure against', () => {
+  const { metrics, problems } = checkScrapeHealth({ sessions: sessions(12), conference }, thresholds);
+  assert.deepEqual(problems, []);
+  assert.equal(metrics.previousSessions, null);
+  assert.equal(metrics.detailFailures, null);
+});
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { HTMLAgendaGenerator, escapeHtml, typeHue } from '../src/htmlAgenda.js';
+import { DataProcessor } from '../src/dataProcessor.js';
+
+const rawSessions = [
+  {
+    title: 'Opening Keynote',
+    date: '2026-06-15',
+    time: '9 am - 10 am',
+    sessionId: '1',
+    type: 'KEYNOTE',
+    location: 'Main Stage',
+    speakers: [{ name: 'Jane Doe', title: 'CEO • Acme' }],
+    detailsUrl: 'https://identiverse.com/idv26/session/?idvid=1',
+  },
+  { title: 'Passkeys <Deep Dive>', date: '2026-06-15', time: '10:30 am - 11:15 am', sessionId: '2', type: 'SESSION', location: 'Breakers I' },
+  { title: 'Workshop', date: '2026-06-16', time: '1 pm - 4 pm', sessionId: '3', type: 'WORKSHOP', location: 'Breakers J' },
+];
+
+const render = () => new HTMLAgendaGenerator().build(new DataProcessor().processAll(rawSessions).groupedSessions);
+
+test('escapeHtml escapes markup and quotes', () => {
+  assert.equal(escapeHtml(`<a href="x">'&'</a>`), '&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+  assert.equal(escapeHtml(null), '');
+});
+
+test('typeHue is stable per type', () => {
+  assert.equal(typeHue('KEYNOTE'), typeHue('KEYNOTE'));
+  assert.notEqual(typeHue('KEYNOTE'), typeHue('WORKSHOP'));
+});
+
+test('build renders one grid per day with rooms as columns', () => {
+  const html = render();
+  assert.match(html, /<title>Identiverse 2026 Agenda<\/title>/);
+  assert.match(html, /<h2>Monday, June 15<\/h2>/);
+  assert.match(html, /<h2>Tuesday, June 16<\/h2>/);
+  // Rooms sorted alphabetically: Breakers I is column 2, Main Stage column 3
+  assert.match(html, /<div class="room" style="grid-column: 2">Breakers I<\/div>/);
+  assert.match(html, /<div class="room" style="grid-column: 3">Main Stage<\/div>/);
+  // 9:00–10:00 starts on the first time row and spans 60 minutes of 5-minute slots
+  assert.match(html, /class="card" style="grid-column: 3; grid-row: 5 \/ 17;/);
+});
+
+test('overlapping sessions in one room get their own columns', () => {
+  const html = new HTMLAgendaGenerator().build(
+    new DataProcessor().processAll([
+      { title: 'Registration', date: '2026-06-15', time: '7 am - 5 pm', sessionId: '10', type: 'GENERAL', location: 'Foyer' },
+      { title: 'Morning Break', date: '2026-06-15', time: '10 am - 10:30 am', sessionId: '11', type: 'BREAK', location: 'Foyer' },
+      { title: 'Afternoon Break', date: '2026-06-15', time: '3 pm - 3:30 pm', sessionId: '12', type: 'BREAK', location: 'Foyer' },
+      { title: 'Keynote', date: '2026-06-15', time: '9 am - 10 am', sessionId: '13', type: 'KEYNOTE', location: 'Main Stage' },
+    ]).groupedSessions
+  );
+  const column = (title) =>
+    html
+      .split('<article')
+      .find((card) => card.includes(`<h3>${title}</h3>`))
+      .match(/grid-column: (\d+);/)[1];
+  assert.equal(column('Registration'), '2');
+  assert.equal(column('Morning Break'), '3');
+  // Both breaks fit in the second lane; the next room starts after it
+  assert.equal(column('Afternoon Break'), '3');
+  assert.equal(column('Keynote'), '4');
+  assert.match(html, /<div class="room" style="grid-column: 2 \/ span 2">Foyer<\/div>/);
+  assert.match(html, /grid-template-columns: 4\.5rem repeat\(3, minmax/);
+});
+
+test('cards link to details, list speakers and escape titles', () => {
+  const html = render();
+  assert.match(html, /<a href="https:\/\/identiverse\.com\/idv26\/session\/\?idvid=1">Opening Keynote<\/a>/);
+  assert.match(html, /<li>Jane Doe — CEO • Acme<\/li>/);
+  assert.match(html, /<h3>Passkeys &lt;Deep Dive&gt;<\/h3>/);
+  assert.doesNotMatch(html, /<Deep Dive>/);
+});
+
+test('page includes the text filter, type legend and print stylesheet', () => {
+  const html = render();
+  assert.match(html, /<input id="filter" type="search"/);
+  assert.match(html, /data-search="opening keynote keynote main stage jane doe"/);
+  assert.match(html, /<div class="legend">.*KEYNOTE.*SESSION.*WORKSHOP.*<\/div>/);
+  assert.match(html, /@media print/);
+  assert.match(html, /All times are in Pacific Daylight Time/);
+});
@@ -0,0 +1,138 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { IdentiverseScraper } from '../src/scraper.js';
+import { HttpCache } from '../src/httpCache.js';
+
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'idv-cache-'));
+
+/** Stub server that honors If-None-Match and records every request */
+async function startServer() {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    requests.push({ url: req.url, ifNoneMatch: req.headers['if-none-match'] });
+    if (req.headers['if-none-match'] === '"v1"') {
+      res.writeHead(304);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jun 2026 00:00:00 GMT' });
+    res.end(`<html>${req.url}</html>`);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { server, requests, url: `http://127.0.0.1:${server.address().port}/page` };
+}
+
+test('HttpCache stores validators and honors its TTL', async () => {
+  const cache = new HttpCache(tempDir(), { ttl: 1000 });
+  assert.equal(await cache.get('https://example.com/'), null);
+
+  await cache.set('https://example.com/', { body: 'x', etag: '"a"', lastModified: null });
+  const entry = await cache.get('https://example.com/');
+  assert.equal(entry.body, 'x');
+  assert.equal(entry.etag, '"a"');
+  assert.ok(cache.isFresh(entry));
+  assert.ok(!cache.isFresh({ ...entry, storedAt: Date.now() - 2000 }));
+});
+
+test('fetchPage serves fresh cache hits without a request', async () => {
+  const { server, requests, url } = await startServer();
+  try {
+    const cacheDir = tempDir();
+    const first = new IdentiverseScraper({ cacheDir });
+    assert.equal(await first.fetchPage(url), '<html>/page</html>');
+    assert.deepEqual(first.stats.cache, { fresh: 0, revalidated: 0, downloaded: 1 });
+
+    const second = new IdentiverseScraper({ cacheDir });
+    assert.equal(await second.fetchPage(url), '<html>/page</html>');
+    assert.deepEqual(second.stats.cache, { fresh: 1, revalidated: 0, downloaded: 0 });
+    assert.equal(requests.length, 1);
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchPage revalidates stale entries with a conditional request', async () => {
+  const { server, requests, url } = await startServer();
+  try {
+    const cacheDir = tempDir();
+    await new IdentiverseScraper({ cacheDir }).fetchPage(url);
+
+    const stale = new IdentiverseScraper({ cacheDir, cacheTtl: 0 });
+    assert.equal(await stale.fetchPage(url), '<html>/page</html>');
+    assert.deepEqual(stale.stats.cache, { fresh: 0, revalidated: 1, downloaded: 0 });
+    assert.equal(requests[1].ifNoneMatch, '"v1"');
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchPage with refresh ignores cached copies', async () => {
+  const { server, requests, url } = await startServer();
+  try {
+    const cacheDir = tempDir();
+    await new IdentiverseScraper({ cacheDir }).fetchPage(url);
+
+    const refreshing = new IdentiverseScraper({ cacheDir, refresh: true });
+    await refreshing.fetchPage(url);
+    assert.deepEqual(refreshing.stats.cache, { fresh: 0, revalidated: 0, downloaded: 1 });
+    assert.equal(requests[1].ifNoneMatch, undefined);
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchPage rejects a 304 when there is no cached copy, keeping the cache entry', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(304);
+    res.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/page`;
+  try {
+    const cacheDir = tempDir();
+    await new HttpCache(cacheDir).set(url, { body: '<html>cached</html>' });
+
+    const refreshing = new IdentiverseScraper({ cacheDir, refresh: true, retries: 0 });
+    await assert.rejects(refreshing.fetchPage(url), /304 Not Modified without a cached copy/);
+    assert.equal((await new HttpCache(cacheDir).get(url)).body, '<html>cached</html>');
+  } finally {
+    server.close();
+  }
+});
+
+test('fetchPage stores validators sent with a 304, keeping the old ones otherwise', async () => {
+  let validators = { ETag: '"v1"', 'Last-Modified': 'Mon, 01 Jun 2026 00:00:00 GMT' };
+  const server = http.createServer((req, res) => {
+    if (req.headers['if-none-match']) {
+      res.writeHead(304, validators);
+      res.end();
+      return;
+    }
+    res.writeHead(200, validators);
+    res.end('<html>page</html>');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/page`;
+  try {
+    const cacheDir = tempDir();
+    await new IdentiverseScraper({ cacheDir }).fetchPage(url);
+
+    validators = { ETag: '"v2"', 'Last-Modified': 'Tue, 02 Jun 2026 00:00:00 GMT' };
+    assert.equal(await new IdentiverseScraper({ cacheDir, cacheTtl: 0 }).fetchPage(url), '<html>page</html>');
+    let entry = await new HttpCache(cacheDir).get(url);
+    assert.equal(entry.etag, '"v2"');
+    assert.equal(entry.lastModified, 'Tue, 02 Jun 2026 00:00:00 GMT');
+    assert.equal(entry.body, '<html>page</html>');
+
+    validators = {};
+    await new IdentiverseScraper({ cacheDir, cacheTtl: 0 }).fetchPage(url);
+    entry = await new HttpCache(cacheDir).get(url);
+    assert.equal(entry.etag, '"v2"');
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,108 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { HttpClient, TokenBucket, backoffDelay, parseRetryAfter } from '../src/httpClient.js';
+
+/**
+ * Stub server answering each request with the next scripted response
+ * ({ status, headers, body, hang }); the last response repeats.
+ */
+async function startServer(script) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const step = script[Math.min(requests.length, script.length - 1)];
+    requests.push({ url: req.url, time: Date.now(), headers: req.headers });
+    if (step.hang) return; // never respond
+    res.writeHead(step.status, step.headers || {});
+    res.end(step.body || '');
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const close = () => {
+    server.closeAllConnections();
+    server.close();
+  };
+  return { requests, close, url: `http://127.0.0.1:${server.address().port}/page` };
+}
+
+const fastClient = (options = {}) =>
+  new HttpClient({ retryBaseDelay: 1, requestsPerSecond: 0, ...options });
+
+test('parseRetryAfter reads delta-seconds and HTTP dates', () => {
+  assert.equal(parseRetryAfter('2'), 2000);
+  const now = Date.parse('Mon, 15 Jun 2026 12:00:00 GMT');
+  assert.equal(parseRetryAfter('Mon, 15 Jun 2026 12:00:05 GMT', now), 5000);
+  assert.equal(parseRetryAfter(null), null);
+  assert.equal(parseRetryAfter('soon'), null);
+});
+
+test('backoffDelay grows exponentially with full jitter and a cap', () => {
+  const options = { baseDelay: 500, maxDelay: 3000 };
+  assert.equal(backoffDelay(0, options, () => 0.999999) < 500, true);
+  assert.equal(backoffDelay(2, options, () => 0.5), 1000);
+  assert.equal(backoffDelay(10, options, () => 0.5), 1500);
+  assert.equal(backoffDelay(3, options, () => 0), 0);
+});
+
+test('TokenBucket spaces requests once the burst is spent', async () => {
+  const bucket = new TokenBucket({ rate: 20, burst: 1 });
+  const start = Date.now();
+  await Promise.all([bucket.take(), bucket.take(), bucket.take()]);
+  // Burst of 1, then two tokens at 50 ms each
+  assert.ok(Date.now() - start >= 90, `took ${Date.now() - start} ms`);
+});
+
+test('get retries 503 responses and honors Retry-After', async () => {
+  const { requests, close, url } = await startServer([
+    { status: 503, headers: { 'Retry-After': '0' } },
+    { status: 429, headers: { 'Retry-After': '0' } },
+    { status: 200, headers: { ETag: '"x"' }, body: 'ok' },
+  ]);
+  try {
+    const res = await fastClient({ retryBaseDelay: 60000 }).get(url);
+    assert.equal(res.body, 'ok');
+    assert.equal(res.etag, '"x"');
+    assert.equal(requests.length, 3);
+  } finally {
+    close();
+  }
+});
+
+test('get does not retry client errors', async () => {
+  const { requests, close, url } = await startServer([{ status: 404 }]);
+  try {
+    await assert.rejects(fastClient().get(url), (error) => error.status === 404);
+    assert.equal(requests.length, 1);
+  } finally {
+    close();
+  }
+});
+
+test('get gives up after the configured number of retries', async () => {
+  const { requests, close, url } = await startServer([{ status: 500 }]);
+  try {
+    await assert.rejects(fastClient({ retries: 2 }).get(url), /HTTP 500/);
+    assert.equal(requests.length, 3);
+  } finally {
+    close();
+  }
+});
+
+test('get aborts requests that exceed the timeout', async () => {
+  const { close, url } = await startServer([{ hang: true }]);
+  try {
+    await assert.rejects(fastClient({ retries: 0, timeout: 100 }).get(url), /Timed out after 100 ms/);
+  } finally {
+    close();
+  }
+});
+
+test('get sends default and per-request headers', async () => {
+  const { requests, close, url } = await startServer([{ status: 200, body: 'ok' }]);
+  try {
+    await fastClient({ headers: { 'User-Agent': 'test-agent' } }).get(url, { 'If-None-Match': '"a"' });
+    assert.equal(requests[0].headers['user-agent'], 'test-agent');
+    assert.equal(requests[0].headers['if-none-match'], '"a"');
+  } finally {
+    close();
+  }
+});
@@ -1,7 +1,11 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { DateTime } from 'luxon';
+import { DateTime, Settings } from 'luxon';
 import { ICSGenerator, escapeIcsText, foldIcsLine } from '../src/icsGenerator.js';
+import { parseIcsEvents } from '../src/icsReader.js';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+import { resolveRoom } from '../src/venue.js';
+import { describeZone } from '../src/utils.js';
 
 test('escapeIcsText escapes backslashes, commas, semicolons and newlines', () => {
   assert.equal(escapeIcsText('a\\b'), 'a\\\\b');
@@ -56,6 +60,7 @@ test('createCalendar produces a 2026 calendar with the same structure as 2025',
   assert.match(ics, /DTEND;TZID=America\/Los_Angeles:20260615T100000/);
   assert.match(ics, /SUMMARY:Test Session \(PDT\)/);
   assert.match(ics, /X-MICROSOFT-CDO-BUSYSTATUS:BUSY/);
+  assert.match(ics, /X-MICROSOFT-CDO-TZID:Pacific Standard Time/);
   assert.match(ics, /CATEGORIES:SESSION/);
   // RFC 5545: no raw newlines inside DESCRIPTION — must be escaped
   assert.match(ics, /DESCRIPTION:First line\\nSecond line\\, with comma/);
@@ -65,9 +70,150 @@ test('createCalendar produces a 2026 calendar with the same structure as 2025',
   }
 });
 
+test('zone names stay English under a non-English default locale', () => {
+  const saved = Settings.defaultLocale;
+  Settings.defaultLocale = 'de-DE';
+  try {
+    const session = sampleSession();
+    const ics = new ICSGenerator().createCalendar([session]);
+    assert.match(ics, /SUMMARY:Test Session \(PDT\)/);
+    assert.match(ics, /TZNAME:PDT/);
+    assert.equal(describeZone(session.startTime.setZone('America/Los_Angeles')), 'Pacific Daylight Time (PDT / UTC-7)');
+  } finally {
+    Settings.defaultLocale = saved;
+  }
+});
+
 test('createCalendar uses CRLF line endings throughout', () => {
   const ics = new ICSGenerator().createCalendar([sampleSession()]);
   assert.ok(!/[^\r]\n/.test(ics), 'found LF without preceding CR');
   assert.match(ics, /^BEGIN:VCALENDAR\r\n/);
   assert.match(ics, /END:VCALENDAR$/);
 });
+
+test('createCalendar keeps SEQUENCE and DTSTAMP for unchanged events', () => {
+  const generator = new ICSGenerator();
+  const previous = parseIcsEvents(generator.createCalendar([sampleSession()]));
+  const previousStamp = generator.formatUtcTime(previous[0].dtstamp);
+
+  const ics = generator.createCalendar([sampleSession()], previous);
+  assert.match(ics, /SEQUENCE:0\r\n/);
+  assert.match(ics, new RegExp(`DTSTAMP:${previousStamp}\\r\\n`));
+});
+
+test('createCalendar bumps SEQUENCE when time or location changes', () => {
+  const generator = new ICSGenerator();
+  const previous = parseIcsEvents(generator.createCalendar([sampleSession()]));
+
+  const moved = { ...sampleSession(), location: 'Breakers L' };
+  assert.match(generator.createCalendar([moved], previous), /SEQUENCE:1\r\n/);
+
+  const later = sampleSession();
+  later.startTime = later.startTime.plus({ hours: 1 });
+  later.endTime = later.endTime.plus({ hours: 1 });
+  assert.match(generator.createCalendar([later], previous), /SEQUENCE:1\r\n/);
+});
+
+test('createCalendar cancels events that disappeared from the agenda', () => {
+  const generator = new ICSGenerator();
+  const other = { ...sampleSession(), uid: 'identiverse-2026-event-2@identiverse.com', title: 'Other' };
+  const previous = parseIcsEvents(generator.createCalendar([sampleSession(), other]));
+
+  const ics = generator.createCalendar([sampleSession()], previous);
+  const events = parseIcsEvents(ics);
+  const cancelled = events.find(e => e.uid === 'identiverse-2026-event-2@identiverse.com');
+  assert.ok(cancelled, 'removed session should still be published');
+  assert.equal(cancelled.status, 'CANCELLED');
+  assert.equal(cancelled.sequence, 1);
+  assert.equal(cancelled.summary, 'Other (PDT)');
+  assert.equal(events.find(e => e.uid === sampleSession().uid).status, 'CONFIRMED');
+
+  // A second run keeps the cancellation without bumping it again
+  const again = parseIcsEvents(generator.createCalendar([sampleSession()], events));
+  assert.equal(again.find(e => e.status === 'CANCELLED').sequence, 1);
+});
+
+test('createCalendar writes times and the VTIMEZONE in the conference timezone', () => {
+  const conference = { ...DEFAULT_CONFERENCE, timezone: 'Europe/Berlin' };
+  const session = {
+    ...sampleSession(),
+    startTime: DateTime.fromObject({ year: 2026, month: 10, day: 25, hour: 9 }, { zone: 'Europe/Berlin' }),
+    endTime: DateTime.fromObject({ year: 2026, month: 10, day: 25, hour: 10 }, { zone: 'Europe/Berlin' }),
+  };
+  const ics = new ICSGenerator({ conference }).createCalendar([session]);
+  assert.match(ics, /X-WR-TIMEZONE:Europe\/Berlin/);
+  assert.match(ics, /X-MICROSOFT-CDO-TZID:W\. Europe Standard Time/);
+  assert.match(ics, /BEGIN:STANDARD\r\nDTSTART:20261025T030000\r\nTZOFFSETFROM:\+0200\r\nTZOFFSETTO:\+0100/);
+  assert.match(ics, /DTSTART;TZID=Europe\/Berlin:20261025T090000/);
+  assert.doesNotMatch(ics, /America\/Los_Angeles|Pacific/);
+});
+
+test('attendee variant shows both zones, drops the summary suffix and keeps UIDs', () => {
+  const session = {
+    ...sampleSession(),
+    description: 'About identity.\n\nAll times are in Pacific Daylight Time (PDT / UTC-7)',
+  };
+  const ics = new ICSGenerator({ attendeeZone: 'America/New_York' }).createCalendar([session]);
+  const [event] = parseIcsEvents(ics);
+  assert.equal(event.uid, 'identiverse-2026-event-1@identiverse.com');
+  assert.equal(event.summary, 'Test Session');
+  assert.equal(
+    event.description,
+    'Mon, Jun 15, 12:00 PM – 1:00 PM EDT (America/New_York)\n' +
+      'Mon, Jun 15, 9:00 AM – 10:00 AM PDT (conference time)\n\n' +
+      'About identity.'
+  );
+  assert.match(ics, /X-WR-TIMEZONE:America\/New_York/);
+  // Event times stay in the conference zone
+  assert.match(ics, /DTSTART;TZID=America\/Los_Angeles:20260615T090000/);
+});
+
+test('speakers are written as X-SPEAKER properties, and as ATTENDEE when enabled', () => {
+  const session = {
+    ...sampleSession(),
+    speakers: [{ name: 'Doe, Jane', title: 'CTO; Founder • Acme' }, 'John Roe'],
+  };
+  const unfold = (ics) => ics.replace(/\r\n /g, '');
+  const ics = unfold(new ICSGenerator({ speakerAttendees: true }).createCalendar([session]));
+  assert.match(
+    ics,
+    /ATTENDEE;CN="Doe, Jane";CUTYPE=INDIVIDUAL;ROLE=REQ-PARTICIPANT;PARTSTAT=ACCEPTED;RSVP=FALSE:urn:x-speaker:doe-jane/
+  );
+  assert.match(ics, /X-SPEAKER;X-JOB-TITLE="CTO; Founder";X-COMPANY=Acme:Doe\\, Jane/);
+  assert.match(ics, /X-SPEAKER:John Roe/);
+
+  const withoutAttendees = unfold(new ICSGenerator().createCalendar([session]));
+  assert.doesNotMatch(withoutAttendees, /ATTENDEE/);
+  assert.match(withoutAttendees, /X-SPEAKER:John Roe/);
+});
+
+test('a venue map adds the full address, GEO and an Apple structured location', () => {
+  const venue = DEFAULT_CONFERENCE.venue;
+  const session = { ...sampleSession(), place: resolveRoom(venue, 'Mandalay Bay K') };
+  const ics = new ICSGenerator().createCalendar([session]).replace(/\r\n /g, '');
+  assert.match(
+    ics,
+    /LOCATION:Mandalay Bay K\\, Level 2\\, Mandalay Bay Convention Center\\, 3950 S Las Vegas Blvd\\, Las Vegas\\, NV 89119\\, USA/
+  );
+  assert.match(ics, /GEO:36\.0909;-115\.1757/);
+  assert.match(
+    ics,
+    /X-APPLE-STRUCTURED-LOCATION;VALUE=URI;X-ADDRESS="3950 S Las Vegas Blvd, Las Vegas, NV 89119, USA";X-APPLE-RADIUS=150;X-TITLE=Mandalay Bay K:geo:36\.0909,-115\.1757/
+  );
+  assert.equal(parseIcsEvents(ics)[0].room, 'Mandalay Bay K');
+
+  // Without a venue map the room text is written as is
+  const plain = new ICSGenerator().createCalendar([sampleSession()]);
+  assert.match(plain, /LOCATION:Mandalay Bay K\r\n/);
+  assert.doesNotMatch(plain, /GEO:/);
+});
+
+test('transparent sessions are written as free time and versioned', () => {
+  const busy = new ICSGenerator().createCalendar([sampleSession()]);
+  const free = new ICSGenerator().createCalendar([{ ...sampleSession(), transparent: true }], parseIcsEvents(busy));
+  assert.match(free, /TRANSP:TRANSPARENT/);
+  assert.match(free, /X-MICROSOFT-CDO-BUSYSTATUS:FREE/);
+  assert.match(free, /STATUS:CONFIRMED/);
+  assert.match(free, /SEQUENCE:1/);
+  assert.equal(parseIcsEvents(free)[0].transparency, 'TRANSPARENT');
+});
@@ -0,0 +1,45 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseIcsEvents } from '../src/icsReader.js';
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+test('parseIcsEvents reads TZID times as Las Vegas wall-clock time', () => {
+  const ics = fs.readFileSync(path.join(rootDir, 'identiverse-2026-agenda.ics'), 'utf8');
+  const events = parseIcsEvents(ics);
+  assert.equal(events.length, 263);
+
+  const workshop = events.find(e => e.uid === 'identiverse-2026-event-3822721@identiverse.com');
+  assert.ok(workshop);
+  assert.equal(workshop.start.toFormat('yyyy-MM-dd HH:mm'), '2026-06-15 08:30');
+  assert.equal(workshop.start.zoneName, 'America/Los_Angeles');
+  assert.equal(workshop.end.toFormat('HH:mm'), '12:00');
+  assert.equal(workshop.location, 'Mandalay Bay K');
+  assert.equal(workshop.sequence, 0);
+  assert.equal(workshop.status, 'CONFIRMED');
+  assert.deepEqual(workshop.categories, ['WORKSHOP']);
+});
+
+test('parseIcsEvents unescapes text values', () => {
+  const ics = [
+    'BEGIN:VCALENDAR',
+    'BEGIN:VEVENT',
+    'UID:x@identiverse.com',
+    'SEQUENCE:3',
+    'DTSTART;TZID=America/Los_Angeles:20260616T090000',
+    'DTEND;TZID=America/Los_Angeles:20260616T100000',
+    'LOCATION:Mandalay Bay\\, Las Vegas\\, NV',
+    'DESCRIPTION:a\\nb\\; c',
+    'STATUS:CANCELLED',
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ].join('\r\n');
+  const [event] = parseIcsEvents(ics);
+  assert.equal(event.location, 'Mandalay Bay, Las Vegas, NV');
+  assert.equal(event.description, 'a\nb; c');
+  assert.equal(event.sequence, 3);
+  assert.equal(event.status, 'CANCELLED');
+});
@@ -0,0 +1,106 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { ICSGenerator } from '../src/icsGenerator.js';
+import { validateCalendar } from '../src/icsValidator.js';
+import { parseIcsEvents } from '../src/icsReader.js';
+
+function session(id, hour = 9) {
+  const zone = 'UTC-7';
+  return {
+    title: `Session ${id}`,
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: hour + 1 }, { zone }),
+    uid: `identiverse-2026-event-${id}@identiverse.com`,
+  };
+}
+
+test('validateCalendar accepts generated calendars', () => {
+  const ics = new ICSGenerator().createCalendar([session(1), session(2, 11)]);
+  assert.deepEqual(validateCalendar(ics), { eventCount: 2, problems: [] });
+});
+
+test('validateCalendar reports duplicate UIDs and inverted times', () => {
+  const inverted = { ...session(2), endTime: session(2).startTime.minus({ hours: 1 }) };
+  const ics = new ICSGenerator().createCalendar([session(1), session(1, 11), inverted]);
+  const { problems } = validateCalendar(ics);
+  assert.ok(problems.includes('Duplicate UID: identiverse-2026-event-1@identiverse.com'));
+  assert.ok(problems.includes('identiverse-2026-event-2@identiverse.com: DTEND is not after DTSTART'));
+});
+
+test('validateCalendar rejects content that is not a calendar', () => {
+  const { problems } = validateCalendar('hello');
+  assert.ok(problems.includes('Calendar does not start with BEGIN:VCALENDAR'));
+  assert.ok(problems.includes('Calendar contains no events'));
+});
+
+/** A valid calendar with one event, its lines editable before joining */
+function calendarLines(extra = []) {
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Test//EN',
+    'BEGIN:VEVENT',
+    'UID:event-1@test',
+    'DTSTAMP:20260101T000000Z',
+    'DTSTART:20260616T160000Z',
+    'DTEND:20260616T170000Z',
+    'SUMMARY:Keynote',
+    ...extra,
+    'END:VEVENT',
+    'END:VCALENDAR',
+  ];
+}
+
+test('validateCalendar checks line endings and folding', () => {
+  const lf = validateCalendar(calendarLines().join('\n'));
+  assert.ok(lf.problems.includes('10 line(s) end with a bare CR or LF instead of CRLF (first at line 1)'));
+
+  const long = `DESCRIPTION:${'x'.repeat(80)}`;
+  const { problems } = validateCalendar(calendarLines([long]).join('\r\n'));
+  assert.ok(problems.includes('line 10: 92 octets, longer than 75 (not folded)'));
+  assert.ok(problems.includes('line 10: DESCRIPTION is not folded as foldIcsLine would fold it'));
+});
+
+test('validateCalendar checks TEXT escaping', () => {
+  const { problems } = validateCalendar(calendarLines(['DESCRIPTION:a;b \\x', 'CATEGORIES:Panel,AI']).join('\r\n'));
+  assert.deepEqual(problems, ['line 10: DESCRIPTION has unescaped ";", invalid escape "\\x"']);
+});
+
+test('validateCalendar round-trips generated text and folding', () => {
+  const nasty = {
+    ...session(1),
+    title: 'Keys; locks, and \\ backslashes — “quoted” ✓',
+    description: `Line one\nLine two; with, punctuation \\n literal\n${'é'.repeat(60)}`,
+    location: 'Breakers L, Level 2',
+  };
+  assert.deepEqual(validateCalendar(new ICSGenerator().createCalendar([nasty])).problems, []);
+});
+
+test('validateCalendar checks components and required properties', () => {
+  const lines = calendarLines().filter((line) => !line.startsWith('DTSTAMP') && line !== 'END:VEVENT');
+  const { problems } = validateCalendar(lines.join('\r\n'));
+  assert.ok(problems.includes('line 9: END:VCALENDAR closes BEGIN:VEVENT from line 4'));
+  assert.ok(problems.includes('line 1: BEGIN:VCALENDAR is never closed'));
+  assert.ok(problems.includes('line 4: VEVENT is missing DTSTAMP'));
+
+  const zoned = calendarLines(['BEGIN:VALARM', 'ACTION:DISPLAY', 'TRIGGER:-PT10M', 'END:VALARM']).map((line) =>
+    line.replace(/^DTSTART:(\d+T\d+)Z$/, 'DTSTART;TZID=America/Los_Angeles:$1')
+  );
+  const zonedProblems = validateCalendar(zoned.join('\r\n')).problems;
+  assert.ok(zonedProblems.includes('line 7: DTSTART uses TZID America/Los_Angeles with no VTIMEZONE'));
+  assert.ok(zonedProblems.includes('line 10: DISPLAY alarm is missing DESCRIPTION'));
+});
+
+test('validateCalendar checks conference dates and duplicate title and time pairs', () => {
+  const early = { ...session(3), startTime: session(3).startTime.minus({ days: 30 }), endTime: session(3).endTime.minus({ days: 30 }) };
+  const twin = { ...session(4), title: 'Session 1' };
+  // A session dropped from the agenda is kept as CANCELLED, which is no duplicate
+  const dropped = parseIcsEvents(new ICSGenerator().createCalendar([{ ...session(5), title: 'Session 1' }]));
+  const ics = new ICSGenerator().createCalendar([session(1), early, twin], dropped);
+  const { problems } = validateCalendar(ics);
+  assert.deepEqual(problems, [
+    'identiverse-2026-event-3@identiverse.com: 2026-05-17 is outside the conference dates (2026-06-15 to 2026-06-18)',
+    'identiverse-2026-event-4@identiverse.com: same title and start time as identiverse-2026-event-1@identiverse.com (Session 1 (PDT))',
+  ]);
+});
@@ -0,0 +1,28 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+import { generateCalendars, processSessions } from '../src/pipeline.js';
+
+const rawSessions = [
+  { title: 'Opening Keynote', date: '2026-06-15', time: '9 am - 10 am', sessionId: '1', type: 'KEYNOTE', location: 'Main Stage', speakers: [] },
+  { title: 'Passkeys', date: '2026-06-15', time: '10:30 am - 11:15 am', sessionId: '2', type: 'SESSION', location: 'Breakers I', speakers: [] },
+];
+
+test('without a release refresh, events are versioned against the previous output only', async () => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-'));
+  const outputPath = path.join(dir, 'agenda.ics');
+  const { sessions } = processSessions(rawSessions, DEFAULT_CONFERENCE);
+
+  const first = await generateCalendars(sessions, { outputPath, release: false });
+  assert.equal(first.releaseUpdated, false);
+  // The committed release calendar lists hundreds of other sessions; none may come back as cancelled
+  assert.doesNotMatch(await fs.readFile(outputPath, 'utf8'), /STATUS:CANCELLED/);
+
+  await generateCalendars(sessions.slice(0, 1), { outputPath, release: false });
+  const ics = await fs.readFile(outputPath, 'utf8');
+  assert.equal(ics.match(/STATUS:CANCELLED/g).length, 1);
+  assert.match(ics, /SUMMARY:Passkeys \(PDT\)[^]*?STATUS:CANCELLED/);
+});
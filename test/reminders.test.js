@@ -0,0 +1,113 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import os from 'os';
+import path from 'path';
+import fs from 'fs-extra';
+import { DateTime } from 'luxon';
+import {
+  formatTrigger,
+  loadReminderRules,
+  normalizeReminderRules,
+  parseLeadTime,
+  remindersFor,
+} from '../src/reminders.js';
+import { ICSGenerator } from '../src/icsGenerator.js';
+import { parseIcsEvents } from '../src/icsReader.js';
+import { validateCalendar } from '../src/icsValidator.js';
+
+const zone = 'America/Los_Angeles';
+const rules = normalizeReminderRules({
+  default: ['10m'],
+  types: { WORKSHOP: ['30m', '1d'], 'tech-theater': [], networking: ['5'] },
+});
+
+function session(type, topics = []) {
+  return {
+    title: `A ${type}`,
+    description: 'Session description',
+    location: 'Mandalay Bay K',
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 15, hour: 9 }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 15, hour: 10 }, { zone }),
+    uid: `identiverse-2026-${type.toLowerCase()}@identiverse.com`,
+    type,
+    topics,
+  };
+}
+
+test('parseLeadTime accepts minutes and unit strings', () => {
+  assert.equal(parseLeadTime(10), 10);
+  assert.equal(parseLeadTime('15'), 15);
+  assert.equal(parseLeadTime('2h'), 120);
+  assert.equal(parseLeadTime('1d'), 1440);
+  assert.equal(parseLeadTime('1H30M'), 90);
+  assert.throws(() => parseLeadTime('0m'), /Invalid reminder lead time: 0m/);
+  assert.throws(() => parseLeadTime('soon'), /Invalid reminder lead time/);
+});
+
+test('formatTrigger writes negative ICS durations', () => {
+  assert.equal(formatTrigger(10), '-PT10M');
+  assert.equal(formatTrigger(90), '-PT1H30M');
+  assert.equal(formatTrigger(1440), '-P1D');
+  assert.equal(formatTrigger(1440 + 120), '-P1DT2H');
+});
+
+test('remindersFor picks the type, then a topic, then the default', () => {
+  assert.deepEqual(remindersFor(session('WORKSHOP'), rules), [1440, 30]);
+  assert.deepEqual(remindersFor(session('TECH THEATER'), rules), []);
+  assert.deepEqual(remindersFor(session('SESSION', ['networking']), rules), [5]);
+  assert.deepEqual(remindersFor(session('KEYNOTE'), rules), [10]);
+  assert.deepEqual(remindersFor(session('KEYNOTE'), normalizeReminderRules({ types: { workshop: ['1h'] } })), []);
+});
+
+test('normalizeReminderRules and loadReminderRules reject malformed files', async () => {
+  assert.throws(() => normalizeReminderRules({ default: '10m' }, 'test'), /test: "default" must be a list/);
+  assert.throws(() => normalizeReminderRules({ types: { workshop: ['later'] } }), /Invalid reminder lead time: later/);
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'reminders-'));
+  try {
+    const file = path.join(dir, 'reminders.json');
+    await fs.writeJson(file, { types: { networking: [] } });
+    await assert.rejects(loadReminderRules(file), /sets no lead times/);
+    await fs.writeJson(file, { default: ['10m'] });
+    assert.deepEqual((await loadReminderRules(file)).default, [10]);
+  } finally {
+    await fs.remove(dir);
+  }
+});
+
+test('reminders add VALARMs only when configured', () => {
+  const sessions = [session('WORKSHOP'), session('TECH THEATER')];
+  const ics = new ICSGenerator({ reminders: rules }).createCalendar(sessions);
+  const workshop = ics.slice(ics.indexOf('UID:identiverse-2026-workshop'), ics.indexOf('END:VEVENT'));
+  assert.match(
+    workshop,
+    /BEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:A WORKSHOP \(PDT\)\r\nTRIGGER:-P1D\r\nEND:VALARM\r\nBEGIN:VALARM\r\nACTION:DISPLAY\r\nDESCRIPTION:A WORKSHOP \(PDT\)\r\nTRIGGER:-PT30M\r\nEND:VALARM/
+  );
+  assert.equal(ics.match(/BEGIN:VALARM/g).length, 2, 'tech theater sessions get no alarm');
+
+  // Alarm text does not leak into the event's own fields
+  assert.equal(parseIcsEvents(ics)[0].description, 'Session description');
+  assert.deepEqual(validateCalendar(ics).problems, []);
+  assert.doesNotMatch(new ICSGenerator().createCalendar(sessions), /VALARM/);
+});
+
+test('turning reminders on or changing them bumps SEQUENCE', () => {
+  const sessions = [session('WORKSHOP'), session('TECH THEATER')];
+  const sequences = (ics) => Object.fromEntries(parseIcsEvents(ics).map((event) => [event.uid, event.sequence]));
+  const plain = parseIcsEvents(new ICSGenerator().createCalendar(sessions));
+
+  const withAlarms = new ICSGenerator({ reminders: rules }).createCalendar(sessions, plain);
+  assert.deepEqual(parseIcsEvents(withAlarms)[0].alarms, ['-P1D', '-PT30M']);
+  // Only the workshop gained alarms
+  assert.deepEqual(sequences(withAlarms), {
+    'identiverse-2026-workshop@identiverse.com': 1,
+    'identiverse-2026-tech theater@identiverse.com': 0,
+  });
+
+  const again = new ICSGenerator({ reminders: rules }).createCalendar(sessions, parseIcsEvents(withAlarms));
+  assert.equal(sequences(again)['identiverse-2026-workshop@identiverse.com'], 1);
+
+  const shorter = normalizeReminderRules({ types: { workshop: ['15m'] } });
+  const changed = new ICSGenerator({ reminders: shorter }).createCalendar(sessions, parseIcsEvents(again));
+  assert.equal(sequences(changed)['identiverse-2026-workshop@identiverse.com'], 2);
+});
@@ -3,7 +3,7 @@ import assert from 'node:assert/strict';
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
-import { parseAgendaSessions, parseDetailPage } from '../src/scraper.js';
+import { IdentiverseScraper, parseAgendaSessions, parseDetailPage, parseSpeakerPage } from '../src/scraper.js';
 
 const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
 const read = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
@@ -66,3 +66,82 @@ test('parseDetailPage reads the workshop template', () => {
   assert.equal(detail.time, '8:30 AM - 12:30 PM');
   assert.match(detail.description, /What does it actually take to build a modern IAM ecosystem\?/);
 });
+
+test('parseAgendaSessions preserves raw topic-* classes as topics', () => {
+  const sessions = parseAgendaSessions(read('agenda-sample.html'));
+  const workshop = sessions.find(s => s.sessionId === '3822721');
+  assert.deepEqual(workshop.topics, ['workshop']);
+  const breakfast = sessions.find(s => s.sessionId === '3964034');
+  assert.deepEqual(breakfast.topics, ['networking']);
+});
+
+test('parseAgendaSessions resolves relative detail URLs against the page URL', () => {
+  const sessions = parseAgendaSessions(read('agenda-sample.html'), 'https://example.com/idv27/agenda/');
+  const relative = sessions.find(s => s.sessionId === '4081865');
+  assert.equal(relative.detailsUrl, 'https://example.com/idv26/session/?idvid=4081865');
+});
+
+test('parseAgendaSessions links speakers to their profile pages', () => {
+  const sessions = parseAgendaSessions(read('agenda-sample.html'));
+  const [speaker] = sessions.find(s => s.sessionId === '3822721').speakers;
+  assert.equal(speaker.profileUrl, 'https://identiverse.com/idv26/speaker/?idvid=2162926');
+  assert.equal(speaker.speakerId, '2162926');
+  assert.equal(speaker.headshotUrl, 'https://assets.swoogo.com/uploads/medium/7026720-6a076a5a056f1.jpeg');
+});
+
+const SPEAKER_URL = 'https://identiverse.com/idv26/speaker/?idvid=2162926';
+
+test('parseSpeakerPage reads the profile, bio and session links', () => {
+  const speaker = parseSpeakerPage(read('speaker-detail.html'), SPEAKER_URL);
+  assert.equal(speaker.name, 'Andrew Cameron');
+  assert.equal(speaker.title, 'Distinguished Engineer, IAM • GM');
+  assert.equal(speaker.headshotUrl, 'https://assets.swoogo.com/uploads/medium/7026720-6a076a5a056f1.jpeg');
+  assert.match(speaker.bio, /^Andrew leads identity/);
+  assert.match(speaker.bio, /building & operating/);
+  // The navigation's session link is outside the profile and ignored
+  assert.deepEqual(speaker.sessions, [
+    {
+      sessionId: '3822721',
+      title: 'Securing the Software-Defined Vehicle',
+      url: 'https://identiverse.com/idv26/session/?idvid=3822721',
+    },
+    {
+      sessionId: '3822799',
+      title: 'Workforce Identity Roundtable',
+      url: 'https://identiverse.com/idv26/session/?idvid=3822799',
+    },
+  ]);
+});
+
+test('parseSpeakerPage returns empty fields for other pages', () => {
+  const speaker = parseSpeakerPage('<html><body><p>Not found</p></body></html>', SPEAKER_URL);
+  assert.equal(speaker.name, null);
+  assert.deepEqual(speaker.sessions, []);
+});
+
+test('enrichWithSpeakers fetches each profile once and merges it into every appearance', async () => {
+  const scraper = new IdentiverseScraper({ requestsPerSecond: 0 });
+  const fetched = [];
+  scraper.fetchPage = async (url) => {
+    fetched.push(url);
+    if (url !== SPEAKER_URL) throw new Error('HTTP 404');
+    return read('speaker-detail.html');
+  };
+  const sessions = [
+    { speakers: [{ name: 'Andrew Cameron', title: 'Distinguished Engineer, IAM • GM', profileUrl: SPEAKER_URL }] },
+    { speakers: [{ name: 'Andrew Cameron', title: '', profileUrl: SPEAKER_URL }] },
+    { speakers: [{ name: 'Jane Doe', profileUrl: 'https://identiverse.com/idv26/speaker/?idvid=9' }] },
+  ];
+
+  await scraper.enrichWithSpeakers(sessions);
+  assert.deepEqual(fetched.sort(), [SPEAKER_URL, 'https://identiverse.com/idv26/speaker/?idvid=9']);
+  assert.equal(scraper.stats.speakerPages, 2);
+  assert.equal(scraper.stats.speakerFailures, 1);
+
+  const [first, second, unknown] = sessions.map(s => s.speakers[0]);
+  assert.match(first.bio, /^Andrew leads identity/);
+  assert.equal(first.profileSessions.length, 2);
+  assert.equal(second.title, 'Distinguished Engineer, IAM • GM');
+  assert.match(second.headshotUrl, /7026720/);
+  assert.equal(unknown.bio, undefined);
+});
@@ -0,0 +1,43 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeSelection, filterSessions, selectionRank } from '../src/selection.js';
+
+const sessions = [
+  { title: 'Continuous Identity in Practice Workshop', sessionId: '3822721', speakers: [{ name: 'Andrew Cameron', title: 'GM' }] },
+  { title: 'Sponsored by SDG: Puppy Yoga', sessionId: '4081865', speakers: [] },
+  { title: 'Breakfast', sessionId: '3964034', speakers: [] },
+  { title: 'MCP Hackathon', sessionId: '3822722', speakers: [{ name: 'Nick Steele', title: 'OpenAI' }] },
+];
+
+test('filterSessions selects by session id, title substring and speaker name', () => {
+  const selection = normalizeSelection({
+    sessionIds: ['3964034'],
+    titles: ['puppy yoga'],
+    speakers: ['nick steele'],
+  });
+  const { sessions: selected, unmatched } = filterSessions(sessions, selection);
+  assert.deepEqual(selected.map(s => s.sessionId), ['4081865', '3964034', '3822722']);
+  assert.deepEqual(unmatched, []);
+});
+
+test('filterSessions reports selection entries that matched nothing', () => {
+  const selection = normalizeSelection({ sessionIds: ['999', ' '], speakers: ['Andrew Cameron'] });
+  const { sessions: selected, unmatched } = filterSessions(sessions, selection);
+  assert.deepEqual(selected.map(s => s.sessionId), ['3822721']);
+  assert.deepEqual(unmatched, ['sessionId:999']);
+});
+
+test('selectionRank prefers session IDs over titles over speakers', () => {
+  const selection = normalizeSelection({ sessionIds: ['3964034'], titles: ['workshop'], speakers: ['Andrew Cameron'] });
+  assert.equal(selectionRank(sessions[2], selection), 3);
+  assert.equal(selectionRank(sessions[0], selection), 2); // title and speaker both match
+  assert.equal(selectionRank(sessions[3], normalizeSelection({ speakers: ['nick-steele'] })), 1);
+  assert.equal(selectionRank(sessions[1], selection), 0);
+});
+
+test('filterSessions matches speakers by whole name or slug only', () => {
+  const selection = normalizeSelection({ speakers: ['NICK STEELE', 'andrew-cameron', 'Nick', 'Cameron'] });
+  const { sessions: selected, unmatched } = filterSessions(sessions, selection);
+  assert.deepEqual(selected.map(s => s.sessionId), ['3822721', '3822722']);
+  assert.deepEqual(unmatched, ['speaker:Nick', 'speaker:Cameron']);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DEFAULT_SELECTOR_PROFILE, loadSelectorProfile, validateSelectorProfile } from '../src/selectors.js';
+import { loadConference } from '../src/conference.js';
+
+const bundled = loadSelectorProfile(DEFAULT_SELECTOR_PROFILE);
+// A mutable copy to break in each test
+const copy = () => JSON.parse(JSON.stringify(bundled));
+
+test('the bundled selector profile loads and is named by the conference profiles', () => {
+  assert.equal(bundled.id, 'identiverse-2026');
+  assert.equal(bundled.version, 1);
+  assert.deepEqual(
+    bundled.detail.templates.map(({ name, layout }) => [name, layout]),
+    [
+      ['standard', 'entry-details'],
+      ['workshop', 'labelled'],
+      ['hero-banner', 'panel'],
+    ]
+  );
+  assert.equal(loadConference('identiverse-2026').selectors.id, 'identiverse-2026');
+  // No 2025 page has been checked against a profile
+  assert.equal(loadConference('identiverse-2025').selectors, null);
+  assert.throws(() => loadSelectorProfile('identiverse-1999'), /Selector profile not found/);
+});
+
+test('validateSelectorProfile rejects unsupported versions and unknown keys', () => {
+  assert.throws(() => validateSelectorProfile({ ...copy(), version: 2 }), /"version" must be 1 \(got 2\)/);
+  const typo = copy();
+  typo.agenda.titel = '.sessionname';
+  assert.throws(() => validateSelectorProfile(typo), /agenda: unknown key "titel"/);
+  assert.throws(
+    () => validateSelectorProfile({ ...copy(), optional: ['speaker.twitter'] }),
+    /"optional" names an unknown selector "speaker.twitter"/
+  );
+});
+
+test('validateSelectorProfile rejects missing and malformed selectors', () => {
+  const missing = copy();
+  delete missing.speaker.name;
+  assert.throws(() => validateSelectorProfile(missing), /"speaker.name" must be a selector or a list of selectors/);
+
+  const malformed = copy();
+  malformed.agenda.detailsLink = ['a.morelink', 'a[href'];
+  assert.throws(() => validateSelectorProfile(malformed), /"agenda.detailsLink" has an invalid selector "a\[href"/);
+
+  const setting = copy();
+  setting.agenda.dayIdPrefix = '';
+  assert.throws(() => validateSelectorProfile(setting), /"agenda.dayIdPrefix" must be a non-empty string/);
+});
+
+test('validateSelectorProfile checks detail templates against their layout', () => {
+  const layout = copy();
+  layout.detail.templates[0].layout = 'grid';
+  assert.throws(() => validateSelectorProfile(layout), /template "standard" has unknown layout "grid"/);
+
+  const field = copy();
+  delete field.detail.templates[1].location;
+  assert.throws(() => validateSelectorProfile(field), /template "workshop" "location" must be a selector/);
+
+  assert.throws(() => validateSelectorProfile({ ...copy(), detail: { templates: [] } }), /must list at least one template/);
+});
@@ -0,0 +1,131 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { CalendarServer, filterFeed, isNotModified, parseFeedQuery } from '../src/server.js';
+import { processSessions } from '../src/pipeline.js';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+import { normalizeHealthThresholds } from '../src/health.js';
+
+const rawSessions = [
+  {
+    title: 'Opening Keynote',
+    date: '2026-06-16',
+    time: '9 am - 10 am',
+    sessionId: '1',
+    type: 'KEYNOTE',
+    location: 'Mandalay Bay K',
+    speakers: [{ name: 'Jane Doe', title: 'CEO • Acme' }],
+  },
+  { title: 'Passkeys', date: '2026-06-16', time: '10:30 am - 11:15 am', sessionId: '2', type: 'SESSION', topics: ['passkeys'], location: 'Breakers I' },
+  { title: 'AI Agents', date: '2026-06-17', time: '1 pm - 4 pm', sessionId: '3', type: 'WORKSHOP', topics: ['ai'], location: 'Breakers J' },
+];
+
+const query = (text) => parseFeedQuery(new URLSearchParams(text));
+const titles = (text) => filterFeed(processSessions(rawSessions).sessions, query(text)).map((s) => s.title);
+
+test('parseFeedQuery reads filters and rejects unknown parameters and days', () => {
+  assert.deepEqual(query('type=Workshop,KEYNOTE&topic=ai&day=tue&speaker=Jane%20Doe&session=1&session=2'), {
+    types: ['workshop', 'keynote'],
+    topics: ['ai'],
+    days: ['tue'],
+    speakers: ['jane-doe'],
+    sessionIds: ['1', '2'],
+  });
+  assert.throws(() => query('track=ai'), /Unknown parameter "track"/);
+  assert.throws(() => query('day=someday'), /Invalid day "someday"/);
+});
+
+test('filterFeed ORs values of a parameter and ANDs parameters', () => {
+  assert.deepEqual(titles(''), ['Opening Keynote', 'Passkeys', 'AI Agents']);
+  assert.deepEqual(titles('type=keynote,workshop'), ['Opening Keynote', 'AI Agents']);
+  assert.deepEqual(titles('type=keynote,workshop&day=2026-06-17'), ['AI Agents']);
+  assert.deepEqual(titles('day=tuesday&topic=passkeys'), ['Passkeys']);
+  assert.deepEqual(titles('speaker=jane doe'), ['Opening Keynote']);
+  assert.deepEqual(titles('session=3,9'), ['AI Agents']);
+});
+
+test('isNotModified prefers If-None-Match over If-Modified-Since', () => {
+  const feed = { etag: '"abc"', lastModified: new Date('2026-06-01T00:00:00Z') };
+  assert.equal(isNotModified({ 'if-none-match': 'W/"abc", "def"' }, feed), true);
+  assert.equal(isNotModified({ 'if-none-match': '"def"', 'if-modified-since': 'Tue, 02 Jun 2026 00:00:00 GMT' }, feed), false);
+  assert.equal(isNotModified({ 'if-modified-since': 'Mon, 01 Jun 2026 00:00:00 GMT' }, feed), true);
+  assert.equal(isNotModified({ 'if-modified-since': 'Sun, 31 May 2026 00:00:00 GMT' }, feed), false);
+  assert.equal(isNotModified({}, feed), false);
+});
+
+test('CalendarServer serves feeds with validators and keeps them across reloads', async () => {
+  const loads = [rawSessions, rawSessions, rawSessions.slice(0, 1)];
+  const server = new CalendarServer({
+    conference: { ...DEFAULT_CONFERENCE, health: normalizeHealthThresholds({ minSessions: 2 }) },
+    port: 0,
+    intervalMinutes: 0,
+    releasePath: '/nonexistent/release.ics',
+    load: async () => ({ rawSessions: loads.shift(), stats: null }),
+  });
+  const base = await server.start();
+  try {
+    const feedUrl = `${base}/identiverse2026.ics`;
+    const full = await fetch(feedUrl);
+    assert.equal(full.status, 200);
+    assert.equal(full.headers.get('content-type'), 'text/calendar; charset=utf-8');
+    const body = await full.text();
+    assert.equal((body.match(/BEGIN:VEVENT/g) || []).length, 3);
+    const etag = full.headers.get('etag');
+    const lastModified = full.headers.get('last-modified');
+    assert.ok(etag && lastModified);
+
+    assert.equal((await fetch(feedUrl, { headers: { 'If-None-Match': etag } })).status, 304);
+    assert.equal((await fetch(feedUrl, { headers: { 'If-Modified-Since': lastModified } })).status, 304);
+
+    const filtered = await (await fetch(`${feedUrl}?type=workshop`)).text();
+    assert.equal((filtered.match(/BEGIN:VEVENT/g) || []).length, 1);
+    assert.doesNotMatch(filtered, /STATUS:CANCELLED/);
+
+    // An unchanged agenda keeps the same ETag
+    assert.equal(await server.refresh(), true);
+    assert.equal((await fetch(feedUrl)).headers.get('etag'), etag);
+
+    // A reload failing the health checks keeps the data
+    assert.equal(await server.refresh(), false);
+    assert.equal((await fetch(feedUrl)).headers.get('etag'), etag);
+
+    assert.equal((await fetch(`${feedUrl}?day=soon`)).status, 400);
+    assert.equal((await fetch(`${base}/other.ics`)).status, 404);
+    assert.equal((await fetch(feedUrl, { method: 'POST' })).status, 405);
+  } finally {
+    await server.stop();
+  }
+});
+
+test('CalendarServer shares cached feeds between equivalent queries and bounds the cache', async () => {
+  const server = new CalendarServer({
+    conference: { ...DEFAULT_CONFERENCE, health: normalizeHealthThresholds({ minSessions: 2 }) },
+    load: async () => ({ rawSessions, stats: null }),
+  });
+  await server.refresh();
+
+  const feed = server.feedFor(new URLSearchParams('type=Workshop&topic=ai'));
+  assert.equal(server.feedFor(new URLSearchParams('topic=AI&type=workshop,workshop')), feed);
+  assert.equal(server.feeds.size, 1);
+  assert.equal(server.feedFor(new URLSearchParams('')), server.fullFeed);
+
+  for (let id = 0; id < 100; id++) server.feedFor(new URLSearchParams(`session=${id}`));
+  assert.equal(server.feeds.size, 32);
+  assert.throws(() => server.feedFor(new URLSearchParams('room=K')), /Unknown parameter "room"/);
+});
+
+test('CalendarServer refuses to start when the first load fails its health checks', async () => {
+  const server = new CalendarServer({
+    conference: { ...DEFAULT_CONFERENCE, health: normalizeHealthThresholds({ minSessions: 2 }) },
+    port: 0,
+    intervalMinutes: 0,
+    releasePath: '/nonexistent/release.ics',
+    load: async () => ({ rawSessions: rawSessions.slice(0, 1), stats: null }),
+  });
+  try {
+    await assert.rejects(server.start(), (error) => /failed its health checks/.test(error.message) && Boolean(error.health));
+    assert.equal(server.sessions, null);
+    assert.equal(server.server, undefined);
+  } finally {
+    await server.stop();
+  }
+});
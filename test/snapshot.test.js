@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import http from 'http';
+import { fileURLToPath } from 'url';
+import { IdentiverseScraper } from '../src/scraper.js';
+import { PageSnapshot, pageFileName } from '../src/snapshot.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const read = (name) => fs.readFileSync(path.join(fixturesDir, name), 'utf8');
+const tempDir = () => fs.mkdtempSync(path.join(os.tmpdir(), 'idv-snapshot-'));
+
+const AGENDA_URL = 'https://identiverse.com/idv26/agenda/';
+const WORKSHOP_URL = 'https://identiverse.com/idv26/continuous-identity-workshop/';
+
+test('pageFileName is readable and distinct per URL', () => {
+  const a = pageFileName('https://identiverse.com/idv26/session/?idvid=4081865');
+  const b = pageFileName('https://identiverse.com/idv26/session/?idvid=3964034');
+  assert.match(a, /^idv26-session-idvid-4081865-[0-9a-f]{8}\.html$/);
+  assert.notEqual(a, b);
+});
+
+test('scrapeAllSessions replays a snapshot without touching the network', async () => {
+  const dir = tempDir();
+  const snapshot = new PageSnapshot(dir);
+  snapshot.agendaUrl = AGENDA_URL;
+  await snapshot.write(AGENDA_URL, read('agenda-sample.html'));
+  await snapshot.write(WORKSHOP_URL, read('workshop-detail.html'));
+  await snapshot.save();
+
+  const scraper = new IdentiverseScraper({ snapshotDir: dir });
+  const sessions = await scraper.scrapeAllSessions();
+  assert.equal(sessions.length, 5);
+
+  // Pages in the snapshot enrich their sessions; missing ones degrade gracefully
+  const workshop = sessions.find(s => s.sessionId === '3822721');
+  assert.equal(workshop.location, 'Mandalay Bay K');
+  assert.equal(sessions.find(s => s.sessionId === '4081865').location, undefined);
+});
+
+test('scrapeAllSessions records every fetched page into a snapshot', async () => {
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'text/html' });
+    res.end(req.url === '/idv26/agenda/' ? read('agenda-sample.html') : read('session-detail.html'));
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}/idv26/agenda/`;
+
+  try {
+    const dir = tempDir();
+    const scraper = new IdentiverseScraper({ baseUrl, saveSnapshotDir: dir, requestsPerSecond: 0 });
+    const sessions = await scraper.scrapeAllSessions();
+    // Only the two relative detail links point at the stub server
+    assert.equal(sessions.find(s => s.sessionId === '4081865').location, 'NHAI Pavilion Theater');
+
+    const snapshot = await PageSnapshot.load(dir);
+    assert.equal(snapshot.agendaUrl, baseUrl);
+    assert.ok(snapshot.has(baseUrl));
+    assert.ok(snapshot.has(`http://127.0.0.1:${server.address().port}/idv26/session/?idvid=4081865`));
+    assert.equal(await snapshot.read(baseUrl), read('agenda-sample.html'));
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import {
+  splitSpeakerTitle,
+  speakerSlug,
+  normalizeSpeaker,
+  buildSpeakerIndex,
+  findSpeaker,
+  SpeakerIndexExporter,
+} from '../src/speakers.js';
+
+const zone = 'America/Los_Angeles';
+
+function session(id, hour, speakers) {
+  return {
+    title: `Session ${id}`,
+    uid: `identiverse-2026-event-${id}@identiverse.com`,
+    sessionId: String(id),
+    location: 'Breakers I',
+    startTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour }, { zone }),
+    endTime: DateTime.fromObject({ year: 2026, month: 6, day: 16, hour: hour + 1 }, { zone }),
+    speakers,
+  };
+}
+
+test('splitSpeakerTitle splits on the last bullet', () => {
+  assert.deepEqual(splitSpeakerTitle('Distinguished Engineer, IAM • GM'), {
+    jobTitle: 'Distinguished Engineer, IAM',
+    company: 'GM',
+  });
+  assert.deepEqual(splitSpeakerTitle('VP • Identity • Acme Corp'), { jobTitle: 'VP • Identity', company: 'Acme Corp' });
+  assert.deepEqual(splitSpeakerTitle('Independent Consultant'), { jobTitle: 'Independent Consultant', company: null });
+  assert.deepEqual(splitSpeakerTitle(''), { jobTitle: null, company: null });
+});
+
+test('speakerSlug strips accents and punctuation', () => {
+  assert.equal(speakerSlug('José Núñez'), 'jose-nunez');
+  assert.equal(speakerSlug("Sean O'Dell"), 'sean-o-dell');
+});
+
+test('normalizeSpeaker accepts plain names and scraped objects', () => {
+  assert.deepEqual(normalizeSpeaker(' Jane Doe '), {
+    name: 'Jane Doe',
+    slug: 'jane-doe',
+    title: null,
+    jobTitle: null,
+    company: null,
+  });
+  assert.equal(normalizeSpeaker({ name: 'Jane Doe', title: 'CTO • Acme' }).company, 'Acme');
+});
+
+test('buildSpeakerIndex groups sessions per speaker in time order', () => {
+  const index = buildSpeakerIndex([
+    session(2, 14, [{ name: 'Jane Doe', title: '' }, 'John Roe']),
+    session(1, 9, [{ name: 'Jane Doe', title: 'CTO • Acme' }]),
+  ]);
+  assert.deepEqual(index.map((s) => s.name), ['Jane Doe', 'John Roe']);
+  const jane = findSpeaker(index, 'jane doe');
+  assert.deepEqual(jane.sessions.map((s) => s.sessionId), ['1', '2']);
+  // The affiliation is filled in from whichever session has it
+  assert.equal(jane.company, 'Acme');
+  assert.equal(findSpeaker(index, 'Nobody'), undefined);
+});
+
+test('SpeakerIndexExporter lists each speaker with their sessions', () => {
+  const doc = new SpeakerIndexExporter().build([session(1, 9, [{ name: 'Jane Doe', title: 'CTO • Acme' }])]);
+  assert.equal(doc.speakerCount, 1);
+  assert.deepEqual(doc.speakers[0], {
+    name: 'Jane Doe',
+    slug: 'jane-doe',
+    jobTitle: 'CTO',
+    company: 'Acme',
+    sessions: [
+      {
+        sessionId: '1',
+        uid: 'identiverse-2026-event-1@identiverse.com',
+        title: 'Session 1',
+        start: '2026-06-16T09:00:00-07:00',
+        end: '2026-06-16T10:00:00-07:00',
+        location: 'Breakers I',
+      },
+    ],
+  });
+});
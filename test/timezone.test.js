@@ -0,0 +1,53 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { DateTime } from 'luxon';
+import { buildVTimezone, zoneTransitions, formatUtcOffset, isValidZone, windowsZoneName } from '../src/timezone.js';
+
+test('isValidZone accepts IANA zones only', () => {
+  assert.equal(isValidZone('America/Los_Angeles'), true);
+  assert.equal(isValidZone('Mars/Olympus_Mons'), false);
+  assert.equal(isValidZone(undefined), false);
+});
+
+test('windowsZoneName maps common zones and leaves the rest unset', () => {
+  assert.equal(windowsZoneName('America/Los_Angeles'), 'Pacific Standard Time');
+  assert.equal(windowsZoneName('Europe/Berlin'), 'W. Europe Standard Time');
+  assert.equal(windowsZoneName('Asia/Kathmandu'), null);
+});
+
+test('formatUtcOffset renders ICS UTC offsets', () => {
+  assert.equal(formatUtcOffset(-420), '-0700');
+  assert.equal(formatUtcOffset(330), '+0530');
+  assert.equal(formatUtcOffset(0), '+0000');
+});
+
+test('zoneTransitions finds the exact DST changes', () => {
+  const from = DateTime.fromISO('2026-01-01T00:00:00Z').toMillis();
+  const to = DateTime.fromISO('2027-01-01T00:00:00Z').toMillis();
+  const transitions = zoneTransitions('America/Los_Angeles', from, to);
+  assert.equal(transitions.length, 2);
+  assert.equal(new Date(transitions[0].at).toISOString(), '2026-03-08T10:00:00.000Z');
+  assert.deepEqual([transitions[0].offsetFrom, transitions[0].offsetTo], [-480, -420]);
+  assert.equal(new Date(transitions[1].at).toISOString(), '2026-11-01T09:00:00.000Z');
+});
+
+test('buildVTimezone emits observances from the real transition dates', () => {
+  const text = buildVTimezone('America/Los_Angeles', { fromYear: 2026, toYear: 2026 }).join('\n');
+  assert.match(text, /^BEGIN:VTIMEZONE\nTZID:America\/Los_Angeles/);
+  assert.match(text, /BEGIN:DAYLIGHT\nDTSTART:20260308T020000\nTZOFFSETFROM:-0800\nTZOFFSETTO:-0700\nTZNAME:PDT/);
+  assert.match(text, /BEGIN:STANDARD\nDTSTART:20261101T020000\nTZOFFSETFROM:-0700\nTZOFFSETTO:-0800\nTZNAME:PST/);
+  // The previous year's transitions cover the start of the first year
+  assert.match(text, /DTSTART:20251102T020000/);
+  assert.match(text, /END:VTIMEZONE$/);
+});
+
+test('buildVTimezone handles southern-hemisphere and fixed-offset zones', () => {
+  const sydney = buildVTimezone('Australia/Sydney', { fromYear: 2026, toYear: 2026 }).join('\n');
+  assert.match(sydney, /BEGIN:DAYLIGHT\nDTSTART:20261004T020000\nTZOFFSETFROM:\+1000\nTZOFFSETTO:\+1100/);
+  assert.match(sydney, /BEGIN:STANDARD\nDTSTART:20260405T030000\nTZOFFSETFROM:\+1100\nTZOFFSETTO:\+1000/);
+
+  const kolkata = buildVTimezone('Asia/Kolkata', { fromYear: 2026, toYear: 2026 });
+  assert.deepEqual(kolkata.filter((l) => l.startsWith('BEGIN:')), ['BEGIN:VTIMEZONE', 'BEGIN:STANDARD']);
+  assert.ok(kolkata.includes('TZOFFSETTO:+0530'));
+  assert.ok(!kolkata.some((l) => l.startsWith('TZNAME:GMT')));
+});
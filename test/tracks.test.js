@@ -0,0 +1,34 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { trackSlug, trackLabel, sessionTracks, filterByTrack, splitByTrack } from '../src/tracks.js';
+
+const sessions = [
+  { title: 'Keynote', type: 'KEYNOTE', topics: [] },
+  { title: 'Workshop', type: 'WORKSHOP', topics: ['workshop'] },
+  { title: 'Breakfast', type: 'NETWORKING', topics: ['networking'] },
+  { title: 'Demo', type: 'TECH THEATER', topics: ['networking'] },
+];
+
+test('trackSlug and trackLabel normalize type names', () => {
+  assert.equal(trackSlug('NON-HUMAN & AI IDENTITY PAVILION'), 'non-human-ai-identity-pavilion');
+  assert.equal(trackLabel('tech-theater'), 'Tech Theater');
+});
+
+test('sessionTracks combines type and topics without duplicates', () => {
+  assert.deepEqual(sessionTracks(sessions[1]), ['workshop']);
+  assert.deepEqual(sessionTracks(sessions[3]), ['tech-theater', 'networking']);
+});
+
+test('filterByTrack applies include then exclude lists', () => {
+  const titles = (list) => list.map(s => s.title);
+  assert.deepEqual(titles(filterByTrack(sessions, { include: ['Tech Theater', 'keynote'] })), ['Keynote', 'Demo']);
+  assert.deepEqual(titles(filterByTrack(sessions, { exclude: ['networking'] })), ['Keynote', 'Workshop']);
+  assert.deepEqual(titles(filterByTrack(sessions, { include: ['networking'], exclude: ['tech-theater'] })), ['Breakfast']);
+  assert.equal(filterByTrack(sessions).length, 4);
+});
+
+test('splitByTrack lists a session under each of its tracks', () => {
+  const byTrack = splitByTrack(sessions);
+  assert.deepEqual([...byTrack.keys()], ['keynote', 'networking', 'tech-theater', 'workshop']);
+  assert.deepEqual(byTrack.get('networking').map(s => s.title), ['Breakfast', 'Demo']);
+});
@@ -1,6 +1,13 @@
 import { test } from 'node:test';
 import assert from 'node:assert/strict';
-import { parseLasVegasTime, generateUID, formatDescription } from '../src/utils.js';
+import {
+  parseLasVegasTime,
+  parseSessionTime,
+  generateUID,
+  formatDescription,
+  formatTimeRange,
+  stripZoneNote,
+} from '../src/utils.js';
 
 test('parseLasVegasTime parses ISO dates from gridday ids', () => {
   const { start, end } = parseLasVegasTime('2026-06-15', '8:30 am - 12:30 pm');
@@ -45,6 +52,28 @@ test('parseLasVegasTime uses a fixed PDT (UTC-7) offset', () => {
   assert.equal(start.offset, -7 * 60);
 });
 
+test('parseSessionTime uses the America/Los_Angeles zone by default', () => {
+  const { start } = parseSessionTime('2026-06-15', '9 am - 10 am');
+  assert.equal(start.zoneName, 'America/Los_Angeles');
+  assert.equal(start.offset, -7 * 60);
+  assert.equal(parseLasVegasTime, parseSessionTime);
+});
+
+test('parseSessionTime applies the zone rules of each date across a DST change', () => {
+  const before = parseSessionTime('2026-10-31', '9 am - 10 am').start;
+  const after = parseSessionTime('2026-11-02', '9 am - 10 am').start;
+  assert.equal(before.offset, -7 * 60);
+  assert.equal(after.offset, -8 * 60);
+  assert.equal(after.hour, 9);
+});
+
+test('parseSessionTime parses in a configurable zone', () => {
+  const { start } = parseSessionTime('2026-06-15', '9 am - 10 am', { zone: 'Europe/Berlin' });
+  assert.equal(start.zoneName, 'Europe/Berlin');
+  assert.equal(start.hour, 9);
+  assert.equal(start.toUTC().hour, 7);
+});
+
 test('generateUID uses the 2026 session id scheme when an id is available', () => {
   const uid = generateUID('Some Session', null, '3822721');
   assert.equal(uid, 'identiverse-2026-event-3822721@identiverse.com');
@@ -75,7 +104,24 @@ test('formatDescription includes structured speakers, details URL, type and time
   assert.match(text, /Pacific Daylight Time \(PDT \/ UTC-7\)/);
 });
 
+test('formatDescription describes the zone of the given time', () => {
+  const { start } = parseSessionTime('2026-01-15', '9 am - 10 am');
+  assert.match(formatDescription({ description: 'X' }, start), /Pacific Standard Time \(PST \/ UTC-8\)/);
+});
+
 test('formatDescription tolerates plain-string speakers', () => {
   const text = formatDescription({ description: 'X', speakers: ['Jane Doe'], type: 'SESSION' });
   assert.match(text, /Speakers: Jane Doe/);
 });
+
+test('formatTimeRange renders a range in another zone, dating the end across midnight', () => {
+  const { start, end } = parseSessionTime('2026-06-15', '4 pm - 6 pm');
+  assert.equal(formatTimeRange(start, end, 'America/New_York'), 'Mon, Jun 15, 7:00 PM – 9:00 PM EDT');
+  const late = parseSessionTime('2026-06-15', '2 pm - 4 pm');
+  assert.match(formatTimeRange(late.start, late.end, 'Europe/Berlin'), /^Mon, Jun 15, 11:00 PM – Tue, Jun 16, 1:00 AM /);
+});
+
+test('stripZoneNote removes only the timezone note', () => {
+  const text = formatDescription({ description: 'X', type: 'SESSION' });
+  assert.equal(stripZoneNote(text), 'X\n\nSession Type: SESSION');
+});
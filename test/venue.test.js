@@ -0,0 +1,56 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatAddress, formatPlace, loadVenue, resolveRoom, unknownRooms, validateVenue } from '../src/venue.js';
+
+const venue = loadVenue('mandalay-bay');
+
+test('resolveRoom normalizes room names and places them in the venue', () => {
+  for (const text of ['Mandalay Bay K', 'Mandalay Bay Ballroom K', '  mandalay bay  k ', 'Mandalay Bay - K']) {
+    const place = resolveRoom(venue, text);
+    assert.equal(place.room, 'Mandalay Bay K', text);
+    assert.equal(place.floor, 'Level 2');
+    assert.equal(place.wing, 'Mandalay Bay Ballroom');
+    assert.equal(place.building, 'Mandalay Bay Convention Center');
+    assert.equal(place.known, true);
+  }
+  assert.equal(resolveRoom(venue, 'Oceanside').room, 'Oceanside');
+  assert.equal(resolveRoom(venue, 'Oceanside E').room, 'Oceanside E');
+  assert.equal(resolveRoom(venue, 'NHAI Pavilion Theater').wing, 'Bayside Exhibit Hall');
+  assert.equal(resolveRoom(venue, 'The Cove (Restaurant Area Near Casino)').building, 'Mandalay Bay Resort and Casino');
+});
+
+test('resolveRoom keeps unknown rooms as written and flags them', () => {
+  const place = resolveRoom(venue, 'Room  75');
+  assert.equal(place.room, 'Room 75');
+  assert.equal(place.known, false);
+  assert.equal(place.floor, null);
+  // Still at the venue, so the address and coordinates apply
+  assert.deepEqual(place.geo, venue.geo);
+
+  const noRoom = resolveRoom(venue, '');
+  assert.equal(noRoom.room, null);
+  assert.equal(noRoom.known, true);
+});
+
+test('formatAddress and formatPlace build one-line locations', () => {
+  assert.equal(formatAddress(venue.address), '3950 S Las Vegas Blvd, Las Vegas, NV 89119, USA');
+  assert.equal(
+    formatPlace(resolveRoom(venue, 'Breakers L')),
+    'Breakers L, Level 2, Mandalay Bay Convention Center, 3950 S Las Vegas Blvd, Las Vegas, NV 89119, USA'
+  );
+  assert.equal(formatPlace(resolveRoom(venue, '')), 'Mandalay Bay Convention Center, 3950 S Las Vegas Blvd, Las Vegas, NV 89119, USA');
+});
+
+test('unknownRooms counts sessions per unknown room, most used first', () => {
+  const sessions = ['Room 75', 'Breakers L', 'Room 74', 'Room 75'].map((text) => ({ place: resolveRoom(venue, text) }));
+  assert.deepEqual([...unknownRooms([...sessions, { place: null }])], [['Room 75', 2], ['Room 74', 1]]);
+});
+
+test('validateVenue rejects incomplete maps and bad patterns', () => {
+  const base = { id: 'v', name: 'Venue', address: { street: '1 Main St' } };
+  assert.throws(() => validateVenue({ ...base, address: undefined }, 'test'), /test: missing "address"/);
+  assert.throws(() => validateVenue({ ...base, geo: { lat: 'north' } }), /"geo" needs numeric/);
+  assert.throws(() => validateVenue({ ...base, rooms: [{ match: 'Hall A' }] }), /room rule 1 needs "match" and "name"/);
+  assert.throws(() => validateVenue({ ...base, rooms: [{ match: 'Hall (', name: 'Hall' }] }), /invalid pattern/);
+  assert.throws(() => loadVenue('no-such-venue'), /Venue map not found/);
+});
@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { AgendaWatcher, changePayload } from '../src/watch.js';
+import { DEFAULT_CONFERENCE } from '../src/conference.js';
+import { normalizeHealthThresholds } from '../src/health.js';
+
+const fixturesDir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const agendaHtml = fs.readFileSync(path.join(fixturesDir, 'agenda-sample.html'), 'utf8');
+
+/** Start a stub server; handler(req, body) returns { status, body } */
+async function startServer(handler) {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', (chunk) => (body += chunk));
+    req.on('end', () => {
+      const reply = handler(req, body);
+      res.writeHead(reply.status || 200, { 'Content-Type': 'text/html' });
+      res.end(reply.body || '');
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const close = () => {
+    server.closeAllConnections();
+    server.close();
+  };
+  return { close, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+test('changePayload wraps the changelog as Slack-compatible text', () => {
+  const diff = { added: [], removed: [], timeChanges: [], roomChanges: [], titleChanges: [], speakerChanges: [] };
+  assert.deepEqual(changePayload(diff, DEFAULT_CONFERENCE), { text: 'Identiverse 2026\nNo agenda changes.' });
+});
+
+test('AgendaWatcher regenerates and notifies only when the agenda changed', async () => {
+  let agenda = agendaHtml;
+  const site = await startServer(() => ({ body: agenda }));
+  const posts = [];
+  const webhook = await startServer((req, body) => {
+    posts.push({ method: req.method, type: req.headers['content-type'], payload: JSON.parse(body) });
+    return { body: 'ok' };
+  });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+  const outputPath = path.join(dir, 'agenda.ics');
+
+  const watcher = new AgendaWatcher({
+    conference: {
+      ...DEFAULT_CONFERENCE,
+      // Keep the committed release calendar out of versioning and health checks
+      output: { ...DEFAULT_CONFERENCE.output, release: path.join(dir, 'release.ics') },
+      health: normalizeHealthThresholds({ minSessions: 1, maxDropPercent: 100, minRoomFraction: 0 }),
+    },
+    intervalMinutes: 0,
+    webhookUrl: `${webhook.url}/hook`,
+    snapshotPath: path.join(dir, 'sessions.json'),
+    scraper: { baseUrl: `${site.url}/idv26/agenda/`, extractDetailPages: false, requestsPerSecond: 0, retries: 0 },
+    generate: { outputPath, release: false },
+  });
+
+  try {
+    assert.equal((await watcher.start()).status, 'baseline');
+    assert.ok(await fs.pathExists(outputPath));
+    assert.equal(posts.length, 0);
+
+    const { mtimeMs } = await fs.stat(outputPath);
+    assert.equal((await watcher.runOnce()).status, 'unchanged');
+    assert.equal((await fs.stat(outputPath)).mtimeMs, mtimeMs);
+
+    agenda = agendaHtml.replace('8:30 am - 12:30 pm', '9:00 am - 12:30 pm');
+    const { status, diff } = await watcher.runOnce();
+    assert.equal(status, 'changed');
+    assert.equal(diff.timeChanges.length, 1);
+    assert.match(await fs.readFile(outputPath, 'utf8'), /DTSTART;TZID=America\/Los_Angeles:20260615T090000/);
+    assert.equal(posts.length, 1);
+    assert.equal(posts[0].method, 'POST');
+    assert.equal(posts[0].type, 'application/json');
+    assert.match(posts[0].payload.text, /^Identiverse 2026\nAgenda changes: .*1 time changes/);
+    assert.match(posts[0].payload.text, /The Exchange: Accepted Applicants Only/);
+
+    // A broken site is reported and leaves the snapshot alone
+    agenda = '<html><body></body></html>';
+    assert.equal((await watcher.runOnce()).status, 'failed');
+    assert.equal((await watcher.runOnce()).status, 'failed');
+    agenda = agendaHtml;
+    assert.equal((await watcher.runOnce()).status, 'changed');
+    assert.equal(posts.length, 2);
+  } finally {
+    await watcher.stop();
+    site.close();
+    webhook.close();
+    await fs.remove(dir);
+  }
+});
+
+test('AgendaWatcher revalidates cached detail pages, so room changes are seen on the next run', async () => {
+  const workshopHtml = fs.readFileSync(path.join(fixturesDir, 'workshop-detail.html'), 'utf8');
+  let room = 'Mandalay Bay K';
+  const site = await startServer((req) => {
+    if (req.url === '/idv26/agenda/') return { body: agendaHtml.replaceAll('https://identiverse.com', site.url) };
+    if (req.url === '/idv26/continuous-identity-workshop/') return { body: workshopHtml.replace('Mandalay Bay K', room) };
+    return { body: '<div class="idvdetail"></div>' };
+  });
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'watch-'));
+
+  const watcher = new AgendaWatcher({
+    conference: {
+      ...DEFAULT_CONFERENCE,
+      output: { ...DEFAULT_CONFERENCE.output, release: path.join(dir, 'release.ics') },
+      health: normalizeHealthThresholds({ minSessions: 1, maxDropPercent: 100, minRoomFraction: 0 }),
+    },
+    intervalMinutes: 0,
+    snapshotPath: path.join(dir, 'sessions.json'),
+    // The cache would otherwise serve detail pages unchanged for an hour
+    scraper: { baseUrl: `${site.url}/idv26/agenda/`, cacheDir: path.join(dir, 'cache'), requestsPerSecond: 0, retries: 0 },
+    generate: { outputPath: path.join(dir, 'agenda.ics'), release: false },
+  });
+
+  try {
+    assert.equal((await watcher.runOnce()).status, 'baseline');
+    room = 'Breakers L';
+    const { status, diff } = await watcher.runOnce();
+    assert.equal(status, 'changed');
+    assert.deepEqual(diff.roomChanges.map((change) => change.after.location), ['Breakers L']);
+  } finally {
+    await watcher.stop();
+    site.close();
+    await fs.remove(dir);
+  }
+});